@@ -0,0 +1,270 @@
+const vscode = require("vscode");
+const { log } = require("../utils/logging");
+const { findWorkspaceFiles, isSearchableFile, readWorkspaceDocument } = require("../utils/workspaceFiles");
+const { findAnnotations, mayContainAnnotations, resolveAnnotation, describeBrokenAnnotation } = require("./annotationParser");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Delay (in milliseconds) before an edited document is indexed again.
+ */
+const INDEX_DEBOUNCE_MS = 500;
+
+/**
+ * @constant
+ * @type {string}
+ * @description Code of the diagnostics of note references whose note doesn't exist, used by the quick fixes to find them.
+ */
+const BROKEN_REFERENCE_CODE = "brokenNoteReference";
+
+/**
+ * @typedef {object} IndexedAnnotation
+ * @property {vscode.Uri} uri - The file of the annotation.
+ * @property {import("./annotationParser").Annotation} annotation - The annotation.
+ */
+
+/**
+ * @type {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>}
+ * @description Function that returns the states of the connected vaults.
+ */
+let getVaultStates = () => new Map();
+
+/**
+ * @type {Map<string, {uri: vscode.Uri, annotations: import("./annotationParser").Annotation[]}>}
+ * @description The annotations of the workspace, keyed by the URI of their file. Only files with annotations are kept.
+ * Annotations are resolved when they are used, so the index doesn't change when notes are created or renamed.
+ */
+const annotationsByFile = new Map();
+
+/** @type {vscode.DiagnosticCollection|undefined} */
+let diagnosticCollection;
+
+/**
+ * @type {Promise<void>|undefined}
+ * @description The scan of the workspace, started once the connected vaults are loaded.
+ */
+let workspaceScan;
+
+/**
+ * @type {Map<string, NodeJS.Timeout>}
+ * @description Scheduled re-indexing of edited documents, keyed by their URI.
+ */
+const indexTimers = new Map();
+
+/**
+ * FUNC - Registers the index of the note references of the workspace: annotations (`// @obsidian [[Note]]`, `# see: obsidian://...`),
+ * wikilinks in comments and Markdown documents, and Obsidian URIs (see `Annotation` in `annotationParser.js`).
+ * The workspace is scanned once the connected vaults are loaded, then open documents are indexed again when they are edited
+ * and other files when they change on disk. References whose note doesn't exist (e.g. renamed or deleted in the vault) are reported as diagnostics
+ * (`obsidian-tooltips.noteReferenceDiagnostics` setting) in every file of the workspace, not only in the open ones.
+ *
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStatesGetter Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable that removes the diagnostics and the listeners.
+ */
+function registerAnnotationIndex(vaultStatesGetter) {
+    getVaultStates = vaultStatesGetter;
+    diagnosticCollection = vscode.languages.createDiagnosticCollection("obsidian-tooltips");
+
+    const fileWatcher = vscode.workspace.createFileSystemWatcher("**/*");
+    const listeners = [
+        fileWatcher,
+        vscode.workspace.onDidChangeTextDocument((event) => scheduleDocumentIndex(event.document)),
+        vscode.workspace.onDidOpenTextDocument((document) => scheduleDocumentIndex(document)),
+        // Open documents are indexed from their content, which can be unsaved
+        fileWatcher.onDidCreate((uri) => indexFileFromDisk(uri)),
+        fileWatcher.onDidChange((uri) => indexFileFromDisk(uri)),
+        fileWatcher.onDidDelete((uri) => {
+            annotationsByFile.delete(uri.toString());
+            diagnosticCollection?.delete(uri);
+        }),
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            if (event.affectsConfiguration("obsidian-tooltips.noteReferenceDiagnostics")) {
+                updateDiagnostics();
+            }
+        }),
+    ];
+
+    refreshAnnotations();
+
+    return new vscode.Disposable(() => {
+        indexTimers.forEach((timer) => clearTimeout(timer));
+        indexTimers.clear();
+        listeners.forEach((listener) => listener.dispose());
+        diagnosticCollection.dispose();
+        diagnosticCollection = undefined;
+    });
+}
+
+/**
+ * FUNC - Checks the annotations again after the caches changed. The first call after the vaults are loaded starts the scan of the workspace.
+ * @returns {void}
+ */
+function refreshAnnotations() {
+    if (!diagnosticCollection) return;
+
+    if (!workspaceScan) {
+        if (areVaultsLoaded()) workspaceScan = scanWorkspace();
+        return;
+    }
+    // Also when the vaults are not loaded (anymore), so the diagnostics are removed
+    updateDiagnostics();
+}
+
+/**
+ * FUNC - Gets all annotations of the workspace, waiting for the scan of the workspace if it's running.
+ * @returns {Promise<IndexedAnnotation[]>} The annotations.
+ */
+async function getWorkspaceAnnotations() {
+    if (!workspaceScan) {
+        workspaceScan = scanWorkspace();
+    }
+    await workspaceScan;
+    return Array.from(annotationsByFile.values()).flatMap(({ uri, annotations }) =>
+        annotations.map((annotation) => ({ uri, annotation }))
+    );
+}
+
+/**
+ * FUNC - Scans the workspace for annotations. Files are read from disk, only the ones that contain an annotation marker are parsed.
+ * @returns {Promise<void>}
+ */
+async function scanWorkspace() {
+    const startTime = Date.now();
+    const vaultStates = getVaultStates();
+    try {
+        const uris = await findWorkspaceFiles(vaultStates);
+        for (const uri of uris) {
+            await indexFileFromDisk(uri, false);
+        }
+        log(`[Annotations] Indexed ${annotationsByFile.size} files with annotations in ${Date.now() - startTime} ms`);
+    } catch (error) {
+        log(`[Annotations] Failed to scan the workspace: ${error.message}`);
+    }
+    updateDiagnostics();
+}
+
+/**
+ * FUNC - Indexes a file from its content on disk. Open documents are skipped, they are indexed from the editor.
+ * @param {vscode.Uri} uri The file.
+ * @param {boolean} [shouldUpdateDiagnostics=true] Whether the diagnostics of the file are updated right away.
+ * @returns {Promise<void>}
+ */
+async function indexFileFromDisk(uri, shouldUpdateDiagnostics = true) {
+    if (uri.scheme !== "file" || !isSearchableFile(uri.fsPath, getVaultStates())) return;
+    if (vscode.workspace.textDocuments.some((document) => document.uri.toString() === uri.toString())) return;
+
+    try {
+        // The file is parsed from the text read from disk. Opening it as a document would notify the other extensions,
+        // and index it again from `onDidOpenTextDocument`
+        const document = await readWorkspaceDocument(uri);
+        if (!document) {
+            removeFile(uri);
+            return;
+        }
+        indexDocument(document, shouldUpdateDiagnostics);
+    } catch (error) {
+        // The file could be deleted or be a folder
+        log(`[Annotations] Failed to index ${uri.fsPath}: ${error.message}`);
+    }
+}
+
+/**
+ * FUNC - Schedules indexing of an open document.
+ * @param {vscode.TextDocument} document The document.
+ */
+function scheduleDocumentIndex(document) {
+    if (document.uri.scheme !== "file" || !isSearchableFile(document.uri.fsPath, getVaultStates())) return;
+
+    const key = document.uri.toString();
+    clearTimeout(indexTimers.get(key));
+    indexTimers.set(key, setTimeout(() => {
+        indexTimers.delete(key);
+        indexDocument(document, true);
+    }, INDEX_DEBOUNCE_MS));
+}
+
+/**
+ * FUNC - Indexes the annotations of a document.
+ * @param {vscode.TextDocument|import("../utils/workspaceFiles").WorkspaceDocument} document The document, open or read from disk.
+ * @param {boolean} shouldUpdateDiagnostics Whether the diagnostics of the document are updated.
+ */
+function indexDocument(document, shouldUpdateDiagnostics) {
+    const annotations = mayContainAnnotations(document.getText()) ? findAnnotations(document) : [];
+    if (annotations.length === 0) {
+        removeFile(document.uri);
+        return;
+    }
+
+    const entry = { uri: document.uri, annotations };
+    annotationsByFile.set(document.uri.toString(), entry);
+    if (shouldUpdateDiagnostics) {
+        updateFileDiagnostics(entry, getVaultStates());
+    }
+}
+
+/**
+ * FUNC - Removes a file from the index.
+ * @param {vscode.Uri} uri The file.
+ */
+function removeFile(uri) {
+    if (annotationsByFile.delete(uri.toString())) {
+        diagnosticCollection?.delete(uri);
+    }
+}
+
+/**
+ * FUNC - Updates the diagnostics of all indexed files.
+ */
+function updateDiagnostics() {
+    if (!diagnosticCollection) return;
+    diagnosticCollection.clear();
+    const vaultStates = getVaultStates();
+    annotationsByFile.forEach((entry) => updateFileDiagnostics(entry, vaultStates));
+}
+
+/**
+ * FUNC - Reports the references of a file whose note doesn't exist.
+ * Nothing is reported while a vault is still loading, its notes would all look missing.
+ *
+ * @param {{uri: vscode.Uri, annotations: import("./annotationParser").Annotation[]}} entry The file and its annotations.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ */
+function updateFileDiagnostics(entry, vaultStates) {
+    if (!diagnosticCollection) return;
+
+    const isEnabled = vscode.workspace.getConfiguration("obsidian-tooltips").get("noteReferenceDiagnostics", true);
+    if (!isEnabled || !areVaultsLoaded()) {
+        diagnosticCollection.delete(entry.uri);
+        return;
+    }
+
+    const diagnostics = entry.annotations
+        .filter((annotation) => !resolveAnnotation(annotation, vaultStates))
+        .map((annotation) => {
+            const diagnostic = new vscode.Diagnostic(
+                annotation.targetRange,
+                describeBrokenAnnotation(annotation, vaultStates),
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.source = "Obsidian Tooltips";
+            diagnostic.code = BROKEN_REFERENCE_CODE;
+            return diagnostic;
+        });
+    diagnosticCollection.set(entry.uri, diagnostics);
+}
+
+/**
+ * FUNC - Checks if vaults are connected and all of them are loaded. Vaults that failed to load are skipped.
+ * @returns {boolean}
+ */
+function areVaultsLoaded() {
+    const vaultStates = Array.from(getVaultStates().values()).filter((vaultState) => !vaultState.loadError);
+    return vaultStates.length > 0 && vaultStates.every((vaultState) => vaultState.noteFilter);
+}
+
+module.exports = {
+    BROKEN_REFERENCE_CODE,
+    registerAnnotationIndex,
+    refreshAnnotations,
+    getWorkspaceAnnotations
+};
@@ -0,0 +1,60 @@
+const vscode = require("vscode");
+const path = require("path");
+const { createNoteLink, createOpenInObsidianLink } = require("../utils/noteUriHandler");
+const { findAnnotations, resolveAnnotation } = require("./annotationParser");
+
+/**
+ * FUNC - Registers the document link provider for the note references: annotations (`// @obsidian [[Note]]`, `# see: obsidian://...`),
+ * wikilinks in comments and Markdown documents, and Obsidian URIs (both the `obsidian://vault/...` shorthand and `obsidian://open?vault=&file=`).
+ * The wikilink or URI of a reference whose note exists becomes a link that opens the note in Obsidian or VS Code,
+ * like the links in the tooltips (`obsidian-tooltips.openLinksIn` setting). An Obsidian URI whose note is not in the connected vaults
+ * (e.g. a vault of a teammate) is still opened in Obsidian as it is. Links can be turned off with `obsidian-tooltips.enableDocumentLinks`.
+ *
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} The registered provider disposable.
+ */
+function registerAnnotationLinkProvider(getVaultStates) {
+    return vscode.languages.registerDocumentLinkProvider(
+        { scheme: "file" },
+        {
+            provideDocumentLinks(document) {
+                const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+                if (!config.get("enableDocumentLinks", true)) return [];
+
+                const vaultStates = getVaultStates();
+                const openIn = config.get("openLinksIn", "obsidian");
+                return findAnnotations(document).flatMap((annotation) => {
+                    const link = createDocumentLink(annotation, vaultStates, openIn);
+                    return link ? [link] : [];
+                });
+            },
+        }
+    );
+}
+
+/**
+ * FUNC - Creates the link of a note reference.
+ * @param {import("./annotationParser").Annotation} annotation The reference.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {"obsidian"|"vscode"} openIn Where the note is opened.
+ * @returns {vscode.DocumentLink|null} The link, or `null` for a wikilink whose note doesn't exist (it's reported as a diagnostic instead).
+ */
+function createDocumentLink(annotation, vaultStates, openIn) {
+    const annotatedNote = resolveAnnotation(annotation, vaultStates);
+    if (!annotatedNote) {
+        if (annotation.type !== "uri") return null;
+
+        const link = new vscode.DocumentLink(annotation.targetRange, vscode.Uri.parse(createOpenInObsidianLink(annotation.target)));
+        link.tooltip = "Open in Obsidian";
+        return link;
+    }
+
+    const link = new vscode.DocumentLink(annotation.targetRange, vscode.Uri.parse(createNoteLink(annotatedNote.noteData, openIn)));
+    const noteName = path.basename(annotatedNote.noteData.relativePath, ".md");
+    link.tooltip = `Open "${noteName}" in ${openIn === "vscode" ? "VS Code" : "Obsidian"}`;
+    return link;
+}
+
+module.exports = {
+    registerAnnotationLinkProvider
+};
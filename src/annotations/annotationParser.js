@@ -0,0 +1,269 @@
+const vscode = require("vscode");
+const { getTokenContext } = require("../utils/codeContext");
+const { resolveNoteLink } = require("../utils/noteResolver");
+const { parseObsidianUri } = require("../utils/noteUriHandler");
+const { getVaultName } = require("../obsidian/vaultRegistry");
+const { findNoteByPath } = require("../references/noteReferenceProvider");
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description A note reference: a wikilink or an Obsidian URI, optionally after the `@obsidian` or `see:` marker of an annotation,
+ * e.g. `// @obsidian [[Payment Retries]]`, `# see: obsidian://open?vault=Docs&file=Payments` or `[[Payment Retries]]` in a Markdown document.
+ */
+const REFERENCE_PATTERN = /(?:(@obsidian\b|\bsee:)[ \t]*)?(\[\[([^[\]\r\n]+)\]\]|obsidian:\/\/[^\s"'`<>()[\]]+)/gi;
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Quick check if a text can contain note references, before it's opened as a document.
+ */
+const REFERENCE_MARKER = /@obsidian\b|\bsee:|\[\[|obsidian:\/\//i;
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description The content of a C/C++ attribute: `[[nodiscard]]`, `[[deprecated("Use bar")]]`, `[[gnu::always_inline]]`, `[[using gnu: hot]]`.
+ */
+const CPP_ATTRIBUTE = /^\s*(?:using\s+\w+\s*:\s*)?(?:\w+::\w+|noreturn|carries_dependency|deprecated|fallthrough|nodiscard|maybe_unused|likely|unlikely|no_unique_address|assume|indeterminate)\b\s*(?:\(.*\))?\s*(?:,.*)?$/;
+
+/**
+ * @constant
+ * @type {Object<string, function(string, string): boolean>}
+ * @description Code of languages that uses `[[ ]]` and is often found in comments (commented-out code, examples), keyed by language identifier.
+ * Called with the text of the line before the brackets and the text between them, a match is not a wikilink.
+ */
+const BRACKET_SYNTAXES = {
+    // Block comments: `--[[ deprecated ]]`
+    lua: (linePrefix) => linePrefix.endsWith("--"),
+    // Tests: `[[ -f "$file" ]]`, with spaces inside the brackets
+    shellscript: (linePrefix, content) => /^\s|\s$/.test(content),
+    c: (linePrefix, content) => CPP_ATTRIBUTE.test(content),
+    cpp: (linePrefix, content) => CPP_ATTRIBUTE.test(content),
+};
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description A line that opens or closes a fenced code block in Markdown.
+ */
+const CODE_FENCE = /^\s*(?:```|~~~)/;
+
+/**
+ * @typedef {object} Annotation
+ * A reference to a note in a document: an explicit annotation (`// @obsidian [[Note]]`), or a wikilink or Obsidian URI on its own.
+ * - Annotations are found in comments.
+ * - Wikilinks are found in comments, outside of code in Markdown documents. Without a marker, the `[[ ]]` syntaxes of languages
+ *   are skipped in comments (Lua `--[[` block comments, Bash `[[ ... ]]` tests, C++ `[[attributes]]`), see `BRACKET_SYNTAXES`.
+ * - Obsidian URIs are found in comments and strings.
+ * @property {vscode.Range} range - The range of the whole reference, marker included.
+ * @property {vscode.Range} targetRange - The range of the wikilink or URI.
+ * @property {"wikilink"|"uri"} type - The kind of target.
+ * @property {string} target - The text between the brackets of the wikilink (`Note#Heading|Text`), or the URI.
+ * @property {boolean} isExplicit - Whether the reference has the `@obsidian` or `see:` marker.
+ */
+
+/**
+ * @typedef {object} AnnotatedNote
+ * @property {import("../obsidian/vaultStateManager").VaultState} vaultState - The vault of the note.
+ * @property {{relativePath: string, fullPath: string}} noteData - The note data from `notesCache`.
+ */
+
+/**
+ * FUNC - Finds the note references (annotations, wikilinks and Obsidian URIs) of a document.
+ * @param {vscode.TextDocument} document The document.
+ * @returns {Annotation[]} The references, in document order.
+ */
+function findAnnotations(document) {
+    const annotations = [];
+    for (let line = 0; line < document.lineCount; line++) {
+        annotations.push(...findLineAnnotations(document, line));
+    }
+    return annotations;
+}
+
+/**
+ * FUNC - Finds the note reference at a position.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Position} position The position.
+ * @returns {Annotation|null} The reference that contains the position, or `null`.
+ */
+function findAnnotationAtPosition(document, position) {
+    return findLineAnnotations(document, position.line).find((annotation) => annotation.range.contains(position)) || null;
+}
+
+/**
+ * FUNC - Checks if a text can contain note references, so files without them are not opened as documents.
+ * @param {string} text The text.
+ * @returns {boolean}
+ */
+function mayContainAnnotations(text) {
+    return REFERENCE_MARKER.test(text);
+}
+
+/**
+ * FUNC - Finds the note references of a line.
+ * @param {vscode.TextDocument} document The document.
+ * @param {number} line The line.
+ * @returns {Annotation[]} The references of the line.
+ */
+function findLineAnnotations(document, line) {
+    const text = document.lineAt(line).text;
+    if (!REFERENCE_MARKER.test(text)) return [];
+    if (document.languageId === "markdown" && isInCodeBlock(document, line)) return [];
+
+    const annotations = [];
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+        const range = new vscode.Range(line, match.index, line, match.index + match[0].length);
+        const isExplicit = match[1] !== undefined;
+        const type = match[3] !== undefined ? "wikilink" : "uri";
+        const target = type === "wikilink" ? match[3] : match[2];
+        if (!isNoteTarget(type, target) || !isReferenceContext(document, range, isExplicit, type)) continue;
+
+        const targetStart = match.index + match[0].length - match[2].length;
+        annotations.push({
+            range,
+            targetRange: new vscode.Range(line, targetStart, line, targetStart + match[2].length),
+            type,
+            target,
+            isExplicit,
+        });
+    }
+    return annotations;
+}
+
+/**
+ * FUNC - Checks if a reference is where references of its kind are expected, see `Annotation`.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Range} range The range of the reference.
+ * @param {boolean} isExplicit Whether the reference has a marker.
+ * @param {"wikilink"|"uri"} type The kind of target.
+ * @returns {boolean}
+ */
+function isReferenceContext(document, range, isExplicit, type) {
+    if (document.languageId === "markdown") {
+        // Inline code: an odd number of backticks before the reference
+        const backticks = (document.lineAt(range.start.line).text.slice(0, range.start.character).match(/`/g) || []).length;
+        return backticks % 2 === 0;
+    }
+
+    const context = getTokenContext(document, range);
+    if (type === "wikilink" && !isExplicit) return context === "comment" && !isBracketSyntax(document, range);
+    if (isExplicit) return context === "comment";
+    return context === "comment" || context === "string";
+}
+
+/**
+ * FUNC - Checks if a wikilink without a marker is the `[[ ]]` syntax of the language of the document, see `BRACKET_SYNTAXES`.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Range} range The range of the wikilink.
+ * @returns {boolean}
+ */
+function isBracketSyntax(document, range) {
+    const isSyntax = BRACKET_SYNTAXES[document.languageId];
+    if (!isSyntax) return false;
+
+    const text = document.lineAt(range.start.line).text;
+    return isSyntax(text.slice(0, range.start.character), text.slice(range.start.character + 2, range.end.character - 2));
+}
+
+/**
+ * FUNC - Checks if the target of a reference is a note. Links to a heading of the same note (`[[#Heading]]`),
+ * embeds of attachments (`![[image.png]]`) and Obsidian URIs that don't open a note (`obsidian://search?query=...`)
+ * can't be checked against the notes cache, so they are not references.
+ * @param {"wikilink"|"uri"} type The kind of target.
+ * @param {string} target The text between the brackets of the wikilink, or the URI.
+ * @returns {boolean}
+ */
+function isNoteTarget(type, target) {
+    if (type === "uri") return parseObsidianUri(target) !== null;
+
+    const noteName = target.split(/[|#^]/)[0].trim();
+    return noteName !== "" && !/\.(?!md$)[a-z0-9]+$/i.test(noteName);
+}
+
+/**
+ * FUNC - Checks if a line of a Markdown document is inside a fenced code block.
+ * @param {vscode.TextDocument} document The Markdown document.
+ * @param {number} line The line.
+ * @returns {boolean}
+ */
+function isInCodeBlock(document, line) {
+    let isInBlock = false;
+    for (let index = 0; index < line; index++) {
+        if (CODE_FENCE.test(document.lineAt(index).text)) isInBlock = !isInBlock;
+    }
+    return isInBlock || CODE_FENCE.test(document.lineAt(line).text);
+}
+
+/**
+ * FUNC - Resolves the note a reference points to.
+ * A wikilink is resolved like in Obsidian (`resolveNoteLink`), in every connected vault in turn.
+ * An Obsidian URI is resolved in the vault it names.
+ *
+ * @param {Annotation} annotation The reference.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {AnnotatedNote|null} The note, or `null` if it doesn't exist in the connected vaults.
+ */
+function resolveAnnotation(annotation, vaultStates) {
+    if (annotation.type === "wikilink") {
+        for (const vaultState of vaultStates.values()) {
+            const noteData = resolveNoteLink(annotation.target, vaultState.notesCache, vaultState.lookupCache);
+            if (noteData) return { vaultState, noteData };
+        }
+        return null;
+    }
+
+    const parsedUri = parseObsidianUri(annotation.target);
+    if (!parsedUri) return null;
+    if (parsedUri.path) {
+        const noteReference = findNoteByPath(vaultStates, parsedUri.path);
+        return noteReference ? { vaultState: noteReference.vaultState, noteData: noteReference.noteData } : null;
+    }
+
+    const vaultState = findVaultByName(vaultStates, parsedUri.vaultName);
+    if (!vaultState) return null;
+    const noteData = resolveNoteLink(parsedUri.file, vaultState.notesCache, vaultState.lookupCache);
+    return noteData ? { vaultState, noteData } : null;
+}
+
+/**
+ * FUNC - Describes why a reference can't be resolved, for the diagnostics.
+ * @param {Annotation} annotation The reference.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {string} The problem.
+ */
+function describeBrokenAnnotation(annotation, vaultStates) {
+    if (annotation.type === "wikilink") {
+        return `Note "${annotation.target.split(/[|#^]/)[0].trim()}" was not found in the connected vaults`;
+    }
+
+    // Only URIs that open a note are references, see `isNoteTarget`
+    const parsedUri = parseObsidianUri(annotation.target);
+    if (parsedUri.path) {
+        return `"${parsedUri.path}" is not a note of a connected vault`;
+    }
+    if (!findVaultByName(vaultStates, parsedUri.vaultName)) {
+        return `Vault "${parsedUri.vaultName}" is not connected`;
+    }
+    return `Note "${parsedUri.file}" was not found in vault "${parsedUri.vaultName}"`;
+}
+
+/**
+ * FUNC - Finds a connected vault by its name (the name of its folder, like in Obsidian).
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {string} vaultName The name of the vault.
+ * @returns {import("../obsidian/vaultStateManager").VaultState|undefined} The vault.
+ */
+function findVaultByName(vaultStates, vaultName) {
+    return Array.from(vaultStates.values()).find((vaultState) => getVaultName(vaultState.vaultPath) === vaultName);
+}
+
+module.exports = {
+    findAnnotations,
+    findVaultByName,
+    findAnnotationAtPosition,
+    mayContainAnnotations,
+    resolveAnnotation,
+    describeBrokenAnnotation
+};
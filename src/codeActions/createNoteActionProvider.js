@@ -0,0 +1,70 @@
+const vscode = require("vscode");
+const { resolveTokenInVaults, findTokenAtPosition, trimTokenPunctuation } = require("../utils/noteResolver");
+const { getMatchRules, isContextAllowed, isIdentifierAllowed, isKeyAllowed } = require("../utils/matchRules");
+const { getTokenContext } = require("../utils/codeContext");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Minimum length of a token to offer a note for it. Shorter tokens are mostly loop variables and operators.
+ */
+const MIN_TOKEN_LENGTH = 3;
+
+/**
+ * Registers the code action provider that offers "Create Obsidian note for `token`" on tokens without a note.
+ * The action runs the `obsidian-tooltips.createNote` command with the token under the cursor.
+ * It follows the match rules of the document (contexts, identifier patterns, stop words), so it's never offered where the note would not be matched.
+ * The lightbulb shows up by itself only in comments and strings, in code the action is offered when the code actions are requested (`Ctrl+.`).
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} getVaultStates - Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable object that can be used to unregister the provider.
+ */
+function registerCreateNoteActionProvider(context, getVaultStates) {
+    return vscode.languages.registerCodeActionsProvider(
+        { scheme: "file", pattern: "**/*" },
+        {
+            /**
+             * FUNC - Provides the "Create Obsidian note" action when the token at the cursor matches no note in any vault.
+             */
+            provideCodeActions(document, range, codeActionContext) {
+                if (!vscode.workspace.getConfiguration("obsidian-tooltips").get("enableCreateNoteAction", true)) return [];
+
+                const vaultStates = getVaultStates();
+                if (vaultStates.size === 0) return [];
+
+                const tokenAtPosition = findTokenAtPosition(document, range.start);
+                if (!tokenAtPosition || !tokenAtPosition.range.contains(range)) return [];
+
+                const token = trimTokenPunctuation(tokenAtPosition.token);
+                if (token.length < MIN_TOKEN_LENGTH || !/[a-zA-Z]/.test(token)) return [];
+
+                const matchRules = getMatchRules(document);
+                if (!isContextAllowed(matchRules, document, tokenAtPosition.range)) return [];
+                if (!isIdentifierAllowed(matchRules, token) || !isKeyAllowed(matchRules, token)) return [];
+                if (codeActionContext.triggerKind !== vscode.CodeActionTriggerKind.Invoke) {
+                    const tokenContext = getTokenContext(document, tokenAtPosition.range);
+                    if (tokenContext !== "comment" && tokenContext !== "string") return [];
+                }
+
+                // A note that the match rules exclude is not shown by the hover either, so it doesn't hide the action
+                if (resolveTokenInVaults(token, vaultStates, matchRules).length > 0) return [];
+
+                const action = new vscode.CodeAction(
+                    `Create Obsidian note for \`${token}\``,
+                    vscode.CodeActionKind.QuickFix
+                );
+                action.command = {
+                    command: "obsidian-tooltips.createNote",
+                    title: "Create Obsidian note",
+                    arguments: [token],
+                };
+                return [action];
+            },
+        },
+        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    );
+}
+
+module.exports = {
+    registerCreateNoteActionProvider
+};
@@ -0,0 +1,168 @@
+const vscode = require("vscode");
+const path = require("path");
+const { similarityScore } = require("../utils/fuzzyMatcher");
+const { createObsidianUri, parseObsidianUri } = require("../utils/noteUriHandler");
+const { getVaultName } = require("../obsidian/vaultRegistry");
+const { findAnnotationAtPosition, findVaultByName } = require("../annotations/annotationParser");
+const { BROKEN_REFERENCE_CODE } = require("../annotations/annotationIndex");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of notes suggested for a broken reference.
+ */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * @constant
+ * @type {number}
+ * @description Minimum `similarityScore` of a note name or alias to be suggested.
+ */
+const MIN_SIMILARITY = 0.4;
+
+/**
+ * @typedef {object} NoteSuggestion
+ * @property {import("../obsidian/vaultStateManager").VaultState} vaultState - The vault of the note.
+ * @property {{relativePath: string, fullPath: string}} noteData - The note data from `notesCache`.
+ * @property {string} matchedKey - The name or alias of the note that is close to the broken target.
+ * @property {number} score - The similarity of the key and the target.
+ */
+
+/**
+ * Registers the code action provider that fixes broken note references (wikilinks, Obsidian URIs and annotations).
+ * For every `brokenNoteReference` diagnostic, it offers to replace the target with the closest notes by name or alias.
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} getVaultStates - Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable object that can be used to unregister the provider.
+ */
+function registerFixNoteReferenceActionProvider(getVaultStates) {
+    return vscode.languages.registerCodeActionsProvider(
+        { scheme: "file" },
+        {
+            /**
+             * FUNC - Provides "Change to ..." actions for the broken note references in the range.
+             */
+            provideCodeActions(document, range, codeActionContext) {
+                const vaultStates = getVaultStates();
+                return codeActionContext.diagnostics
+                    .filter((diagnostic) => diagnostic.code === BROKEN_REFERENCE_CODE)
+                    .flatMap((diagnostic) => {
+                        const annotation = findAnnotationAtPosition(document, diagnostic.range.start);
+                        if (!annotation) return [];
+                        return createFixActions(document, annotation, diagnostic, vaultStates);
+                    });
+            },
+        },
+        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    );
+}
+
+/**
+ * FUNC - Creates the actions that replace a broken reference with the closest notes.
+ * @param {vscode.TextDocument} document The document.
+ * @param {import("../annotations/annotationParser").Annotation} annotation The broken reference.
+ * @param {vscode.Diagnostic} diagnostic The diagnostic of the reference.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {vscode.CodeAction[]} The actions, the closest note first (and preferred).
+ */
+function createFixActions(document, annotation, diagnostic, vaultStates) {
+    let brokenName;
+    let searchedVaults = vaultStates;
+    if (annotation.type === "wikilink") {
+        brokenName = annotation.target.split(/[|#^]/)[0].trim();
+    } else {
+        const parsedUri = parseObsidianUri(annotation.target);
+        brokenName = parsedUri.path ? path.basename(parsedUri.path, ".md") : parsedUri.file;
+        // A URI names its vault: only this vault is searched, unless it's not connected
+        const vaultState = parsedUri.vaultName ? findVaultByName(vaultStates, parsedUri.vaultName) : undefined;
+        if (vaultState) searchedVaults = new Map([[vaultState.vaultPath, vaultState]]);
+    }
+
+    const showVaultName = vaultStates.size > 1;
+    return findClosestNotes(path.posix.basename(brokenName.replace(/\\/g, "/")), searchedVaults).map((suggestion, index) => {
+        const { replacementRange, replacement } = getReplacement(annotation, suggestion, vaultStates);
+        const noteName = path.basename(suggestion.noteData.relativePath, ".md");
+        const viaAlias = suggestion.matchedKey !== noteName ? ` (alias "${suggestion.matchedKey}")` : "";
+        const inVault = showVaultName ? ` in vault "${getVaultName(suggestion.vaultState.vaultPath)}"` : "";
+
+        const action = new vscode.CodeAction(`Change to "${noteName}"${viaAlias}${inVault}`, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.replace(document.uri, replacementRange, replacement);
+        action.diagnostics = [diagnostic];
+        action.isPreferred = index === 0;
+        return action;
+    });
+}
+
+/**
+ * FUNC - Finds the notes whose name or alias is the closest to a broken target.
+ * @param {string} brokenName The name of the note the reference points to.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The vaults to search.
+ * @returns {NoteSuggestion[]} The closest notes, at most `MAX_SUGGESTIONS`.
+ */
+function findClosestNotes(brokenName, vaultStates) {
+    /** @type {Map<string, NoteSuggestion>} */
+    const bestByNote = new Map();
+    for (const vaultState of vaultStates.values()) {
+        for (const noteData of vaultState.notesCache.values()) {
+            const keys = [path.basename(noteData.relativePath, ".md"), ...(noteData.aliases || [])];
+            for (const key of keys) {
+                if (typeof key !== "string") continue;
+                const score = similarityScore(brokenName, key);
+                const noteKey = `${vaultState.vaultPath}|${noteData.relativePath}`;
+                if (score >= MIN_SIMILARITY && score > (bestByNote.get(noteKey)?.score ?? 0)) {
+                    bestByNote.set(noteKey, { vaultState, noteData, matchedKey: key, score });
+                }
+            }
+        }
+    }
+    return Array.from(bestByNote.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * FUNC - Gets the edit that points a broken reference to a note.
+ * A wikilink keeps its heading and display text, only the note part is replaced, with the file name of the note
+ * (Obsidian doesn't resolve aliases in links), or its path when several notes have the same name.
+ * A URI is written again in the same format, for the note.
+ *
+ * @param {import("../annotations/annotationParser").Annotation} annotation The broken reference.
+ * @param {NoteSuggestion} suggestion The note.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {{replacementRange: vscode.Range, replacement: string}} The range to replace and its new text.
+ */
+function getReplacement(annotation, suggestion, vaultStates) {
+    const { vaultState, noteData } = suggestion;
+    const notePathWithoutExt = noteData.relativePath.replace(/\\/g, "/").replace(/\.md$/, "");
+
+    if (annotation.type === "wikilink") {
+        const notePart = annotation.target.split(/[|#^]/)[0];
+        const noteName = path.posix.basename(notePathWithoutExt);
+        const isNameShared = Array.from(vaultStates.values()).some((otherVault) =>
+            Array.from(otherVault.notesCache.values()).some((otherNote) =>
+                otherNote !== noteData && path.basename(otherNote.relativePath, ".md") === noteName
+            )
+        );
+        // The note part starts after `[[`, its spaces around the name are kept as they are
+        const start = annotation.targetRange.start.translate(0, 2 + notePart.length - notePart.trimStart().length);
+        return {
+            replacementRange: new vscode.Range(start, start.translate(0, notePart.trim().length)),
+            replacement: isNameShared ? notePathWithoutExt : noteName,
+        };
+    }
+
+    const parsedUri = parseObsidianUri(annotation.target);
+    let replacement;
+    if (parsedUri.path) {
+        replacement = `obsidian://open?path=${encodeURIComponent(noteData.fullPath)}`;
+    } else if (/^obsidian:\/\/open\?/i.test(annotation.target)) {
+        replacement = `obsidian://open?vault=${encodeURIComponent(getVaultName(vaultState.vaultPath))}&file=${encodeURIComponent(notePathWithoutExt)}`;
+    } else {
+        replacement = createObsidianUri(vaultState.vaultPath, noteData.relativePath);
+    }
+    return { replacementRange: annotation.targetRange, replacement };
+}
+
+module.exports = {
+    registerFixNoteReferenceActionProvider
+};
@@ -0,0 +1,220 @@
+const vscode = require("vscode");
+const path = require("path");
+const { log } = require("../utils/logging");
+const { isInComment } = require("../utils/commentDetector");
+const { getVaultName } = require("../obsidian/vaultRegistry");
+const { renderObsidianMarkdown } = require("../hover/obsidianMarkdown");
+const { getNoteContent } = require("../obsidian/noteFetcher");
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Languages in which note names are completed everywhere, not only in comments.
+ */
+const PROSE_LANGUAGES = ["markdown", "plaintext"];
+
+/**
+ * Registers the completion provider that suggests note names and aliases.
+ * Suggestions are shown after `[[` or the prefix from the `obsidian-tooltips.completionTriggerPrefix` setting,
+ * in Markdown and plain text files and in comments of code files. The typed trigger is replaced by the note keyword,
+ * a wikilink or a Markdown link to the note (`obsidian-tooltips.completionInsertFormat` setting).
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} getVaultStates - Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable object that can be used to unregister the provider.
+ */
+function registerCompletionProvider(context, getVaultStates) {
+    const triggerPrefix = getTriggerPrefix();
+    const triggerCharacters = ["["];
+    if (triggerPrefix && !triggerCharacters.includes(triggerPrefix.slice(-1))) {
+        triggerCharacters.push(triggerPrefix.slice(-1));
+    }
+
+    return vscode.languages.registerCompletionItemProvider(
+        { scheme: "file", pattern: "**/*" },
+        {
+            /**
+             * FUNC - Provides note names and aliases of all connected vaults after a trigger.
+             */
+            provideCompletionItems(document, position) {
+                const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+                if (!config.get("enableCompletion", true)) return undefined;
+
+                const vaultStates = getVaultStates();
+                if (vaultStates.size === 0) return undefined;
+
+                const trigger = findTrigger(document, position, triggerPrefix);
+                if (!trigger) return undefined;
+
+                if (!PROSE_LANGUAGES.includes(document.languageId) && !isInComment(document, position)) {
+                    return undefined;
+                }
+
+                const insertFormat = config.get("completionInsertFormat", "keyword");
+                const items = createCompletionItems(vaultStates, trigger, insertFormat);
+                log(`[Completion] ${items.length} suggestions for "${trigger.text}"`);
+                return new vscode.CompletionList(items, false);
+            },
+
+            /**
+             * FUNC - Adds the content of the note before the first header as the documentation of the selected suggestion.
+             */
+            async resolveCompletionItem(item) {
+                if (!item.note) return item;
+                const { vaultState, noteData } = item.note;
+                try {
+                    const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+                    const content = await getNoteContentForCompletion(noteData.fullPath, config);
+                    const documentation = new vscode.MarkdownString("", true);
+                    documentation.appendMarkdown(`**${path.basename(noteData.relativePath, ".md")}**\n\n`);
+                    if (content) {
+                        documentation.appendMarkdown(await renderObsidianMarkdown(content, {
+                            noteData,
+                            vaultPath: vaultState.vaultPath,
+                            notesCache: vaultState.notesCache,
+                            lookupCache: vaultState.lookupCache,
+                            openIn: config.get("openLinksIn", "obsidian"),
+                        }));
+                        documentation.baseUri = vscode.Uri.file(path.dirname(noteData.fullPath) + path.sep);
+                    }
+                    item.documentation = documentation;
+                } catch (error) {
+                    log(`[Completion] Failed to read note content: ${error.message}`);
+                }
+                return item;
+            },
+        },
+        ...triggerCharacters
+    );
+}
+
+/**
+ * FUNC - Finds the trigger (`[[` or the configured prefix) before the cursor and the text typed after it.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Position} position The position of the cursor.
+ * @param {string} triggerPrefix The configured prefix, or an empty string.
+ * @returns {{range: vscode.Range, prefix: string, text: string}|null} The range to replace (the trigger,
+ * the typed text and the `]]` auto-closed by the editor), the trigger as typed (`[[` or the prefix) and the text typed after it.
+ */
+function findTrigger(document, position, triggerPrefix) {
+    const lineText = document.lineAt(position.line).text;
+    const linePrefix = lineText.slice(0, position.character);
+
+    let match = linePrefix.match(/\[\[([^[\]|#]*)$/);
+    const isWikilink = !!match;
+    if (!match && triggerPrefix) {
+        match = linePrefix.match(new RegExp(`${escapeRegExp(triggerPrefix)}(\\S*)$`));
+    }
+    if (!match) return null;
+
+    // Typing `[[` usually inserts the closing `]]` as well, it's replaced together with the trigger
+    const endCharacter = isWikilink && lineText.slice(position.character).startsWith("]]")
+        ? position.character + 2
+        : position.character;
+
+    return {
+        range: new vscode.Range(position.line, match.index, position.line, endCharacter),
+        prefix: isWikilink ? "[[" : triggerPrefix,
+        text: match[1],
+    };
+}
+
+/**
+ * FUNC - Creates a suggestion for every note name and alias in the lookup caches of the connected vaults.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {{range: vscode.Range, prefix: string}} trigger The trigger found before the cursor.
+ * @param {"keyword"|"wikilink"|"markdownLink"} insertFormat What is inserted for the chosen note.
+ * @returns {vscode.CompletionItem[]} The suggestions.
+ */
+function createCompletionItems(vaultStates, trigger, insertFormat) {
+    const items = [];
+    const seen = new Set();
+    const showVaultName = vaultStates.size > 1;
+
+    for (const vaultState of vaultStates.values()) {
+        for (const originalKeys of vaultState.lookupCache.values()) {
+            for (const [originalKey, pathInfos] of originalKeys) {
+                for (const info of pathInfos) {
+                    const noteData = vaultState.notesCache.get(info.path);
+                    const itemKey = `${vaultState.vaultPath}|${info.path}|${originalKey}`;
+                    if (!noteData || seen.has(itemKey)) continue;
+                    seen.add(itemKey);
+
+                    const noteTitle = path.basename(noteData.relativePath, ".md");
+                    const item = new vscode.CompletionItem(
+                        originalKey,
+                        info.isFileName ? vscode.CompletionItemKind.File : vscode.CompletionItemKind.Reference
+                    );
+                    item.detail = [
+                        info.isFileName ? "Obsidian note" : `Alias of ${noteTitle}`,
+                        showVaultName ? getVaultName(vaultState.vaultPath) : null,
+                    ].filter(Boolean).join(" · ");
+                    item.insertText = createInsertText(originalKey, noteTitle, noteData, info.isFileName, insertFormat);
+                    item.range = trigger.range;
+                    // The range starts at the trigger, so the typed trigger must be part of the filter text
+                    item.filterText = `${trigger.prefix}${originalKey}`;
+                    // Note names first, then aliases
+                    item.sortText = `${info.isFileName ? "0" : "1"}${originalKey.toLowerCase()}`;
+                    item.note = { vaultState, noteData };
+                    items.push(item);
+                }
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * FUNC - Creates the text inserted for a suggestion.
+ * @param {string} key The note name or alias.
+ * @param {string} noteTitle The file name of the note without the `.md` extension.
+ * @param {{uri: string}} noteData The note entry from the notes cache.
+ * @param {boolean} isFileName Whether the key is the note name.
+ * @param {"keyword"|"wikilink"|"markdownLink"} insertFormat What is inserted for the chosen note.
+ * @returns {string} The text to insert.
+ */
+function createInsertText(key, noteTitle, noteData, isFileName, insertFormat) {
+    switch (insertFormat) {
+        case "wikilink":
+            return isFileName ? `[[${noteTitle}]]` : `[[${noteTitle}|${key}]]`;
+        case "markdownLink":
+            return `[${key}](${noteData.uri})`;
+        default:
+            return key;
+    }
+}
+
+/**
+ * FUNC - Reads the prefix that triggers suggestions in addition to `[[`.
+ * @returns {string} The prefix, or an empty string if none is configured.
+ */
+function getTriggerPrefix() {
+    const prefix = vscode.workspace.getConfiguration("obsidian-tooltips").get("completionTriggerPrefix", "");
+    return typeof prefix === "string" ? prefix.trim() : "";
+}
+
+/**
+ * FUNC - Reads the content of the note before the first header, limited by the note content settings.
+ * @param {string} fullPath The full path to the note file.
+ * @param {vscode.WorkspaceConfiguration} config The extension settings.
+ * @returns {Promise<string>} A Promise that resolves with the content.
+ */
+function getNoteContentForCompletion(fullPath, config) {
+    return getNoteContent(fullPath, {
+        mode: "showPreHeader",
+        maxLines: config.get("noteContentMaxLines", 20),
+        maxCharacters: config.get("noteContentMaxCharacters", 1500),
+    });
+}
+
+/**
+ * FUNC - Escapes the characters of a string that have a special meaning in regular expressions.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+    registerCompletionProvider
+};
@@ -1,3 +1,6 @@
+const vscode = require("vscode");
+const { log } = require("../utils/logging");
+
 /**
  * @constant
  * @type {object}
@@ -9,15 +12,52 @@ const SEARCH_CONFIG = {
      * @description A collection of regular expression patterns tailored for specific languages
      * to accurately determine the boundaries of a "word" or "token" under the cursor.
      * This is the core component for the token extraction logic.
+     * They are the built-in presets, the `obsidian-tooltips.languagePatterns` setting can override them or add other languages.
      */
     LANGUAGE_PATTERNS: {
         // "A word is any sequence of letters, numbers, underscores, dots, colons, parentheses, and hyphens". It's greedy and works well with VS Code's `getWordRangeAtPosition`.
         javascript: /[\w.:\(\)-]+/,
+        javascriptreact: /[\w.:\(\)-]+/,
         typescript: /[\w.:\(\)-]+/,
+        typescriptreact: /[\w.:\(\)-]+/,
+
+        // Decorators and annotations (`@dataclass`, `@Override`) are part of the token.
+        python: /@?[\w.]+/,
+        java: /@?[\w.]+/,
+        kotlin: /@?[\w.]+/,
+        swift: /@?[\w.]+/,
+        // C# verbatim identifiers (`@class`).
+        csharp: /@?[\w.]+/,
+
+        go: /[\w.]+/,
+
+        // Paths (`std::collections::HashMap`) and macros (`println!`).
+        rust: /(?:::|[\w!])+/,
+
+        // Scopes (`std::vector`), member access through pointers (`node->next`) and destructors (`~Widget`).
+        cpp: /(?:::|->|[\w.~])+/,
+        c: /(?:->|[\w.])+/,
+
+        // Variables (`$user`), members (`$user->name`) and static members (`User::find`).
+        php: /\$?(?:->|::|\w)+/,
+
+        // Instance and global variables (`@name`, `$stdout`), symbols (`:name`), scopes (`Foo::Bar`) and predicate methods (`empty?`).
+        ruby: /(?:[@$]+|:)?(?:::|[\w.])+[?!]?/,
+
+        // Variables (`$HOME`) and command names with hyphens.
+        shellscript: /\$?[\w-]+/,
+
+        // Qualified names (`schema.table`), variables (`@id`) and temporary tables (`#temp`).
+        sql: /[\w.$@#]+/,
+
+        // Method calls (`obj:method`).
+        lua: /[\w.:]+/,
 
         // For CSS, we don't need parentheses.
         css: /[\w:.-]+/,
-        scss: /[\w:.-]+/,
+        // SCSS and Less variables (`$primary`, `@primary`).
+        scss: /[\w:.$-]+/,
+        less: /[\w:.@-]+/,
 
         // For HTML, we mostly care about letters, numbers, and hyphens (for class names).
         html: /[\w-]+/,
@@ -34,6 +74,88 @@ const SEARCH_CONFIG = {
     CASE_INSENSITIVE: true,
 };
 
+/**
+ * @type {Map<string, RegExp|null>}
+ * @description Patterns from the `obsidian-tooltips.languagePatterns` setting, keyed by their source.
+ * `null` marks an invalid pattern that was already reported, so the user is told only once per pattern.
+ */
+const customPatterns = new Map();
+
+/**
+ * FUNC - Gets the token pattern for a language.
+ * The pattern from the `obsidian-tooltips.languagePatterns` setting wins over the built-in preset. Its value is a regular expression,
+ * or the name of a built-in preset (e.g. `"vue": "javascript"`). An invalid pattern is reported and the built-in preset is used instead,
+ * so a typo in the settings never breaks the hover.
+ *
+ * @param {string} languageId The VS Code language identifier of the document (e.g., "javascript").
+ * @returns {RegExp} The pattern that determines the boundaries of a token.
+ */
+function getLanguagePattern(languageId) {
+    const customPatternSource = getCustomPatternSources()[languageId];
+    if (typeof customPatternSource === "string") {
+        const customPattern = getCustomPattern(languageId, customPatternSource);
+        if (customPattern) return customPattern;
+    }
+    return SEARCH_CONFIG.LANGUAGE_PATTERNS[languageId] || SEARCH_CONFIG.LANGUAGE_PATTERNS['default'];
+}
+
+/**
+ * FUNC - Checks all patterns of the `obsidian-tooltips.languagePatterns` setting, so mistakes are reported as soon as the setting is changed.
+ * @returns {string[]} The languages whose pattern is invalid.
+ */
+function validateLanguagePatterns() {
+    return Object.entries(getCustomPatternSources())
+        .filter(([languageId, source]) => typeof source !== "string" || !getCustomPattern(languageId, source))
+        .map(([languageId]) => languageId);
+}
+
+/**
+ * FUNC - Reads the `obsidian-tooltips.languagePatterns` setting.
+ * @returns {Object<string, string>} The pattern sources (or preset names), keyed by the language identifier.
+ */
+function getCustomPatternSources() {
+    return vscode.workspace.getConfiguration("obsidian-tooltips").get("languagePatterns", {}) || {};
+}
+
+/**
+ * FUNC - Compiles a pattern from the settings, or returns the built-in preset it names.
+ * A pattern is invalid if it's not a valid regular expression, or if it matches an empty string
+ * (`getWordRangeAtPosition` rejects such patterns).
+ *
+ * @param {string} languageId The language the pattern is for, for the error message.
+ * @param {string} source The regular expression, or the name of a built-in preset.
+ * @returns {RegExp|null} The pattern, or `null` if it's invalid.
+ */
+function getCustomPattern(languageId, source) {
+    if (Object.prototype.hasOwnProperty.call(SEARCH_CONFIG.LANGUAGE_PATTERNS, source)) {
+        return SEARCH_CONFIG.LANGUAGE_PATTERNS[source];
+    }
+
+    if (!customPatterns.has(source)) {
+        let pattern = null;
+        let problem;
+        try {
+            pattern = new RegExp(source);
+            if (pattern.test("")) {
+                pattern = null;
+                problem = "it matches an empty string";
+            }
+        } catch (error) {
+            problem = error.message;
+        }
+
+        if (!pattern) {
+            const errorMessage = `Invalid token pattern for "${languageId}" in obsidian-tooltips.languagePatterns: ${problem}. The built-in pattern is used instead.`;
+            log(errorMessage);
+            vscode.window.showErrorMessage(errorMessage);
+        }
+        customPatterns.set(source, pattern);
+    }
+    return customPatterns.get(source);
+}
+
 module.exports = {
-    SEARCH_CONFIG
-};
\ No newline at end of file
+    SEARCH_CONFIG,
+    getLanguagePattern,
+    validateLanguagePatterns
+};
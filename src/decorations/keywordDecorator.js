@@ -0,0 +1,217 @@
+const vscode = require("vscode");
+const { log } = require("../utils/logging");
+const { getLanguagePattern } = require("../config/searchConfig");
+const { resolveTokenInVaults } = require("../utils/noteResolver");
+const { getMatchRules, isContextAllowed } = require("../utils/matchRules");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Delay (in milliseconds) before visible editors are re-decorated after scrolling or editing.
+ */
+const DECORATION_DEBOUNCE_MS = 150;
+
+/**
+ * @type {vscode.TextEditorDecorationType|undefined}
+ * @description Decoration type used to underline keywords that have a matching note.
+ */
+let decorationType;
+
+/**
+ * @type {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>}
+ * @description Function that returns the states of the connected vaults. Lookup caches are replaced on every full update,
+ * so the decorator always asks for the current ones instead of keeping references.
+ */
+let getVaultStates = () => new Map();
+
+/** @type {NodeJS.Timeout|undefined} */
+let refreshTimer;
+
+/**
+ * @type {Set<vscode.TextEditor>}
+ * @description Editors waiting to be re-decorated by the scheduled refresh.
+ */
+const pendingEditors = new Set();
+
+/**
+ * FUNC - Registers the keyword underline decorations (`obsidian-tooltips.enableWordUnderline` setting).
+ * Visible ranges of visible editors are tokenized with the same patterns as the hover provider, and every token
+ * that resolves to a note through the lookup cache of any connected vault is underlined. Editors are re-decorated on scroll, edit and settings change.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStatesGetter Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable that removes the decorations and the listeners.
+ */
+function registerKeywordDecorations(context, vaultStatesGetter) {
+    getVaultStates = vaultStatesGetter;
+    decorationType = vscode.window.createTextEditorDecorationType({
+        textDecoration: "underline dotted",
+        cursor: "pointer",
+    });
+
+    const listeners = [
+        vscode.window.onDidChangeVisibleTextEditors(() => scheduleRefresh()),
+        vscode.window.onDidChangeTextEditorVisibleRanges((event) => scheduleRefresh(event.textEditor)),
+        vscode.workspace.onDidChangeTextDocument((event) => {
+            const editors = vscode.window.visibleTextEditors.filter((editor) => editor.document === event.document);
+            editors.forEach((editor) => scheduleRefresh(editor));
+        }),
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            const affectsDecorations = [
+                "enableWordUnderline",
+                "matchContexts",
+                "minKeyLength",
+                "stopWords",
+                "identifierAllowPatterns",
+                "identifierDenyPatterns",
+                "requireNoteOptIn",
+                "noteOptInProperty",
+                "identifierSplitting",
+                "matchWordForms",
+            ].some((setting) => event.affectsConfiguration(`obsidian-tooltips.${setting}`));
+            if (affectsDecorations) {
+                refreshKeywordDecorations();
+            }
+        }),
+    ];
+
+    refreshKeywordDecorations();
+
+    return new vscode.Disposable(() => {
+        clearTimeout(refreshTimer);
+        listeners.forEach((listener) => listener.dispose());
+        decorationType.dispose();
+        decorationType = undefined;
+    });
+}
+
+/**
+ * FUNC - Re-decorates all visible editors. Called after the caches are rebuilt or patched.
+ * @returns {void}
+ */
+function refreshKeywordDecorations() {
+    clearTimeout(refreshTimer);
+    pendingEditors.clear();
+    vscode.window.visibleTextEditors.forEach((editor) => decorateEditor(editor));
+}
+
+/**
+ * FUNC - Schedules re-decoration of a single editor, or of all visible editors if no editor is given.
+ * @param {vscode.TextEditor} [editor] The editor to re-decorate.
+ */
+function scheduleRefresh(editor) {
+    const editors = editor ? [editor] : vscode.window.visibleTextEditors;
+    editors.forEach((item) => pendingEditors.add(item));
+
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+        const editorsToDecorate = Array.from(pendingEditors);
+        pendingEditors.clear();
+        editorsToDecorate.forEach((item) => decorateEditor(item));
+    }, DECORATION_DEBOUNCE_MS);
+}
+
+/**
+ * FUNC - Underlines all tokens in the visible ranges of an editor that resolve to a note.
+ * @param {vscode.TextEditor} editor The editor to decorate.
+ */
+function decorateEditor(editor) {
+    if (!decorationType) return;
+
+    const isEnabled = vscode.workspace
+        .getConfiguration("obsidian-tooltips")
+        .get("enableWordUnderline", false);
+    const vaultStates = getVaultStates();
+
+    // Same documents as the hover provider (`{ scheme: "file" }`)
+    if (!isEnabled || vaultStates.size === 0 || editor.document.uri.scheme !== "file") {
+        editor.setDecorations(decorationType, []);
+        return;
+    }
+
+    try {
+        const ranges = findKeywordRanges(editor.document, editor.visibleRanges, vaultStates);
+        editor.setDecorations(decorationType, ranges);
+    } catch (error) {
+        log(`[Decorations] Failed to decorate ${editor.document.fileName}: ${error.message}`);
+    }
+}
+
+/**
+ * @typedef {object} KeywordMatch
+ * @property {vscode.Range} range - The range of the token.
+ * @property {string} token - The token.
+ * @property {{vaultState: import("../obsidian/vaultStateManager").VaultState, match: import("../utils/noteResolver").ResolvedToken}[]} vaultMatches - The matches in every vault.
+ */
+
+/**
+ * FUNC - Finds the ranges of all tokens that resolve to a note within the given ranges of a document.
+ *
+ * @param {vscode.TextDocument} document The document to scan.
+ * @param {readonly vscode.Range[]} ranges The ranges to scan (usually the visible ranges of an editor).
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {vscode.Range[]} The ranges of the matched tokens.
+ */
+function findKeywordRanges(document, ranges, vaultStates) {
+    return findKeywordMatches(document, ranges, vaultStates).map((keywordMatch) => keywordMatch.range);
+}
+
+/**
+ * FUNC - Finds all tokens that resolve to a note within the given ranges of a document, with the notes they resolve to.
+ * Tokens are found and resolved exactly like for the underline decorations, so the "Obsidian Notes" view shows the same keywords.
+ *
+ * @param {vscode.TextDocument} document The document to scan.
+ * @param {readonly vscode.Range[]} ranges The ranges to scan.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {KeywordMatch[]} The matched tokens, in document order.
+ */
+function findKeywordMatches(document, ranges, vaultStates) {
+    const keywordMatches = [];
+    if (vaultStates.size === 0) return keywordMatches;
+
+    // Use the same pattern as the hover provider, but global, to find every token in a line
+    const languagePattern = getLanguagePattern(document.languageId);
+    const pattern = new RegExp(languagePattern.source, languagePattern.flags.replace("g", "") + "g");
+
+    // The same token usually appears many times on screen, so resolve each one only once.
+    // The context (comment, string...) depends on the position, so it's checked for every occurrence.
+    const matchRules = getMatchRules(document);
+    const resolvedTokens = new Map();
+
+    for (const range of ranges) {
+        for (let lineNumber = range.start.line; lineNumber <= range.end.line; lineNumber++) {
+            const lineText = document.lineAt(lineNumber).text;
+            pattern.lastIndex = 0;
+
+            let match;
+            while ((match = pattern.exec(lineText)) !== null) {
+                const token = match[0];
+                if (!token) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                if (!resolvedTokens.has(token)) {
+                    resolvedTokens.set(token, resolveTokenInVaults(token, vaultStates, matchRules));
+                }
+
+                const vaultMatches = resolvedTokens.get(token);
+                if (vaultMatches.length > 0) {
+                    const tokenRange = new vscode.Range(lineNumber, match.index, lineNumber, match.index + token.length);
+                    if (isContextAllowed(matchRules, document, tokenRange)) {
+                        keywordMatches.push({ range: tokenRange, token, vaultMatches });
+                    }
+                }
+            }
+        }
+    }
+
+    return keywordMatches;
+}
+
+module.exports = {
+    registerKeywordDecorations,
+    refreshKeywordDecorations,
+    findKeywordRanges,
+    findKeywordMatches
+};
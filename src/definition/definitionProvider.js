@@ -0,0 +1,101 @@
+const vscode = require("vscode");
+const { log } = require("../utils/logging");
+const { resolveTokenInVaults, findTokenAtPosition } = require("../utils/noteResolver");
+const { applyPreferredNoteToMatches } = require("../obsidian/notePreferences");
+const { getMatchRules, isContextAllowed } = require("../utils/matchRules");
+const { findPhraseAtPosition } = require("../utils/phraseMatcher");
+const { findAnnotationAtPosition, resolveAnnotation } = require("../annotations/annotationParser");
+
+/**
+ * Registers the definition provider for Obsidian notes.
+ * "Go to Definition" and "Peek Definition" on a keyword open the Markdown file of the matching note inside VS Code.
+ * On a note reference (`// @obsidian [[Note]]`, a wikilink or an Obsidian URI), they open the note it points to, like the hover.
+ * The keyword (or a phrase of several words in comments and prose) is resolved the same way as in the hover provider, with the same matching rules. When several notes match (in any of the connected vaults), all of them are returned,
+ * the note the user chose for the keyword first.
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates - The states of the connected vaults, keyed by vault path.
+ * @returns {vscode.Disposable} A disposable object that can be used to unregister the provider.
+ */
+function registerDefinitionProvider(context, vaultStates) {
+    return vscode.languages.registerDefinitionProvider(
+        { scheme: "file", pattern: "**/*" },
+        {
+            /**
+             * FUNC - Provides the locations of the notes that match the token at the given position.
+             */
+            provideDefinition(document, position) {
+                if (vaultStates.size === 0) return null;
+
+                // An annotation (`// @obsidian [[Note]]`) points to exactly one note, the matching rules don't apply to it
+                const annotation = findAnnotationAtPosition(document, position);
+                if (annotation) {
+                    const annotatedNote = resolveAnnotation(annotation, vaultStates);
+                    if (!annotatedNote) return null;
+                    log(`[Definition] Annotation "${annotation.target}" resolved to ${annotatedNote.noteData.relativePath}`);
+                    return [createNoteLocation(annotatedNote.noteData, annotation.targetRange)];
+                }
+
+                const matchRules = getMatchRules(document);
+                const found = findPhraseAtPosition(document, position, vaultStates, matchRules)
+                    || findTokenMatches(document, position, vaultStates, matchRules);
+                if (!found) return null;
+
+                const { vaultMatches, range: originRange } = found;
+
+                const { foundNotes } = applyPreferredNoteToMatches(context, vaultMatches);
+
+                /** @type {vscode.LocationLink[]} */
+                const locations = [];
+                for (const { vaultState, info } of foundNotes) {
+                    const noteData = vaultState.notesCache.get(info.path);
+                    if (!noteData) {
+                        log(`Error: No data found in notesCache for path ${info.path}`);
+                        continue;
+                    }
+
+                    // Highlight the whole token (e.g. `obj.method`) or phrase, not only the word under the cursor
+                    locations.push(createNoteLocation(noteData, originRange));
+                }
+
+                log(`[Definition] "${document.getText(originRange)}" resolved to ${locations.length} notes`);
+                return locations;
+            },
+        }
+    );
+}
+
+/**
+ * FUNC - Creates the location of a note file, at its start.
+ * @param {{fullPath: string}} noteData The note data from `notesCache`.
+ * @param {vscode.Range} originRange The range that is highlighted in the document.
+ * @returns {vscode.LocationLink} The location.
+ */
+function createNoteLocation(noteData, originRange) {
+    const noteStart = new vscode.Range(0, 0, 0, 0);
+    return {
+        originSelectionRange: originRange,
+        targetUri: vscode.Uri.file(noteData.fullPath),
+        targetRange: noteStart,
+        targetSelectionRange: noteStart,
+    };
+}
+
+/**
+ * FUNC - Resolves the token at a position, like the hover provider does when no phrase matches.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Position} position The position of the cursor.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {import("../utils/matchRules").MatchRules} matchRules The matching rules of the document.
+ * @returns {{vaultMatches: object[], range: vscode.Range}|null} The matches and the range of the token, or `null`.
+ */
+function findTokenMatches(document, position, vaultStates, matchRules) {
+    const tokenAtPosition = findTokenAtPosition(document, position);
+    if (!tokenAtPosition || !isContextAllowed(matchRules, document, tokenAtPosition.range)) return null;
+
+    const vaultMatches = resolveTokenInVaults(tokenAtPosition.token, vaultStates, matchRules);
+    return vaultMatches.length > 0 ? { vaultMatches, range: tokenAtPosition.range } : null;
+}
+
+module.exports = {
+    registerDefinitionProvider
+};
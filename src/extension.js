@@ -5,21 +5,59 @@ const { initializeLogging, log } = require("./utils/logging");
 const {
     findObsidian,
     getObsidianVaults,
+    validateVaultFolder,
 } = require("./obsidian/obsidianFinder");
 const { registerHoverProvider } = require("./hover/hoverProvider");
+const {
+    registerDefinitionProvider,
+} = require("./definition/definitionProvider");
+const { registerCompletionProvider } = require("./completion/completionProvider");
+const { registerCreateNoteActionProvider } = require("./codeActions/createNoteActionProvider");
 const {
     registerConnectCommand,
+    registerConnectFolderCommand,
     pickDirectories,
 } = require("./obsidian/vaultConnectionManager");
-const { getNoteContent, isVaultModified } = require("./obsidian/noteFetcher");
+const { getNoteContent } = require("./obsidian/noteFetcher");
 const {
+    createVaultState,
     updateNotesInformation,
     buildLookupCache,
+    syncVaultChanges,
 } = require("./obsidian/vaultStateManager");
+const { startVaultWatcher } = require("./obsidian/vaultWatcher");
+const { createNoteFilter, getScanScope, isSameScanScope } = require("./obsidian/noteFilter");
+const {
+    migrateLegacyVaultState,
+    getConnectedVaults,
+    getSelectedDirectories,
+} = require("./obsidian/vaultRegistry");
+const {
+    registerKeywordDecorations,
+    refreshKeywordDecorations,
+} = require("./decorations/keywordDecorator");
 const {
     registerPickDirectoriesCommand,
 } = require("./obsidian/commands/pickDirectoriesCommand");
 const { registerUpdateCommand } = require("./obsidian/commands/updateCommand");
+const { registerRemoveVaultCommand } = require("./obsidian/commands/removeVaultCommand");
+const { registerListVaultsCommand } = require("./obsidian/commands/listVaultsCommand");
+const { registerSearchNotesCommand } = require("./obsidian/commands/searchNotesCommand");
+const { registerCreateNoteCommand } = require("./obsidian/commands/createNoteCommand");
+const { registerAddAliasCommand } = require("./obsidian/commands/addAliasCommand");
+const { validateLanguagePatterns } = require("./config/searchConfig");
+const { registerDiagnoseCommand } = require("./obsidian/commands/diagnoseCommand");
+const { registerLinkedNotesView, refreshLinkedNotesView } = require("./views/linkedNotesView");
+const { registerFindUsagesCommand } = require("./obsidian/commands/findUsagesCommand");
+const { registerNoteReferenceProvider } = require("./references/noteReferenceProvider");
+const { registerAnnotationIndex, refreshAnnotations } = require("./annotations/annotationIndex");
+const { registerAnnotationLinkProvider } = require("./annotations/annotationLinkProvider");
+const { registerFixNoteReferenceActionProvider } = require("./codeActions/fixNoteReferenceActionProvider");
+const { registerAnnotatedConceptsCommand } = require("./obsidian/commands/annotatedConceptsCommand");
+const {
+    registerChoosePreferredNoteCommand,
+    registerManagePreferredNotesCommand,
+} = require("./obsidian/commands/preferredNotesCommand");
 
 /** ! Use log(...) function for logging.
  * Implementation: {@link log} function in `logging.js`.
@@ -29,33 +67,35 @@ const { registerUpdateCommand } = require("./obsidian/commands/updateCommand");
 
 /**
  * @global
- * @type {number}
- * @description Timestamp of the last update of notes information. Used to check if the vault has been modified since the last update.
- * Used in:
- * {@link updateNotesInformation} in `vaultStateManager.js` to determine if the vault needs to be updated.
- * {@link isVaultModified} in `noteFetcher.js` to check if the vault has been modified since the last update.
+ * @type {Map<string, import("./obsidian/vaultStateManager").VaultState>}
+ * @description State of every connected vault, keyed by the full path to the vault.
+ * Each state holds the caches of one vault:
+ * - `notesCache`: Obsidian notes information (titles, aliases, URIs). Key is the relative path to the note file,
+ *   value is an object containing { relativePath, fullPath, aliases, tags, title, properties, uri }.
+ *   It is saved to and loaded from the vault's `notes-cache-<hash>.json` between sessions.
+ * - `lookupCache`: the normalized keys (file names and aliases) used to find notes for a token.
+ * - `lastUpdateTime`: timestamp of the last update, used to check if the vault has been modified since.
+ * The providers hold a reference to this Map, so adding and removing vaults doesn't require new Maps.
  */
-let lastUpdateTime = 0;
+const vaultStates = new Map();
+
+let hoverProviderDisposable;
+let definitionProviderDisposable;
+let completionProviderDisposable;
 
 /**
  * @global
- * @type {Set<string>}
- * @description Set of directories selected by the user for scanning Obsidian notes.
- * Defaults to "Notes In Root" if no directories are saved in global state.
+ * @type {Map<string, vscode.Disposable>}
+ * @description Disposables of the running vault watchers, keyed by vault path. See {@link startVaultWatcher} in `vaultWatcher.js`.
  */
-let selectedDirectories = new Set(["Notes In Root"]);
+const vaultWatcherDisposables = new Map();
 
 /**
  * @global
- * @type {Map<string, object>}
- * @description Temporary cache for Obsidian notes information (titles, aliases, URIs).
- * Key is the relative path to the note file, value is an object containing { fullPath, aliases, uri }.
- * This cache is saved to and loaded from `notes-cache.json` between sessions.
+ * @type {Map<string, NodeJS.Timeout>}
+ * @description Timers used to debounce saving the cache file of a vault after the vault watcher patched its caches.
  */
-let notesCache = new Map();
-
-let lookupCache = new Map();
-let hoverProviderDisposable;
+const cacheSaveTimers = new Map();
 
 /**
  * FUNC - Activates the extension (Entry point).
@@ -70,62 +110,210 @@ function activate(context) {
     initializeLogging();
     log("Extension activated!");
 
-    // STEP 2. When the extension is activated, check the global state for previously selected directories.
-    restoreSelectedDirectories(context);
-
-    // STEP 3. Initialize the extension on activation.
+    // STEP 2. Initialize the extension on activation (load the caches of all connected vaults).
     initializeOnActivation(context);
 
-    // STEP 4. Register all the commands (that user can call from VS Code) that the extension provides.
+    // STEP 3. Register all the commands (that user can call from VS Code) that the extension provides.
     registerCommands(context);
 
+    // STEP 4. Register the underline decorations for keywords that have notes.
+    context.subscriptions.push(
+        registerKeywordDecorations(context, () => vaultStates)
+    );
+
+    // STEP 5. Register the completion of note names and aliases after `[[` or the configured prefix.
+    registerCompletion(context);
+
+    // STEP 6. Register the "Create Obsidian note" code action for tokens without a note.
+    context.subscriptions.push(
+        registerCreateNoteActionProvider(context, () => vaultStates)
+    );
+
+    // STEP 7. Register the "Obsidian Notes" view in the Explorer, listing the notes linked from the active editor.
+    context.subscriptions.push(
+        registerLinkedNotesView(context, () => vaultStates)
+    );
+
+    // STEP 8. Register "Find All References" in notes, listing where the note is used in the workspace.
+    context.subscriptions.push(
+        registerNoteReferenceProvider(() => vaultStates)
+    );
+
+    // STEP 9. Register the index of the note references (`// @obsidian [[Note]]`, wikilinks, Obsidian URIs) of the workspace,
+    // with their links, the diagnostics of the broken ones and their quick fixes.
+    context.subscriptions.push(
+        registerAnnotationIndex(() => vaultStates),
+        registerAnnotationLinkProvider(() => vaultStates),
+        registerFixNoteReferenceActionProvider(() => vaultStates)
+    );
+
+    // STEP 10. React to changes of the extension settings.
+    registerConfigurationListener(context);
+
     log("Extension fully initialized");
 }
 
 /**
- * FUNC - Restores the selected directories from the global state.
- * @param {vscode.ExtensionContext} context The extension context.
+ * FUNC - Gets the state of a connected vault, creating an empty state for a vault that has none yet.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {import("./obsidian/vaultStateManager").VaultState} The state of the vault.
  */
-function restoreSelectedDirectories(context) {
-    // Restore selected directories from global state.
-    // Global state is a storage provided by VS Code to save data across sessions.
-    const savedDirs = context.globalState.get("selectedDirectories");
-
-    // If previously saved directories exist, use them; otherwise, default to "Notes In Root"
-    selectedDirectories = savedDirs
-        ? new Set(savedDirs)
-        : new Set(["Notes In Root"]);
+function getVaultState(vaultPath) {
+    if (!vaultStates.has(vaultPath)) {
+        vaultStates.set(vaultPath, createVaultState(vaultPath));
+    }
+    return vaultStates.get(vaultPath);
 }
 
 /**
- * FUNC - Re-registers the Hover Provider with the current state of the caches.
- * This function disposes of the old provider and creates a new one, ensuring
- * that hover tooltips always use the most up-to-date data.
+ * FUNC - Re-registers the Hover Provider and the Definition Provider with the current state of the caches.
+ * This function disposes of the old providers and creates new ones, ensuring
+ * that hover tooltips and "Go to Definition" always use the most up-to-date data.
  * @param {vscode.ExtensionContext} context The extension context.
  */
-function reRegisterHoverProvider(context) {
-    // Step 1. Delete the old hover provider to avoid duplicates
+function reRegisterProviders(context) {
+    // Step 1. Delete the old providers to avoid duplicates
     if (hoverProviderDisposable) {
         hoverProviderDisposable.dispose();
     }
+    if (definitionProviderDisposable) {
+        definitionProviderDisposable.dispose();
+    }
 
-    // Step 2. Register new hover provider with the updated data from variables
+    // Step 2. Register new providers with the updated data from variables
     hoverProviderDisposable = registerHoverProvider(
         context,
-        lookupCache,
-        notesCache,
+        vaultStates,
         getNoteContent
     );
+    definitionProviderDisposable = registerDefinitionProvider(
+        context,
+        vaultStates
+    );
+
+    // Step 3. Add the new providers to the context subscriptions
+    context.subscriptions.push(hoverProviderDisposable, definitionProviderDisposable);
+    log("Hover and definition providers re-registered with updated data");
+
+    // Step 4. Re-decorate visible editors, rebuild the "Obsidian Notes" view and check the annotations with the updated data
+    refreshKeywordDecorations();
+    refreshLinkedNotesView();
+    refreshAnnotations();
+}
+
+/**
+ * FUNC - Registers the completion provider, replacing the previous one.
+ * The provider reads the connected vaults on every request, so it's only re-registered when its trigger characters change.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+function registerCompletion(context) {
+    if (completionProviderDisposable) {
+        completionProviderDisposable.dispose();
+    }
+    completionProviderDisposable = registerCompletionProvider(context, () => vaultStates);
+    context.subscriptions.push(completionProviderDisposable);
+}
 
-    // Step 3. Add the new hover provider to the context subscriptions
-    context.subscriptions.push(hoverProviderDisposable);
-    log("Hover provider re-registered with updated data");
+/**
+ * FUNC - Starts a vault watcher for every connected vault that is not watched yet,
+ * and stops the watchers of removed vaults (or all watchers when the watcher is disabled in the settings).
+ * The watchers patch the caches of their vault in place, so the providers don't need to be re-registered.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+function syncVaultWatchers(context) {
+    const watcherEnabled = vscode.workspace
+        .getConfiguration("obsidian-tooltips")
+        .get("enableVaultWatcher", true);
+    // Vaults that could not be loaded (e.g. a missing folder) have no state and are not watched
+    const connectedVaults = watcherEnabled
+        ? getConnectedVaults(context).filter((vaultPath) => vaultStates.has(vaultPath))
+        : [];
+
+    for (const [vaultPath, disposable] of vaultWatcherDisposables) {
+        if (!connectedVaults.includes(vaultPath)) {
+            disposable.dispose();
+            vaultWatcherDisposables.delete(vaultPath);
+        }
+    }
+
+    for (const vaultPath of connectedVaults) {
+        if (vaultWatcherDisposables.has(vaultPath)) continue;
+
+        const disposable = startVaultWatcher(
+            vaultPath,
+            context,
+            () => getVaultState(vaultPath),
+            () => onDidPatchCaches(context, vaultPath)
+        );
+        vaultWatcherDisposables.set(vaultPath, disposable);
+        context.subscriptions.push(disposable);
+    }
+}
+
+/**
+ * FUNC - Saves the cache file of a vault shortly after the last change applied by its vault watcher.
+ * Several batches of watcher events are written to disk with a single save.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {string} vaultPath The full path to the vault.
+ */
+function scheduleCacheSave(context, vaultPath) {
+    clearTimeout(cacheSaveTimers.get(vaultPath));
+    cacheSaveTimers.set(vaultPath, setTimeout(() => {
+        cacheSaveTimers.delete(vaultPath);
+        if (!vaultStates.has(vaultPath)) return; // The vault was removed in the meantime
+
+        const { notesCache, lastUpdateTime, noteFilter } = vaultStates.get(vaultPath);
+        saveCache(context, vaultPath, notesCache, lastUpdateTime, getScanScope(noteFilter), log).catch(() => {
+            // Error is already logged by saveCache
+        });
+    }, 2000));
+}
+
+/**
+ * FUNC - Finishes an in-place update of the caches of a vault (by the vault watcher or a command that edited a note):
+ * the update time is moved forward, the cache file is saved with a short delay, visible editors are re-decorated, the "Obsidian Notes" view is rebuilt and the annotations are checked again.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {string} vaultPath The full path to the vault.
+ */
+function onDidPatchCaches(context, vaultPath) {
+    getVaultState(vaultPath).lastUpdateTime = Date.now();
+    scheduleCacheSave(context, vaultPath);
+    refreshKeywordDecorations();
+    refreshLinkedNotesView();
+    refreshAnnotations();
 }
 
 /**
- * FUNC - Updates the notes information and re-registers the Hover Provider.
+ * FUNC - Rebuilds the lookup caches of all loaded vaults, e.g. after the `matchPriority` setting changed.
+ * The notes caches are not affected, so nothing is read from disk.
  */
+function rebuildLookupCaches() {
+    for (const vaultState of vaultStates.values()) {
+        if (!vaultState.noteFilter) continue;
+        vaultState.lookupCache = buildLookupCache(vaultState.notesCache).lookupCache;
+    }
+    log("Rebuilt the lookup caches with the new match priority");
+    refreshKeywordDecorations();
+    refreshLinkedNotesView();
+    refreshAnnotations();
+}
+
+/**
+ * FUNC - Drops the in-memory state of a removed vault and stops its watcher.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {string} vaultPath The full path to the removed vault.
+ */
+function forgetVault(context, vaultPath) {
+    clearTimeout(cacheSaveTimers.get(vaultPath));
+    cacheSaveTimers.delete(vaultPath);
+    vaultStates.delete(vaultPath);
+    syncVaultWatchers(context);
+    reRegisterProviders(context);
+}
 
+/**
+ * FUNC - Updates the notes information of a vault, stores it in the state of the vault and re-registers the Hover Provider.
+ */
 async function updateAndReRegister(
     vaultPath,
     force,
@@ -143,16 +331,22 @@ async function updateAndReRegister(
         selectedDirectories
     );
 
-    // Update all global variables
-    notesCache = result.notesCache;
-    lookupCache = result.lookupCache;
-    lastUpdateTime = result.lastUpdateTime;
+    // Update the state of the vault
+    const vaultState = getVaultState(vaultPath);
+    vaultState.notesCache = result.notesCache;
+    vaultState.lookupCache = result.lookupCache;
+    vaultState.lastUpdateTime = result.lastUpdateTime;
+    vaultState.noteFilter = result.noteFilter;
+    vaultState.loadError = undefined;
 
     // Re-register HoverProvider with new data
-    reRegisterHoverProvider(context);
+    reRegisterProviders(context);
+
+    // Keep the new data up to date with changes in the vault
+    syncVaultWatchers(context);
 
     // Return the result, which the calling code expects (if it needs it)
-    return { notesCache: notesCache, lastUpdateTime: lastUpdateTime };
+    return { notesCache: vaultState.notesCache, lastUpdateTime: vaultState.lastUpdateTime };
 }
 
 /**
@@ -161,56 +355,190 @@ async function updateAndReRegister(
  */
 async function initializeOnActivation(context) {
     try {
-        // Check the global state (storage) for a connected vault.
-        const connectedVault = context.globalState.get("connectedVault");
-        if (!connectedVault) {
+        // Move the single connected vault of previous versions to the list of connected vaults.
+        await migrateLegacyVaultState(context);
+
+        // Check the global state (storage) for connected vaults.
+        const connectedVaults = getConnectedVaults(context);
+        if (connectedVaults.length === 0) {
             log("No connected vault found. Skipping automatic update.");
             // Call registration with empty parameter to activate the provider
-            reRegisterHoverProvider(context);
+            reRegisterProviders(context);
             return;
         }
 
+        for (const vaultPath of connectedVaults) {
+            await initializeVault(context, vaultPath);
+        }
+    } catch (error) {
+        log(`Error during initialization: ${error.message}`);
+    }
+}
+
+/**
+ * FUNC - Loads the cache of a connected vault and catches up with the changes made in the vault while VS Code was closed.
+ * Errors are logged per vault, so one unavailable vault doesn't prevent the others from loading.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {string} vaultPath The full path to the vault.
+ */
+async function initializeVault(context, vaultPath) {
+    try {
+        // Vaults from the settings are not validated when they are added, and a synced folder could be missing on this machine
+        const validation = await validateVaultFolder(vaultPath);
+        if (!validation.isValid) {
+            log(`Skipping vault: ${validation.message}`);
+            vscode.window.showWarningMessage(`Obsidian Tooltips: can't load vault "${vaultPath}". ${validation.message}`);
+            return;
+        }
+
+        const vaultState = getVaultState(vaultPath);
+        const selectedDirectories = getSelectedDirectories(context, vaultPath);
+        const noteFilter = await createNoteFilter(vaultPath, selectedDirectories);
+
         const loadedData = await loadCache(
             context,
-            notesCache,
-            lastUpdateTime,
+            vaultPath,
+            vaultState.notesCache,
+            vaultState.lastUpdateTime,
+            getScanScope(noteFilter),
             log
         );
         if (loadedData.cacheLoaded) {
-            notesCache = loadedData.notesCache;
-            lastUpdateTime = loadedData.lastUpdateTime;
-            log(`Loaded ${notesCache.size} notes from file cache.`);
+            vaultState.notesCache = loadedData.notesCache;
+            vaultState.lastUpdateTime = loadedData.lastUpdateTime;
+            vaultState.noteFilter = noteFilter;
+            vaultState.loadError = undefined;
+            log(`Loaded ${vaultState.notesCache.size} notes of vault ${vaultPath} from file cache.`);
 
             // Build the lookup cache from the loaded notes cache
-            const builtCaches = buildLookupCache(notesCache);
-            lookupCache = builtCaches.lookupCache;
+            const builtCaches = buildLookupCache(vaultState.notesCache);
+            vaultState.lookupCache = builtCaches.lookupCache;
         }
 
-        const needsRefresh = await isVaultModified(
-            connectedVault,
-            lastUpdateTime
-        );
-
-        if (!loadedData.cacheLoaded || needsRefresh) {
-            log("Cache needs refresh. Updating notes information...");
+        if (!loadedData.cacheLoaded) {
+            log(`No cached data for vault ${vaultPath}. Updating notes information...`);
             await updateAndReRegister(
-                connectedVault,
+                vaultPath,
                 true,
                 context,
-                notesCache,
-                lastUpdateTime,
+                vaultState.notesCache,
+                vaultState.lastUpdateTime,
                 selectedDirectories
             );
+            return;
+        }
+
+        // Register the provider with the loaded data right away, so tooltips don't wait for the vault sync.
+        reRegisterProviders(context);
+        syncVaultWatchers(context);
+
+        // Catch up with changes made in the vault while VS Code was closed.
+        // Only new, modified and removed notes are applied, the rest of the cached data is kept.
+        const changedCount = await syncVaultChanges(
+            vaultPath,
+            vaultState.notesCache,
+            vaultState.lookupCache,
+            vaultState.lastUpdateTime,
+            noteFilter
+        );
+        if (changedCount > 0) {
+            vaultState.lastUpdateTime = Date.now();
+            refreshKeywordDecorations();
+            refreshLinkedNotesView();
+            refreshAnnotations();
+            await saveCache(context, vaultPath, vaultState.notesCache, vaultState.lastUpdateTime, getScanScope(noteFilter), log);
         } else {
-            log("Using existing cache data.");
-            // We still need to register the provider with the loaded data
-            reRegisterHoverProvider(context);
+            log(`Using existing cache data for vault ${vaultPath}.`);
         }
     } catch (error) {
-        log(`Error during initialization: ${error.message}`);
+        log(`Error during initialization of vault ${vaultPath}: ${error.message}`);
+
+        // The other vaults don't wait for a vault that failed to load, e.g. to report broken note references
+        const vaultState = vaultStates.get(vaultPath);
+        if (vaultState && !vaultState.noteFilter) {
+            vaultState.loadError = error.message;
+            refreshAnnotations();
+        }
+    }
+}
+
+/**
+ * FUNC - Applies changes of the connected vaults made outside of the extension commands,
+ * e.g. an edit of the `obsidian-tooltips.workspaceVaults` setting or a checked-in `.vscode/settings.json` file.
+ * New vaults are loaded, vaults that are no longer connected are dropped from memory (their cache files are kept),
+ * and vaults whose selected directories or filters changed are scanned again.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+async function syncConnectedVaults(context) {
+    const connectedVaults = getConnectedVaults(context);
+
+    for (const vaultPath of Array.from(vaultStates.keys())) {
+        if (!connectedVaults.includes(vaultPath)) {
+            log(`Vault is no longer connected in this workspace: ${vaultPath}`);
+            forgetVault(context, vaultPath);
+        }
+    }
+
+    for (const vaultPath of connectedVaults) {
+        const vaultState = vaultStates.get(vaultPath);
+        const selectedDirectories = getSelectedDirectories(context, vaultPath);
+
+        if (!vaultState) {
+            await initializeVault(context, vaultPath);
+        } else if (vaultState.noteFilter && !isSameScanScope(vaultState.noteFilter, await createNoteFilter(vaultPath, selectedDirectories))) {
+            // A vault that is still loading has no rules yet, it's loaded with the current ones
+            log(`Selected directories or filters of vault ${vaultPath} changed. Updating notes information...`);
+            await updateAndReRegister(
+                vaultPath,
+                true,
+                context,
+                vaultState.notesCache,
+                vaultState.lastUpdateTime,
+                selectedDirectories
+            ).catch(() => {
+                // Error is already shown by updateNotesInformation
+            });
+        }
     }
 }
 
+/**
+ * FUNC - Listens for changes of the extension settings and applies them without reloading the window.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+function registerConfigurationListener(context) {
+    const listener = vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("obsidian-tooltips.enableVaultWatcher")) {
+            syncVaultWatchers(context);
+        }
+        if (event.affectsConfiguration("obsidian-tooltips.completionTriggerPrefix")) {
+            registerCompletion(context);
+        }
+        if (event.affectsConfiguration("obsidian-tooltips.languagePatterns")) {
+            // Invalid patterns are reported by `validateLanguagePatterns`, the built-in ones are used instead
+            const invalidLanguages = validateLanguagePatterns();
+            log(`Token patterns updated${invalidLanguages.length > 0 ? `, invalid for: ${invalidLanguages.join(", ")}` : ""}`);
+            refreshKeywordDecorations();
+        }
+        if (event.affectsConfiguration("obsidian-tooltips.matchPriority")) {
+            rebuildLookupCaches();
+        }
+        const affectsVaults = [
+            "workspaceVaults",
+            "vaultPaths",
+            "includePatterns",
+            "excludePatterns",
+            "includeTags",
+            "excludeTags",
+            "excludeTemplatesFolder",
+        ].some((setting) => event.affectsConfiguration(`obsidian-tooltips.${setting}`));
+        if (affectsVaults) {
+            syncConnectedVaults(context);
+        }
+    });
+    context.subscriptions.push(listener);
+}
+
 /**
  * FUNC - Deactivates the extension. This function is called by VS Code when the extension is deactivated
  * @returns {void}
@@ -229,9 +557,7 @@ function registerCommands(context) {
     // ANCHOR - Register the "Update Notes Information" command.
     const updateCommand = registerUpdateCommand(
         context,
-        notesCache,
-        lastUpdateTime,
-        saveCache,
+        getVaultState,
         log,
         updateHandler
     );
@@ -257,9 +583,7 @@ function registerCommands(context) {
     // ANCHOR - Register the "Pick Directories" command.
     const pickDirectoriesCommand = registerPickDirectoriesCommand(
         context,
-        notesCache,
-        lastUpdateTime,
-        saveCache,
+        getVaultState,
         log,
         updateHandler
     );
@@ -267,9 +591,7 @@ function registerCommands(context) {
     // ANCHOR - Register the "Connect With Obsidian" command.
     const connectCommand = registerConnectCommand(
         context,
-        notesCache,
-        lastUpdateTime,
-        saveCache,
+        getVaultState,
         log,
         findObsidian,
         getObsidianVaults,
@@ -277,12 +599,103 @@ function registerCommands(context) {
         pickDirectories
     );
 
+    // ANCHOR - Register the "Connect Vault Folder" command.
+    const connectFolderCommand = registerConnectFolderCommand(
+        context,
+        getVaultState,
+        log,
+        updateHandler,
+        pickDirectories
+    );
+
+    // ANCHOR - Register the "Remove Vault" command.
+    const removeVaultCommand = registerRemoveVaultCommand(
+        context,
+        log,
+        (vaultPath) => forgetVault(context, vaultPath)
+    );
+
+    // ANCHOR - Register the "List Connected Vaults" command.
+    const listVaultsCommand = registerListVaultsCommand(
+        context,
+        getVaultState,
+        log
+    );
+
+    // ANCHOR - Register the "Search Notes" command.
+    const searchNotesCommand = registerSearchNotesCommand(
+        context,
+        () => vaultStates,
+        log
+    );
+
+    // ANCHOR - Register the "Create Note" command.
+    const createNoteCommand = registerCreateNoteCommand(
+        context,
+        getVaultState,
+        log,
+        (vaultPath) => onDidPatchCaches(context, vaultPath)
+    );
+
+    // ANCHOR - Register the "Add Alias to Note" command.
+    const addAliasCommand = registerAddAliasCommand(
+        context,
+        () => vaultStates,
+        log,
+        (vaultPath) => onDidPatchCaches(context, vaultPath)
+    );
+
+    // ANCHOR - Register the "Choose Preferred Note" command.
+    const choosePreferredNoteCommand = registerChoosePreferredNoteCommand(
+        context,
+        () => vaultStates,
+        log
+    );
+
+    // ANCHOR - Register the "Manage Preferred Notes" command.
+    const managePreferredNotesCommand = registerManagePreferredNotesCommand(
+        context,
+        log
+    );
+
+    // ANCHOR - Register the "Diagnose" command.
+    const diagnoseCommand = registerDiagnoseCommand(
+        context,
+        getVaultState,
+        log
+    );
+
+    // ANCHOR - Register the "Find Usages in Code" command.
+    const findUsagesCommand = registerFindUsagesCommand(
+        context,
+        () => vaultStates,
+        log,
+        (vaultPath) => onDidPatchCaches(context, vaultPath)
+    );
+
+    // ANCHOR - Register the "Show Annotated Concepts" command.
+    const annotatedConceptsCommand = registerAnnotatedConceptsCommand(
+        () => vaultStates,
+        log
+    );
+
     // Add all registered commands and providers to the extension's subscriptions
     context.subscriptions.push(
         connectCommand,
+        connectFolderCommand,
         updateCommand,
         openUriCommand,
-        pickDirectoriesCommand
+        pickDirectoriesCommand,
+        removeVaultCommand,
+        listVaultsCommand,
+        searchNotesCommand,
+        createNoteCommand,
+        addAliasCommand,
+        choosePreferredNoteCommand,
+        managePreferredNotesCommand,
+        diagnoseCommand,
+        findUsagesCommand,
+        annotatedConceptsCommand
     );
 }
 
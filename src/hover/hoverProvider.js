@@ -1,22 +1,32 @@
 const vscode = require("vscode");
 const path = require("path");
 const { log } = require("../utils/logging");
-const { canonicalNormalize } = require("../utils/normalizer");
-const { SEARCH_CONFIG } = require('../config/searchConfig');
 const { deconstructToken } = require("../utils/tokenDeconstructor");
+const { resolveTokenInVaults, findTokenAtPosition } = require("../utils/noteResolver");
+const { getVaultName } = require("../obsidian/vaultRegistry");
+const { createNoteLink } = require("../utils/noteUriHandler");
+const { renderObsidianMarkdown } = require("./obsidianMarkdown");
+const { applyPreferredNoteToMatches } = require("../obsidian/notePreferences");
+const { getMatchRules, isContextAllowed } = require("../utils/matchRules");
+const { findPhraseAtPosition } = require("../utils/phraseMatcher");
+const { findAnnotationAtPosition, resolveAnnotation } = require("../annotations/annotationParser");
+
+/**
+ * @typedef {object} FoundNote
+ * @property {import("../obsidian/vaultStateManager").VaultState} vaultState - The state of the vault that contains the note.
+ * @property {{path: string, isFileName: boolean}} info - The pointer to the note in the vault's notes cache.
+ */
 
 /**
  * Registers the hover provider for Obsidian tooltips.
  * @param {vscode.ExtensionContext} context - The extension context.
- * @param {Map<string, Map<string, {path: string, isFileName: boolean}[]>>} lookupCache - The cache for quick note lookups.
- * @param {Map<string, object>} notesCache - A cache containing detailed information about each note.
- * @param {function(string): Promise<string>} getNoteContent - A function to retrieve the content of a note.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates - The states of the connected vaults (notes and lookup caches), keyed by vault path.
+ * @param {function(string, object): Promise<string>} getNoteContent - A function to retrieve the content of a note.
  * @returns {vscode.Disposable} A disposable object that can be used to unregister the provider.
  */
 function registerHoverProvider(
     context,
-    lookupCache,
-    notesCache,
+    vaultStates,
     getNoteContent
 ) {
     return vscode.languages.registerHoverProvider(
@@ -26,50 +36,52 @@ function registerHoverProvider(
              *FUNC - Provides hover content for a given document and position.
              */
             async provideHover(document, position) {
-                if (!context.globalState.get("connectedVault")) return null;
+                if (vaultStates.size === 0) return null;
 
-                // --- 1. Candidate Extraction ---
-                const pattern = SEARCH_CONFIG.LANGUAGE_PATTERNS[document.languageId] || SEARCH_CONFIG.LANGUAGE_PATTERNS['default'];
-                const maxTokenRange = document.getWordRangeAtPosition(position, pattern);
-                if (!maxTokenRange) return null;
+                // --- 0. Annotation (`// @obsidian [[Note]]`) ---
+                // An explicit annotation points to exactly one note, the matching rules don't apply to it
+                const annotation = findAnnotationAtPosition(document, position);
+                if (annotation) {
+                    const annotatedNote = resolveAnnotation(annotation, vaultStates);
+                    if (!annotatedNote) return null;
+                    log(`[Hover] SUCCESS: Found the annotated note "${annotatedNote.noteData.relativePath}"`);
+                    const info = { path: annotatedNote.noteData.relativePath, isFileName: true };
+                    return createHover([{ vaultState: annotatedNote.vaultState, info }], annotation.range, getNoteContent, {
+                        keyword: annotation.target,
+                        isPreferred: false,
+                        source: "annotation",
+                    });
+                }
 
-                const maxToken = document.getText(maxTokenRange);
-                const candidates = deconstructToken(maxToken);
-                log(`[Hover] Candidates for "${maxToken}": [${candidates.join(', ')}]`);
+                // The matching rules (contexts, stop words, opt-in...) can differ per language
+                const matchRules = getMatchRules(document);
 
-                // --- 2. Maximum Relevance Search ---
-                for (const candidate of candidates) {
-                    const normalizedCandidate = canonicalNormalize(candidate);
-                    const shelf = lookupCache.get(normalizedCandidate);
+                // --- 1. Phrase Search (comments and prose) ---
+                // A note name of several words ("Event Sourcing") wins over the single word under the cursor
+                const phraseMatch = findPhraseAtPosition(document, position, vaultStates, matchRules);
+                if (phraseMatch) {
+                    log(`[Hover] SUCCESS: Found a phrase match for "${phraseMatch.phrase}"`);
+                    return createHoverForMatches(context, phraseMatch.vaultMatches, phraseMatch.range, getNoteContent);
+                }
 
-                    if (shelf) {
+                // --- 2. Candidate Extraction ---
+                const tokenAtPosition = findTokenAtPosition(document, position);
+                if (!tokenAtPosition) return null;
 
-                        // Priority 1: Perfect match.
-                        if (shelf.has(candidate)) {
-                            log(`[Hover] SUCCESS: Found a PERFECT match for candidate: "${candidate}"`);
-                            return createHover(shelf.get(candidate), maxTokenRange, notesCache, getNoteContent);
-                        }
+                const { token: maxToken, range: maxTokenRange } = tokenAtPosition;
+                if (!isContextAllowed(matchRules, document, maxTokenRange)) return null;
+                log(`[Hover] Candidates for "${maxToken}": [${deconstructToken(maxToken, matchRules.deconstructOptions).join(', ')}]`);
 
-                        // Priority 2: Best fuzzy match.
-                        // This handles cases like `note()` vs `note` in code.
-                        let potentialMatches = [];
-                        for (const [originalKey, paths] of shelf.entries()) {
-                            if (canonicalNormalize(originalKey) === normalizedCandidate) {
-                                potentialMatches.push({ originalKey, paths });
-                            }
-                        }
+                // --- 3. Maximum Relevance Search (in every connected vault) ---
+                const vaultMatches = resolveTokenInVaults(maxToken, vaultStates, matchRules);
+                for (const { vaultState, match } of vaultMatches) {
+                    log(match.isPerfectMatch
+                        ? `[Hover] SUCCESS: Found a PERFECT match for candidate: "${match.candidate}" in vault "${getVaultName(vaultState.vaultPath)}"`
+                        : `[Hover] SUCCESS: Best fuzzy match for "${match.candidate}" is "${match.matchedKey}" in vault "${getVaultName(vaultState.vaultPath)}"`);
+                }
 
-                        if (potentialMatches.length > 0) {
-                            // Find the match with the smallest length difference to the code candidate.
-                            potentialMatches.sort((a, b) =>
-                                Math.abs(a.originalKey.length - candidate.length) -
-                                Math.abs(b.originalKey.length - candidate.length)
-                            );
-                            const bestMatch = potentialMatches[0];
-                            log(`[Hover] SUCCESS: Best fuzzy match for "${candidate}" is "${bestMatch.originalKey}"`);
-                            return createHover(bestMatch.paths, maxTokenRange, notesCache, getNoteContent);
-                        }
-                    }
+                if (vaultMatches.length > 0) {
+                    return createHoverForMatches(context, vaultMatches, maxTokenRange, getNoteContent);
                 }
 
                 log(`[Hover] No match found for any candidate.`);
@@ -79,18 +91,33 @@ function registerHoverProvider(
     );
 }
 
+/**
+ * Creates the hover for the matches of a token or a phrase. The note the user chose for the keyword (if any) is displayed first.
+ * @param {vscode.ExtensionContext} context - The extension context, where the preferred notes are stored.
+ * @param {{vaultState: import("../obsidian/vaultStateManager").VaultState, match: import("../utils/noteResolver").ResolvedToken}[]} vaultMatches - The matches in every vault.
+ * @param {vscode.Range} range - The range of the token or phrase.
+ * @param {function(string, object): Promise<string>} getNoteContent - A function to retrieve the content of a note.
+ * @returns {Promise<vscode.Hover|undefined>}
+ */
+function createHoverForMatches(context, vaultMatches, range, getNoteContent) {
+    const { foundNotes, isPreferred, keyword } = applyPreferredNoteToMatches(context, vaultMatches);
+    return createHover(foundNotes, range, getNoteContent, { keyword, isPreferred });
+}
+
 /**
  * Creates a vscode.Hover object with detailed information about a found note.
- * @param {Array<{path: string, isFileName: boolean}>} foundPaths - An array of objects representing the found notes.
+ * @param {FoundNote[]} foundNotes - The found notes, from all connected vaults. The first one is displayed fully.
  * @param {vscode.Range} range - The range in the document where the hover is triggered.
- * @param {Map<string, object>} notesCache - A cache containing detailed information about each note.
- * @param {function(string): Promise<string>} getNoteContent - A function to retrieve the content of a note.
+ * @param {function(string, object): Promise<string>} getNoteContent - A function to retrieve the content of a note.
+ * @param {{keyword: string, isPreferred: boolean, source?: string}} preference - The keyword the notes were found for, whether the first note is the user's choice,
+ * and where the note comes from when it's not a file name or an alias (e.g. "annotation").
  * @returns {Promise<vscode.Hover|undefined>} A promise that resolves to a Hover object or undefined if the note data is not found.
  */
-async function createHover(foundPaths, range, notesCache, getNoteContent) {
-    const primaryNoteInfo = foundPaths[0];
-    const otherNoteInfos = foundPaths.slice(1);
-    const primaryNoteData = notesCache.get(primaryNoteInfo.path);
+async function createHover(foundNotes, range, getNoteContent, preference) {
+    const primaryNote = foundNotes[0];
+    const otherNotes = foundNotes.slice(1);
+    const primaryNoteInfo = primaryNote.info;
+    const primaryNoteData = primaryNote.vaultState.notesCache.get(primaryNoteInfo.path);
     if (!primaryNoteData) {
         log(`Error: No data found in notesCache for path ${primaryNoteInfo.path}`);
         return;
@@ -98,36 +125,55 @@ async function createHover(foundPaths, range, notesCache, getNoteContent) {
     const message = new vscode.MarkdownString("", true);
     message.isTrusted = true;
     message.supportHtml = true;
-    if (otherNoteInfos.length > 0) {
+    if (otherNotes.length > 0) {
         message.appendMarkdown(`**Similar notes found:**\n`);
-        otherNoteInfos.forEach((info) => {
-            const noteData = notesCache.get(info.path);
+        otherNotes.forEach(({ vaultState, info }) => {
+            const noteData = vaultState.notesCache.get(info.path);
             if (noteData) {
                 const noteName = path.basename(noteData.relativePath, ".md");
                 message.appendMarkdown(`- [${noteName}](${noteData.uri}) `);
-                message.appendMarkdown(`*(source: ${info.isFileName ? "file name" : "alias"})*\n`);
+                message.appendMarkdown(`*(source: ${info.isFileName ? "file name" : "alias"}, vault: ${getVaultName(vaultState.vaultPath)})*\n`);
             }
         });
+        // The command offers the notes of this tooltip, which were found with the match rules of the document
+        const candidateNotes = foundNotes.map(({ vaultState, info }) => ({
+            vaultPath: vaultState.vaultPath,
+            notePath: info.path,
+            isFileName: info.isFileName,
+        }));
+        const chooseArgs = encodeURIComponent(JSON.stringify([preference.keyword, candidateNotes]));
+        message.appendMarkdown(`\n[📌 Choose preferred note](command:obsidian-tooltips.choosePreferredNote?${chooseArgs})\n`);
         message.appendMarkdown(`---\n`);
     }
     const noteTitle = path.basename(primaryNoteData.relativePath, ".md");
     message.appendMarkdown(`**${noteTitle}**\n`);
-    message.appendMarkdown(`*Source: ${primaryNoteInfo.isFileName ? "file name" : "alias"}*\n\n`);
+    const source = preference.source || (primaryNoteInfo.isFileName ? "file name" : "alias");
+    message.appendMarkdown(`*Source: ${source}${preference.isPreferred ? ", preferred" : ""}*\n\n`);
+    message.appendMarkdown(`🗄️ ${getVaultName(primaryNote.vaultState.vaultPath)}\n`);
     message.appendMarkdown(`📁 \`${primaryNoteData.relativePath}\`\n`);
     if (primaryNoteData.aliases && primaryNoteData.aliases.length > 0) {
         message.appendMarkdown(`🏷️ *${primaryNoteData.aliases.join(", ")}*\n`);
     }
     message.appendMarkdown(
-        `\n[🔗 Open in Obsidian](command:obsidian-tooltips.openObsidianUri?${encodeURIComponent(
-            JSON.stringify([primaryNoteData.uri])
-        )})`
+        `\n[🔗 Open in Obsidian](${createNoteLink(primaryNoteData, "obsidian")})`
     );
-    const noteContentDisplay = vscode.workspace.getConfiguration("obsidian-tooltips").get("noteContentDisplay");
-    if (noteContentDisplay === "showPreHeader") {
+    const contentOptions = getNoteContentOptions();
+    if (contentOptions.mode !== "disabled") {
         try {
-            const content = await getNoteContent(primaryNoteData.fullPath);
+            const content = await getNoteContent(primaryNoteData.fullPath, contentOptions);
             if (content) {
-                message.appendMarkdown(`\n\n---\n${content}`);
+                // Convert Obsidian syntax (wikilinks, embeds, callouts...) into Markdown that the hover can render.
+                // Links are resolved in the vault of the note, like in Obsidian.
+                const renderedContent = await renderObsidianMarkdown(content, {
+                    noteData: primaryNoteData,
+                    vaultPath: primaryNote.vaultState.vaultPath,
+                    notesCache: primaryNote.vaultState.notesCache,
+                    lookupCache: primaryNote.vaultState.lookupCache,
+                    openIn: vscode.workspace.getConfiguration("obsidian-tooltips").get("openLinksIn", "obsidian"),
+                });
+                // Relative links and images in the note content are resolved from the folder of the note
+                message.baseUri = vscode.Uri.file(path.dirname(primaryNoteData.fullPath) + path.sep);
+                message.appendMarkdown(`\n\n---\n${renderedContent}`);
             }
         } catch (error) {
             log(`Note content error: ${error.message}`);
@@ -136,6 +182,22 @@ async function createHover(foundPaths, range, notesCache, getNoteContent) {
     return new vscode.Hover(message, range);
 }
 
+/**
+ * Reads the note content settings that control which part of the note is shown in the tooltip.
+ * @returns {import("../obsidian/noteFetcher").NoteContentOptions} The options for `getNoteContent`.
+ */
+function getNoteContentOptions() {
+    const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+    return {
+        mode: config.get("noteContentDisplay", "disabled"),
+        maxLines: config.get("noteContentMaxLines", 20),
+        maxCharacters: config.get("noteContentMaxCharacters", 1500),
+        sectionHeading: config.get("noteContentSectionHeading", "Summary"),
+        calloutType: config.get("noteContentCalloutType", "summary"),
+    };
+}
+
 module.exports = {
-    registerHoverProvider
+    registerHoverProvider,
+    getNoteContentOptions
 };
\ No newline at end of file
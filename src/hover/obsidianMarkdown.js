@@ -0,0 +1,300 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { log } = require("../utils/logging");
+const { resolveNoteLink } = require("../utils/noteResolver");
+const { createNoteLink } = require("../utils/noteUriHandler");
+
+/**
+ * @constant
+ * @type {Set<string>}
+ * @description File extensions of embeds that are rendered as images.
+ */
+const IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".bmp", ".avif"]);
+
+/**
+ * @constant
+ * @type {Object<string, string>}
+ * @description Icons for Obsidian callout types, including their aliases. Unknown types use the "note" icon.
+ */
+const CALLOUT_ICONS = {
+    note: "📝",
+    abstract: "📋", summary: "📋", tldr: "📋",
+    info: "ℹ️",
+    todo: "☑️",
+    tip: "💡", hint: "💡", important: "💡",
+    success: "✅", check: "✅", done: "✅",
+    question: "❓", help: "❓", faq: "❓",
+    warning: "⚠️", caution: "⚠️", attention: "⚠️",
+    failure: "❌", fail: "❌", missing: "❌",
+    danger: "⚡", error: "⚡",
+    bug: "🐞",
+    example: "📑",
+    quote: "💬", cite: "💬",
+};
+
+/**
+ * @typedef {object} RenderContext
+ * @property {{fullPath: string, uri: string}} noteData - The note entry of the rendered note.
+ * @property {string} vaultPath - The full path to the Obsidian vault.
+ * @property {Map<string, object>} notesCache - A cache containing detailed information about each note.
+ * @property {Map<string, Map<string, {path: string, isFileName: boolean}[]>>} lookupCache - The cache for quick note lookups.
+ * @property {"obsidian"|"vscode"} openIn - Where links to other notes should open.
+ */
+
+/**
+ * FUNC - Converts Obsidian-flavoured Markdown into Markdown that VS Code can render in a hover.
+ * - `%%comments%%` and block IDs (`^block-id`) are removed.
+ * - `[[wikilinks]]` become links to the note, in Obsidian or in VS Code.
+ * - `![[embeds]]` of images are resolved to local file URIs under the vault, embeds of notes become links.
+ * - `==highlights==` become highlighted text.
+ * - Callouts (`> [!type] Title`) become blockquotes with an icon and a bold title.
+ * Fenced code blocks and inline code are left untouched.
+ *
+ * @param {string} content The note content returned by `getNoteContent`.
+ * @param {RenderContext} renderContext The note and caches used to resolve links and embeds.
+ * @returns {Promise<string>} A Promise that resolves with the Markdown for the hover.
+ */
+async function renderObsidianMarkdown(content, renderContext) {
+    // Comments can span several lines, so they are removed before the content is split into lines
+    const segments = splitCodeBlocks(content).map((segment) =>
+        segment.isCode ? segment : { ...segment, text: segment.text.replace(/%%[\s\S]*?(%%|$)/g, "") }
+    );
+
+    // Embeds are resolved on disk, so all of them are resolved before the synchronous replacements
+    const embedTargets = new Map();
+    for (const segment of segments.filter((item) => !item.isCode)) {
+        for (const match of segment.text.matchAll(/!\[\[([^\]]+)\]\]/g)) {
+            const target = match[1].split("|")[0].trim();
+            if (!embedTargets.has(target)) {
+                embedTargets.set(target, await resolveEmbed(target, renderContext));
+            }
+        }
+    }
+
+    return segments
+        .map((segment) => segment.isCode ? segment.text : renderText(segment.text, embedTargets, renderContext))
+        .join("\n");
+}
+
+/**
+ * FUNC - Renders a part of the note that is not a fenced code block.
+ * @param {string} text The text to render.
+ * @param {Map<string, string|null>} embedTargets Resolved embed targets: file URI, or `null` if the file was not found.
+ * @param {RenderContext} renderContext The note and caches used to resolve links.
+ * @returns {string} The rendered Markdown.
+ */
+function renderText(text, embedTargets, renderContext) {
+    const lines = [];
+
+    for (const rawLine of text.split("\n")) {
+        // A line that contains only a block ID belongs to the previous block
+        if (/^\s*\^[\w-]+\s*$/.test(rawLine)) continue;
+        const line = rawLine.replace(/\s\^[\w-]+\s*$/, "");
+
+        const calloutMatch = line.match(/^((?:>\s*)+)\[!([^\]]+)\][+-]?\s*(.*)$/);
+        if (calloutMatch) {
+            const quotePrefix = calloutMatch[1].replace(/\s+/g, "") + " ";
+            const type = calloutMatch[2].trim().toLowerCase();
+            const title = calloutMatch[3].trim() || type.charAt(0).toUpperCase() + type.slice(1);
+            const icon = CALLOUT_ICONS[type] || CALLOUT_ICONS.note;
+            lines.push(`${quotePrefix}${icon} **${renderInline(title, embedTargets, renderContext)}**`);
+            lines.push(quotePrefix.trim());
+            continue;
+        }
+
+        lines.push(renderInline(line, embedTargets, renderContext));
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * FUNC - Renders inline Obsidian syntax (embeds, wikilinks, highlights) outside of inline code spans.
+ * @param {string} line The line to render.
+ * @param {Map<string, string|null>} embedTargets Resolved embed targets.
+ * @param {RenderContext} renderContext The note and caches used to resolve links.
+ * @returns {string} The rendered line.
+ */
+function renderInline(line, embedTargets, renderContext) {
+    // Odd parts are inline code spans, which are kept as is
+    return line
+        .split(/(`+[^`]*`+)/)
+        .map((part, index) => {
+            if (index % 2 === 1) return part;
+
+            return part
+                .replace(/!\[\[([^\]]+)\]\]/g, (_, inner) => renderEmbed(inner, embedTargets, renderContext))
+                .replace(/\[\[([^\]]+)\]\]/g, (_, inner) => renderWikilink(inner, renderContext))
+                .replace(/==([^=\n]+)==/g, '<span style="background-color:var(--vscode-editor-findMatchHighlightBackground);">$1</span>');
+        })
+        .join("");
+}
+
+/**
+ * FUNC - Renders a wikilink (`[[Target#Heading|Text]]`) as a Markdown link to the note.
+ * Links to notes that are not in the notes cache are rendered as italic text.
+ * @param {string} inner The text between the brackets.
+ * @param {RenderContext} renderContext The note and caches used to resolve the link.
+ * @returns {string} The rendered link.
+ */
+function renderWikilink(inner, renderContext) {
+    const [target, displayText] = inner.split("|");
+    const label = escapeMarkdown(
+        (displayText || target.replace(/#\^?/g, " > ")).trim()
+    );
+
+    const noteData = resolveNoteLink(target, renderContext.notesCache, renderContext.lookupCache);
+    if (!noteData) {
+        return `*${label}*`;
+    }
+    return `[${label}](${createNoteLink(noteData, renderContext.openIn)})`;
+}
+
+/**
+ * FUNC - Renders an embed (`![[image.png|300]]` or `![[Note]]`).
+ * Images are shown inline, other files and notes are rendered as links.
+ * @param {string} inner The text between the brackets.
+ * @param {Map<string, string|null>} embedTargets Resolved embed targets.
+ * @param {RenderContext} renderContext The note and caches used to resolve note embeds.
+ * @returns {string} The rendered embed.
+ */
+function renderEmbed(inner, embedTargets, renderContext) {
+    const [rawTarget, option] = inner.split("|");
+    const target = rawTarget.trim();
+    const fileUri = embedTargets.get(target);
+    const label = escapeMarkdown(path.basename(target));
+
+    if (IMAGE_EXTENSIONS.has(path.extname(target).toLowerCase())) {
+        if (!fileUri) return `🖼️ *${label}*`;
+
+        // Obsidian image size: `|300` (width) or `|300x200` (width and height)
+        const sizeMatch = (option || "").trim().match(/^(\d+)(?:x(\d+))?$/);
+        if (sizeMatch) {
+            const height = sizeMatch[2] ? ` height="${sizeMatch[2]}"` : "";
+            return `<img src="${escapeHtmlAttribute(fileUri)}" width="${sizeMatch[1]}"${height} alt="${escapeHtmlAttribute(path.basename(target))}">`;
+        }
+        return `![${label}](${fileUri})`;
+    }
+
+    if (fileUri) {
+        return `📎 [${label}](${fileUri})`;
+    }
+    return `📄 ${renderWikilink(inner, renderContext)}`;
+}
+
+/**
+ * FUNC - Resolves the file of an embed that is not a note.
+ * Like Obsidian, the file is looked up next to the note, in the vault root and in the attachment folder
+ * configured in `.obsidian/app.json`.
+ * @param {string} target The embed target, e.g. `image.png` or `assets/image.png`.
+ * @param {RenderContext} renderContext The note that contains the embed.
+ * @returns {Promise<string|null>} A Promise that resolves with the file URI, or `null` for notes and missing files.
+ */
+async function resolveEmbed(target, renderContext) {
+    const extension = path.extname(target).toLowerCase();
+    if (!extension || extension === ".md") return null;
+
+    const noteDir = path.dirname(renderContext.noteData.fullPath);
+    const attachmentDir = await getAttachmentFolder(renderContext.vaultPath, noteDir);
+    const candidates = [
+        path.join(noteDir, target),
+        path.join(renderContext.vaultPath, target),
+        attachmentDir && path.join(attachmentDir, target),
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+        // Don't allow embeds to point outside of the vault
+        if (path.relative(renderContext.vaultPath, candidate).startsWith("..")) continue;
+
+        const exists = await fs.promises.access(candidate).then(() => true).catch(() => false);
+        if (exists) {
+            return vscode.Uri.file(candidate).toString();
+        }
+    }
+
+    log(`[Hover] Embedded file not found: ${target}`);
+    return null;
+}
+
+/**
+ * FUNC - Gets the attachment folder from the Obsidian settings of the vault (`attachmentFolderPath` in `.obsidian/app.json`).
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {string} noteDir The folder of the note, used for folders relative to the note (`./attachments`).
+ * @returns {Promise<string|null>} A Promise that resolves with the full path to the attachment folder, or `null` if it's not configured.
+ */
+async function getAttachmentFolder(vaultPath, noteDir) {
+    try {
+        const appConfig = JSON.parse(
+            await fs.promises.readFile(path.join(vaultPath, ".obsidian", "app.json"), "utf-8")
+        );
+        const folder = appConfig.attachmentFolderPath;
+        if (!folder || folder === "/") return null;
+
+        return folder.startsWith("./")
+            ? path.join(noteDir, folder.substring(2))
+            : path.join(vaultPath, folder);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * FUNC - Splits content into fenced code blocks and the text between them.
+ * Joining the text of the segments with line breaks gives the original content.
+ * @param {string} content The content to split.
+ * @returns {{text: string, isCode: boolean}[]} The segments in their original order.
+ */
+function splitCodeBlocks(content) {
+    const segments = [];
+    let current = [];
+    let fence = null;
+
+    const pushSegment = (isCode) => {
+        if (current.length > 0) {
+            segments.push({ text: current.join("\n"), isCode });
+        }
+        current = [];
+    };
+
+    for (const line of content.split("\n")) {
+        const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+
+        if (!fence && fenceMatch) {
+            pushSegment(false);
+            current.push(line);
+            fence = fenceMatch[1];
+        } else if (fence && fenceMatch && fenceMatch[1].startsWith(fence)) {
+            current.push(line);
+            pushSegment(true);
+            fence = null;
+        } else {
+            current.push(line);
+        }
+    }
+    pushSegment(fence !== null);
+
+    return segments;
+}
+
+/**
+ * FUNC - Escapes characters that would break the text of a Markdown link.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\[\]*_`])/g, "\\$1");
+}
+
+/**
+ * FUNC - Escapes characters that would break an attribute value of an HTML tag.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtmlAttribute(text) {
+    return text.replace(/[&"<>]/g, (char) => ({ "&": "&amp;", '"': "&quot;", "<": "&lt;", ">": "&gt;" })[char]);
+}
+
+module.exports = {
+    renderObsidianMarkdown
+};
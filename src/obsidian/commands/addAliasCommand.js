@@ -0,0 +1,81 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const { findTokenAtPosition, trimTokenPunctuation } = require("../../utils/noteResolver");
+const { addAliasToFrontmatter } = require("../../utils/frontmatterEditor");
+const { upsertNote } = require("../vaultStateManager");
+const { pickNote } = require("./searchNotesCommand");
+
+/**
+ * FUNC - Registers the "Add Alias to Note" command.
+ * This command takes the selected text (or the token under the cursor), lets the user pick a note of any connected vault
+ * and adds the text to the `aliases` of the note. Only the `aliases` property is edited, the rest of the frontmatter is kept as is.
+ * The note is updated in the caches right away, so the hover works for the new alias without waiting for the vault watcher.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string): void} onDidPatchCaches Called with the vault path after the note was updated in the caches.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerAddAliasCommand(context, getVaultStates, log, onDidPatchCaches) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.addAliasToNote",
+        async () => {
+            try {
+                const alias = getAliasFromEditor(vscode.window.activeTextEditor);
+                if (!alias) {
+                    vscode.window.showWarningMessage("Select a text or place the cursor on a keyword to add it as an alias");
+                    return;
+                }
+
+                const entry = await pickNote(getVaultStates(), log, `Add "${alias}" as an alias to the note`);
+                if (!entry) return;
+
+                const { vaultState, noteData, title } = entry;
+                const existingKeys = [title, ...(noteData.aliases || [])].map((key) => key.toLowerCase());
+                if (existingKeys.includes(alias.toLowerCase())) {
+                    vscode.window.showInformationMessage(`The note "${title}" already has the alias "${alias}"`);
+                    return;
+                }
+
+                const content = await fs.promises.readFile(noteData.fullPath, "utf-8");
+                await fs.promises.writeFile(noteData.fullPath, addAliasToFrontmatter(content, alias), "utf-8");
+                log(`Added alias "${alias}" to note: ${noteData.fullPath}`);
+
+                // A vault that is still loading picks up the change with its scan
+                if (vaultState.noteFilter) {
+                    await upsertNote(vaultState.vaultPath, noteData.fullPath, vaultState.notesCache, vaultState.lookupCache, vaultState.noteFilter);
+                    onDidPatchCaches(vaultState.vaultPath);
+                }
+
+                vscode.window.showInformationMessage(`Added alias "${alias}" to the note "${title}"`);
+            } catch (error) {
+                const errorMessage = `Failed to add alias: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Gets the text to add as an alias: the selected text, or the token under the cursor.
+ * @param {vscode.TextEditor|undefined} editor The active editor.
+ * @returns {string|null} The alias, or `null` if there is no editor, the selection spans several lines or there is no token.
+ */
+function getAliasFromEditor(editor) {
+    if (!editor) return null;
+
+    const { selection, document } = editor;
+    if (!selection.isEmpty) {
+        if (!selection.isSingleLine) return null;
+        return document.getText(selection).trim() || null;
+    }
+
+    const tokenAtPosition = findTokenAtPosition(document, selection.active);
+    return tokenAtPosition ? trimTokenPunctuation(tokenAtPosition.token) || null : null;
+}
+
+module.exports = {
+    registerAddAliasCommand
+};
@@ -0,0 +1,133 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getVaultName } = require("../vaultRegistry");
+const { getWorkspaceAnnotations } = require("../../annotations/annotationIndex");
+const { resolveAnnotation } = require("../../annotations/annotationParser");
+const { readWorkspaceDocument } = require("../../utils/workspaceFiles");
+
+/**
+ * @typedef {object} AnnotatedConcept
+ * @property {string} label - The name of the note, or the target of the annotations if the note doesn't exist.
+ * @property {string} [vaultPath] - The vault of the note, if it exists.
+ * @property {boolean} isBroken - Whether the note doesn't exist.
+ * @property {import("../../annotations/annotationIndex").IndexedAnnotation[]} annotations - The annotations that point to the note.
+ */
+
+/**
+ * FUNC - Registers the "Show Annotated Concepts" command.
+ * This command lists the notes that the annotations of the workspace (`// @obsidian [[Note]]`) point to, with the number of annotations,
+ * broken ones first. Choosing a note lists its annotations, and choosing an annotation opens the file at its line.
+ *
+ * @param {function(): Map<string, import("../vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerAnnotatedConceptsCommand(getVaultStates, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.showAnnotatedConcepts",
+        async () => {
+            try {
+                const annotations = await vscode.window.withProgress(
+                    { location: vscode.ProgressLocation.Window, title: "Indexing annotations" },
+                    () => getWorkspaceAnnotations()
+                );
+                if (annotations.length === 0) {
+                    vscode.window.showInformationMessage("No annotations found in the workspace. Add one in a comment, e.g. `// @obsidian [[Note]]`");
+                    return;
+                }
+
+                const vaultStates = getVaultStates();
+                const concepts = groupByConcept(annotations, vaultStates);
+                const showVaultName = vaultStates.size > 1;
+
+                const selectedConcept = await vscode.window.showQuickPick(
+                    concepts.map((concept) => ({
+                        label: concept.isBroken ? `$(warning) ${concept.label}` : `$(note) ${concept.label}`,
+                        description: getAnnotationCount(concept),
+                        detail: concept.isBroken
+                            ? "Note not found"
+                            : (showVaultName ? getVaultName(concept.vaultPath) : undefined),
+                        concept,
+                    })),
+                    { placeHolder: "Annotated concepts of the workspace", matchOnDetail: true }
+                );
+                if (!selectedConcept) return;
+
+                const selectedAnnotation = await vscode.window.showQuickPick(
+                    await Promise.all(selectedConcept.concept.annotations.map(async (indexedAnnotation) => ({
+                        label: `${vscode.workspace.asRelativePath(indexedAnnotation.uri)}:${indexedAnnotation.annotation.range.start.line + 1}`,
+                        detail: await getLineText(indexedAnnotation),
+                        indexedAnnotation,
+                    }))),
+                    { placeHolder: `Annotations of "${selectedConcept.concept.label}"`, matchOnDetail: true }
+                );
+                if (!selectedAnnotation) return;
+
+                const { uri, annotation } = selectedAnnotation.indexedAnnotation;
+                await vscode.window.showTextDocument(uri, { selection: annotation.range });
+            } catch (error) {
+                const errorMessage = `Failed to show the annotated concepts: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Groups the annotations by the note they point to. Broken annotations are grouped by their target.
+ * @param {import("../../annotations/annotationIndex").IndexedAnnotation[]} annotations The annotations.
+ * @param {Map<string, import("../vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {AnnotatedConcept[]} The concepts, broken ones first, then the most annotated.
+ */
+function groupByConcept(annotations, vaultStates) {
+    /** @type {Map<string, AnnotatedConcept>} */
+    const concepts = new Map();
+    for (const indexedAnnotation of annotations) {
+        const annotatedNote = resolveAnnotation(indexedAnnotation.annotation, vaultStates);
+        const key = annotatedNote
+            ? `${annotatedNote.vaultState.vaultPath}|${annotatedNote.noteData.relativePath}`
+            : `broken|${indexedAnnotation.annotation.target}`;
+
+        if (!concepts.has(key)) {
+            concepts.set(key, {
+                label: annotatedNote ? path.basename(annotatedNote.noteData.relativePath, ".md") : indexedAnnotation.annotation.target,
+                vaultPath: annotatedNote?.vaultState.vaultPath,
+                isBroken: !annotatedNote,
+                annotations: [],
+            });
+        }
+        concepts.get(key).annotations.push(indexedAnnotation);
+    }
+
+    return Array.from(concepts.values()).sort((a, b) =>
+        Number(b.isBroken) - Number(a.isBroken) || b.annotations.length - a.annotations.length || a.label.localeCompare(b.label)
+    );
+}
+
+/**
+ * FUNC - Describes the number of annotations of a concept and of the files they are in.
+ * @param {AnnotatedConcept} concept The concept.
+ * @returns {string} The description, e.g. "3 annotations in 2 files".
+ */
+function getAnnotationCount(concept) {
+    const count = concept.annotations.length;
+    const fileCount = new Set(concept.annotations.map(({ uri }) => uri.toString())).size;
+    return `${count} ${count === 1 ? "annotation" : "annotations"} in ${fileCount} ${fileCount === 1 ? "file" : "files"}`;
+}
+
+/**
+ * FUNC - Gets the trimmed text of the line of an annotation.
+ * @param {import("../../annotations/annotationIndex").IndexedAnnotation} indexedAnnotation The annotation.
+ * @returns {Promise<string>} The text of the line, empty if the file can't be read anymore.
+ */
+async function getLineText({ uri, annotation }) {
+    // The file is read without opening it, which would index it again
+    const document = await readWorkspaceDocument(uri);
+    if (!document || annotation.range.start.line >= document.lineCount) return "";
+    return document.lineAt(annotation.range.start.line).text.trim();
+}
+
+module.exports = {
+    registerAnnotatedConceptsCommand
+};
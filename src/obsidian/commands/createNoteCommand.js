@@ -0,0 +1,206 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { deconstructToken } = require("../../utils/tokenDeconstructor");
+const { parseFrontmatter } = require("../../utils/frontmatterParser");
+const { pickConnectedVault, getVaultName } = require("../vaultRegistry");
+const { getVaultDirectories } = require("../vaultConnectionManager");
+const { upsertNote } = require("../vaultStateManager");
+const { isPathIncluded } = require("../noteFilter");
+
+/**
+ * @constant
+ * @type {string}
+ * @description Template used when the `obsidian-tooltips.newNoteTemplate` setting is empty.
+ */
+const DEFAULT_NOTE_TEMPLATE = "---\naliases: {{aliases}}\n---\n\n";
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Characters that Obsidian doesn't allow in note file names.
+ */
+const INVALID_FILE_NAME_CHARACTERS = /[\\/:*?"<>|#^[\]]/;
+
+/**
+ * FUNC - Registers the "Create Note" command, used by the "Create Obsidian note for ..." code action.
+ * The note is created in a vault folder chosen by the user (or the `obsidian-tooltips.newNoteFolder` setting)
+ * from the template in `obsidian-tooltips.newNoteTemplate`. Its aliases are the variants of the token from `deconstructToken`.
+ * The note is added to the caches of the vault at once, without waiting for the vault watcher, and opened in VS Code or Obsidian.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string): void} onDidPatchCaches Called with the vault path after the note was added to the caches.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerCreateNoteCommand(context, getVaultState, log, onDidPatchCaches) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.createNote",
+        async (tokenArgument) => {
+            try {
+                const token = typeof tokenArgument === "string"
+                    ? tokenArgument
+                    : await vscode.window.showInputBox({ prompt: "Keyword to create an Obsidian note for" });
+                if (!token) return;
+
+                const vaultPath = await pickConnectedVault(context, `Select a vault for the note "${token}"`);
+                if (!vaultPath) return;
+
+                const folder = await pickNoteFolder(vaultPath, log);
+                if (folder === undefined) return;
+
+                const title = await vscode.window.showInputBox({
+                    prompt: `Name of the new note in ${getVaultName(vaultPath)}${folder ? `/${folder}` : ""}`,
+                    value: token.replace(new RegExp(INVALID_FILE_NAME_CHARACTERS.source, "g"), " ").trim(),
+                    validateInput: (value) => validateNoteTitle(value, vaultPath, folder),
+                });
+                if (!title) return;
+
+                const fullPath = path.join(vaultPath, folder, `${title.trim()}.md`);
+                const aliases = deconstructToken(token).filter((alias) => alias !== title.trim());
+                const content = await renderNoteTemplate(vaultPath, { title: title.trim(), token, aliases }, log);
+
+                await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+                // The "wx" flag fails if the note was created in the meantime, so an existing note is never overwritten
+                await fs.promises.writeFile(fullPath, content, { encoding: "utf-8", flag: "wx" });
+                log(`Created note: ${fullPath}`);
+
+                await addNoteToCaches(vaultPath, fullPath, getVaultState(vaultPath), log);
+                onDidPatchCaches(vaultPath);
+
+                await openNote(fullPath, getVaultState(vaultPath).notesCache.get(path.relative(vaultPath, fullPath)));
+            } catch (error) {
+                const errorMessage = `Failed to create note: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Asks in which folder of the vault the note is created, unless the `obsidian-tooltips.newNoteFolder` setting is set.
+ * @param {string} vaultPath The full path to the vault.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<string|undefined>} A Promise that resolves with the folder relative to the vault root
+ * (an empty string for the vault root), or `undefined` if the user cancelled.
+ */
+async function pickNoteFolder(vaultPath, log) {
+    const configuredFolder = vscode.workspace.getConfiguration("obsidian-tooltips").get("newNoteFolder", "");
+    if (typeof configuredFolder === "string" && configuredFolder.trim()) {
+        return configuredFolder.trim().replace(/^[\\/]+|[\\/]+$/g, "");
+    }
+
+    const directories = await getVaultDirectories(vaultPath, log);
+    const selectedItem = await vscode.window.showQuickPick(
+        [
+            { label: "$(root-folder) Vault root", folder: "" },
+            ...directories.map((directory) => ({ label: `$(folder) ${directory}`, folder: directory })),
+        ],
+        { placeHolder: `Folder of the new note in ${getVaultName(vaultPath)}`, ignoreFocusOut: true }
+    );
+    return selectedItem?.folder;
+}
+
+/**
+ * FUNC - Checks the name of the new note.
+ * @param {string} value The name typed by the user.
+ * @param {string} vaultPath The full path to the vault.
+ * @param {string} folder The folder of the note relative to the vault root.
+ * @returns {string|null} The error message, or `null` if the name is valid.
+ */
+function validateNoteTitle(value, vaultPath, folder) {
+    const title = value.trim();
+    if (!title) return "The note name can't be empty";
+    if (INVALID_FILE_NAME_CHARACTERS.test(title)) {
+        return "The note name can't contain any of the characters \\ / : * ? \" < > | # ^ [ ]";
+    }
+    if (fs.existsSync(path.join(vaultPath, folder, `${title}.md`))) {
+        return "A note with this name already exists in the folder";
+    }
+    return null;
+}
+
+/**
+ * FUNC - Creates the content of the new note from the template.
+ * Templates can use the `{{title}}`, `{{token}}`, `{{aliases}}` and `{{date}}` placeholders. When the template
+ * doesn't define `aliases` in its frontmatter, they are added, so the note is found by the token right away.
+ *
+ * @param {string} vaultPath The full path to the vault.
+ * @param {{title: string, token: string, aliases: string[]}} note The name, the token and the aliases of the note.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<string>} A Promise that resolves with the content of the note.
+ */
+async function renderNoteTemplate(vaultPath, note, log) {
+    const templatePath = vscode.workspace.getConfiguration("obsidian-tooltips").get("newNoteTemplate", "");
+    let template = DEFAULT_NOTE_TEMPLATE;
+    if (typeof templatePath === "string" && templatePath.trim()) {
+        // Relative template paths are resolved from the vault root, e.g. "Templates/Term.md"
+        const fullTemplatePath = path.resolve(vaultPath, templatePath.trim());
+        try {
+            template = await fs.promises.readFile(fullTemplatePath, "utf-8");
+        } catch (error) {
+            log(`Failed to read note template ${fullTemplatePath}: ${error.message}`);
+            vscode.window.showWarningMessage(`Note template not found: ${fullTemplatePath}. The default template is used.`);
+        }
+    }
+
+    // Inline YAML list with double-quoted items, so any alias is valid YAML
+    const aliasesList = `[${note.aliases.map((alias) => JSON.stringify(alias)).join(", ")}]`;
+    // Function replacements, so `$&` or `$1` in a title is inserted as it is
+    const content = template
+        .replace(/{{\s*title\s*}}/g, () => note.title)
+        .replace(/{{\s*token\s*}}/g, () => note.token)
+        .replace(/{{\s*aliases\s*}}/g, () => aliasesList)
+        .replace(/{{\s*date\s*}}/g, () => new Date().toISOString().slice(0, 10));
+
+    if (note.aliases.length === 0 || "aliases" in parseFrontmatter(content).data) {
+        return content;
+    }
+    return content.startsWith("---")
+        ? content.replace(/^---\r?\n/, () => `---\naliases: ${aliasesList}\n`)
+        : `---\naliases: ${aliasesList}\n---\n\n${content}`;
+}
+
+/**
+ * FUNC - Adds the new note to the caches of the vault, so tooltips find it before the vault watcher reports it.
+ * @param {string} vaultPath The full path to the vault.
+ * @param {string} fullPath The full path to the note file.
+ * @param {import("../vaultStateManager").VaultState} vaultState The state of the vault.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<void>}
+ */
+async function addNoteToCaches(vaultPath, fullPath, vaultState, log) {
+    const { notesCache, lookupCache, noteFilter } = vaultState;
+    const relativePath = path.relative(vaultPath, fullPath);
+
+    const isIncluded = !!noteFilter
+        && isPathIncluded(relativePath, noteFilter)
+        && await upsertNote(vaultPath, fullPath, notesCache, lookupCache, noteFilter);
+    if (!isIncluded) {
+        log(`Created note is not indexed by the directory selection or filters: ${relativePath}`);
+        vscode.window.showWarningMessage(
+            `The note "${relativePath}" was created, but it's outside the selected directories or filters, so it won't show in tooltips.`
+        );
+    }
+}
+
+/**
+ * FUNC - Opens the new note in VS Code or in Obsidian (`obsidian-tooltips.newNoteOpenIn` setting).
+ * @param {string} fullPath The full path to the note file.
+ * @param {{uri: string}|undefined} noteData The note entry from the notes cache, if the note is indexed.
+ * @returns {Promise<void>}
+ */
+async function openNote(fullPath, noteData) {
+    const openIn = vscode.workspace.getConfiguration("obsidian-tooltips").get("newNoteOpenIn", "vscode");
+    if (openIn === "obsidian" && noteData) {
+        await vscode.commands.executeCommand("obsidian-tooltips.openObsidianUri", noteData.uri);
+        return;
+    }
+    await vscode.window.showTextDocument(vscode.Uri.file(fullPath));
+}
+
+module.exports = {
+    registerCreateNoteCommand
+};
@@ -0,0 +1,248 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { getConnectedVaults, getSelectedDirectories, getVaultName } = require("../vaultRegistry");
+const { getObsidianConfigPath } = require("../obsidianFinder");
+const { isVaultWatched } = require("../vaultWatcher");
+const { getCachePath } = require("../../utils/cache");
+const { canonicalNormalize } = require("../../utils/normalizer");
+const { getProblems, getScanStats } = require("../../utils/problemRecorder");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of items listed per section of the report, so a large vault doesn't produce an unreadable report.
+ */
+const MAX_LISTED_ITEMS = 50;
+
+/**
+ * FUNC - Registers the "Diagnose" command.
+ * This command builds a Markdown report about the connected vaults (paths, `obsidian.json`, counts, problems met while loading,
+ * duplicate keys, keys that normalize to empty, cache file, last scan) and opens it in a new editor, so it can be attached to a bug report.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerDiagnoseCommand(context, getVaultState, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.diagnose",
+        async () => {
+            try {
+                const report = await buildDiagnosticsReport(context, getVaultState);
+                const document = await vscode.workspace.openTextDocument({ content: report, language: "markdown" });
+                await vscode.window.showTextDocument(document, { preview: false });
+                log("Diagnostics report created");
+            } catch (error) {
+                const errorMessage = `Failed to create the diagnostics report: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Builds the diagnostics report.
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @returns {Promise<string>} The report, as Markdown.
+ */
+async function buildDiagnosticsReport(context, getVaultState) {
+    const lines = [
+        "# Obsidian Tooltips Diagnostics",
+        "",
+        `- Extension version: ${context.extension ? context.extension.packageJSON.version : "unknown"}`,
+        `- VS Code version: ${vscode.version}`,
+        `- Platform: ${process.platform}`,
+        `- Created: ${new Date().toISOString()}`,
+        "",
+    ];
+
+    // Obsidian configuration
+    const configPath = getObsidianConfigPath();
+    const obsidianVaultPaths = await readObsidianVaultPaths(configPath);
+    lines.push("## Obsidian", "");
+    lines.push(`- \`obsidian.json\`: ${obsidianVaultPaths ? "found" : "not found"} (\`${configPath}\`)`);
+    if (obsidianVaultPaths) {
+        lines.push(`- Vaults registered in Obsidian: ${obsidianVaultPaths.length}`);
+    }
+    appendProblems(lines, getProblems(), false);
+    lines.push("");
+
+    const vaultPaths = getConnectedVaults(context);
+    if (vaultPaths.length === 0) {
+        lines.push("No vault is connected.");
+    }
+    for (const vaultPath of vaultPaths) {
+        lines.push(...await buildVaultSection(context, getVaultState(vaultPath), obsidianVaultPaths));
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * FUNC - Builds the section of the report for one vault.
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {import("../vaultStateManager").VaultState} vaultState The state of the vault.
+ * @param {string[]|null} obsidianVaultPaths The vaults registered in `obsidian.json`, or `null` if it was not found.
+ * @returns {Promise<string[]>} The lines of the section.
+ */
+async function buildVaultSection(context, vaultState, obsidianVaultPaths) {
+    const { vaultPath, notesCache, lookupCache } = vaultState;
+    const lines = [`## Vault "${getVaultName(vaultPath)}"`, ""];
+
+    const vaultExists = await pathExists(vaultPath);
+    const isRegistered = obsidianVaultPaths
+        ? obsidianVaultPaths.some((item) => path.resolve(item) === path.resolve(vaultPath))
+        : false;
+    lines.push(`- Path: \`${vaultPath}\` (${vaultExists ? "exists" : "NOT FOUND"})`);
+    lines.push(`- \`.obsidian\` folder: ${await pathExists(path.join(vaultPath, ".obsidian")) ? "found" : "not found"}`);
+    lines.push(`- Registered in \`obsidian.json\`: ${obsidianVaultPaths ? (isRegistered ? "yes" : "no") : "unknown"}`);
+    lines.push(`- Selected directories: ${Array.from(getSelectedDirectories(context, vaultPath)).join(", ")}`);
+    const loadState = vaultState.noteFilter ? "yes" : vaultState.loadError ? `no, failed: ${vaultState.loadError}` : "no";
+    lines.push(`- Loaded: ${loadState}, watched: ${isVaultWatched(vaultPath) ? "yes" : "no"}`);
+
+    // Counts
+    const aliasCount = Array.from(notesCache.values()).reduce((count, note) => count + (note.aliases || []).length, 0);
+    lines.push(`- Notes: ${notesCache.size}`);
+    lines.push(`- Aliases: ${aliasCount}`);
+    lines.push(`- Lookup keys: ${lookupCache.size}`);
+    lines.push(`- Last update: ${vaultState.lastUpdateTime ? new Date(vaultState.lastUpdateTime).toISOString() : "never"}`);
+
+    // Last scan and cache file
+    const scanStats = getScanStats(vaultPath);
+    lines.push(scanStats
+        ? `- Last full scan: ${scanStats.durationMs} ms, ${scanStats.noteCount} notes, finished ${new Date(scanStats.finishedAt).toISOString()}`
+        : "- Last full scan: not in this session (loaded from the cache)");
+    lines.push(await describeCacheFile(context, vaultPath));
+    lines.push("");
+
+    // Problems met while loading the vault
+    lines.push("### Problems", "");
+    appendProblems(lines, getProblems(vaultPath), true);
+    lines.push("");
+
+    // Keys shared by several notes
+    lines.push("### Keys shared by several notes", "");
+    const duplicates = findDuplicateKeys(lookupCache);
+    appendList(lines, duplicates.map(({ key, notePaths }) => `\`${key}\`: ${notePaths.map((notePath) => `\`${notePath}\``).join(", ")}`));
+    lines.push("");
+
+    // Keys that can never match
+    lines.push("### Names and aliases that normalize to an empty key", "");
+    const emptyKeys = findEmptyKeys(notesCache);
+    appendList(lines, emptyKeys.map(({ key, notePath }) => `\`${key}\` in \`${notePath}\``));
+    lines.push("");
+
+    return lines;
+}
+
+/**
+ * FUNC - Finds the normalized keys that point to more than one note, e.g. the same alias in two notes.
+ * @param {Map<string, Map<string, {path: string}[]>>} lookupCache The lookup cache of the vault.
+ * @returns {{key: string, notePaths: string[]}[]} The shared keys, sorted by key.
+ */
+function findDuplicateKeys(lookupCache) {
+    const duplicates = [];
+    for (const [normalizedKey, shelf] of lookupCache.entries()) {
+        const notePaths = new Set();
+        for (const paths of shelf.values()) {
+            paths.forEach((info) => notePaths.add(info.path));
+        }
+        if (notePaths.size > 1) {
+            const originalKeys = Array.from(shelf.keys()).join(" / ");
+            duplicates.push({ key: originalKeys || normalizedKey, notePaths: Array.from(notePaths) });
+        }
+    }
+    return duplicates.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * FUNC - Finds the file names and aliases that normalize to an empty key (e.g. only emoji or punctuation), so they never match.
+ * @param {Map<string, {aliases: string[]}>} notesCache The notes cache of the vault.
+ * @returns {{key: string, notePath: string}[]} The keys and their notes.
+ */
+function findEmptyKeys(notesCache) {
+    const emptyKeys = [];
+    for (const [notePath, note] of notesCache.entries()) {
+        const keys = [path.basename(notePath, ".md"), ...(note.aliases || [])];
+        keys.filter((key) => typeof key === "string" && key.trim() && !canonicalNormalize(key))
+            .forEach((key) => emptyKeys.push({ key, notePath }));
+    }
+    return emptyKeys;
+}
+
+/**
+ * FUNC - Describes the cache file of a vault: path, size and age.
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The vault.
+ * @returns {Promise<string>} The line of the report.
+ */
+async function describeCacheFile(context, vaultPath) {
+    const cachePath = await getCachePath(context, vaultPath);
+    try {
+        const stats = await fs.promises.stat(cachePath);
+        const ageMinutes = Math.round((Date.now() - stats.mtimeMs) / 60000);
+        return `- Cache file: \`${cachePath}\`, ${(stats.size / 1024).toFixed(1)} KB, saved ${ageMinutes} min ago`;
+    } catch {
+        return `- Cache file: \`${cachePath}\` (not found)`;
+    }
+}
+
+/**
+ * FUNC - Reads the vault paths from `obsidian.json`.
+ * @param {string} configPath The path to `obsidian.json`.
+ * @returns {Promise<string[]|null>} The vault paths, or `null` if the file doesn't exist or can't be read.
+ */
+async function readObsidianVaultPaths(configPath) {
+    try {
+        const config = JSON.parse(await fs.promises.readFile(configPath, "utf-8"));
+        return config.vaults ? Object.values(config.vaults).map((vault) => vault.path) : [];
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * FUNC - Checks if a file or folder exists.
+ * @param {string} fullPath The path.
+ * @returns {Promise<boolean>}
+ */
+function pathExists(fullPath) {
+    return fs.promises.access(fullPath).then(() => true).catch(() => false);
+}
+
+/**
+ * FUNC - Appends recorded problems to the report.
+ * @param {string[]} lines The lines of the report, updated in place.
+ * @param {import("../../utils/problemRecorder").Problem[]} problems The problems.
+ * @param {boolean} showNone Whether "None." is written when there are no problems.
+ */
+function appendProblems(lines, problems, showNone) {
+    appendList(lines, problems.map((problem) =>
+        `**${problem.source}**${problem.filePath ? ` \`${problem.filePath}\`` : ""}: ${problem.message}`
+    ), showNone);
+}
+
+/**
+ * FUNC - Appends a bulleted list, limited to `MAX_LISTED_ITEMS` items.
+ * @param {string[]} lines The lines of the report, updated in place.
+ * @param {string[]} items The items.
+ * @param {boolean} [showNone=true] Whether "None." is written for an empty list.
+ */
+function appendList(lines, items, showNone = true) {
+    if (items.length === 0) {
+        if (showNone) lines.push("None.");
+        return;
+    }
+    items.slice(0, MAX_LISTED_ITEMS).forEach((item) => lines.push(`- ${item}`));
+    if (items.length > MAX_LISTED_ITEMS) {
+        lines.push(`- … and ${items.length - MAX_LISTED_ITEMS} more`);
+    }
+}
+
+module.exports = {
+    registerDiagnoseCommand
+};
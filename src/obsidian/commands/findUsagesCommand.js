@@ -0,0 +1,192 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { pickNote } = require("./searchNotesCommand");
+const { upsertNote } = require("../vaultStateManager");
+const { findNoteByPath, findNoteUsages, presetNoteUsages, clearPresetNoteUsages } = require("../../references/noteReferenceProvider");
+const { setNoteSection } = require("../../utils/noteSectionEditor");
+
+/**
+ * @constant
+ * @type {string}
+ * @description Header of the section with the links to the usages, written to the note on request.
+ */
+const USED_IN_CODE_HEADING = "Used in code";
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of files listed in the "Used in code" section.
+ */
+const MAX_SECTION_FILES = 100;
+
+/**
+ * FUNC - Registers the "Find Usages in Code" command.
+ * This command finds where a note is used in the workspace: every token or phrase that resolves to the note.
+ * The note is the active editor if it's a note of a connected vault, otherwise the user picks one.
+ * The usages are shown in the References panel (through the reference provider of the notes), and can be written
+ * to the note as a "Used in code" section with `vscode://file/...` links.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string): void} onDidPatchCaches Called with the vault path after the note was updated in the caches.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerFindUsagesCommand(context, getVaultStates, log, onDidPatchCaches) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.findUsagesInCode",
+        async () => {
+            try {
+                if (!vscode.workspace.workspaceFolders) {
+                    vscode.window.showWarningMessage("Open a folder or workspace to find the usages of a note");
+                    return;
+                }
+
+                const noteReference = await getNoteReference(getVaultStates(), log);
+                if (!noteReference) return;
+                const title = path.basename(noteReference.notePath, ".md");
+
+                const usages = await vscode.window.withProgress(
+                    {
+                        location: vscode.ProgressLocation.Notification,
+                        title: `Searching the usages of "${title}"`,
+                        cancellable: true,
+                    },
+                    (progress, token) => {
+                        let reportedPercent = 0;
+                        return findNoteUsages(noteReference, getVaultStates(), token, (searched, total) => {
+                            const percent = Math.floor((searched / total) * 100);
+                            progress.report({ increment: percent - reportedPercent });
+                            reportedPercent = percent;
+                        }).then((found) => (token.isCancellationRequested ? null : found));
+                    }
+                );
+                if (!usages) return;
+                if (usages.length === 0) {
+                    vscode.window.showInformationMessage(`No usages of "${title}" found in the workspace`);
+                    return;
+                }
+
+                await showUsages(noteReference, usages);
+
+                const fileCount = new Set(usages.map((usage) => usage.uri.toString())).size;
+                const writeAction = `Add "${USED_IN_CODE_HEADING}" Section`;
+                const selectedAction = await vscode.window.showInformationMessage(
+                    `Found ${usages.length} usages of "${title}" in ${fileCount} files`,
+                    writeAction
+                );
+                if (selectedAction === writeAction) {
+                    await writeUsedInCodeSection(noteReference, usages, log, onDidPatchCaches);
+                }
+            } catch (error) {
+                const errorMessage = `Failed to find usages: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Gets the note to find the usages of: the note of the active editor, or a note picked by the user.
+ * @param {Map<string, import("../vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<import("../../references/noteReferenceProvider").NoteReference|null>} The note, or `null` if none was picked.
+ */
+async function getNoteReference(vaultStates, log) {
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document.uri.scheme === "file") {
+        const activeNote = findNoteByPath(vaultStates, editor.document.uri.fsPath);
+        if (activeNote) return activeNote;
+    }
+
+    const entry = await pickNote(vaultStates, log, "Find the usages of the note in code");
+    if (!entry) return null;
+    return { vaultState: entry.vaultState, notePath: entry.noteData.relativePath, noteData: entry.noteData };
+}
+
+/**
+ * FUNC - Shows the usages in the References panel. The note is opened and "Find All References" runs in it,
+ * the reference provider returns the usages that were already found.
+ * Without the References panel (the built-in "Reference Search View" extension is disabled), they are shown in a peek view.
+ *
+ * @param {import("../../references/noteReferenceProvider").NoteReference} noteReference The note.
+ * @param {vscode.Location[]} usages The usages.
+ */
+async function showUsages(noteReference, usages) {
+    const noteUri = vscode.Uri.file(noteReference.noteData.fullPath);
+    const start = new vscode.Position(0, 0);
+    await vscode.window.showTextDocument(noteUri, { selection: new vscode.Range(start, start), preview: false });
+
+    presetNoteUsages(noteReference.noteData.fullPath, usages);
+    try {
+        await vscode.commands.executeCommand("references-view.findReferences");
+    } catch {
+        clearPresetNoteUsages(noteReference.noteData.fullPath);
+        await vscode.commands.executeCommand("editor.action.showReferences", noteUri, start, usages);
+    }
+}
+
+/**
+ * FUNC - Writes the "Used in code" section to the note, replacing the previous one.
+ * Every file is a list item with a link to its first usage, followed by links to the lines of the other usages.
+ *
+ * @param {import("../../references/noteReferenceProvider").NoteReference} noteReference The note.
+ * @param {vscode.Location[]} usages The usages.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string): void} onDidPatchCaches Called with the vault path after the note was updated in the caches.
+ */
+async function writeUsedInCodeSection(noteReference, usages, log, onDidPatchCaches) {
+    /** @type {Map<string, vscode.Location[]>} */
+    const usagesByFile = new Map();
+    for (const usage of usages) {
+        const key = usage.uri.toString();
+        if (!usagesByFile.has(key)) usagesByFile.set(key, []);
+        usagesByFile.get(key).push(usage);
+    }
+
+    const files = Array.from(usagesByFile.values());
+    const sectionLines = files.slice(0, MAX_SECTION_FILES).map((fileUsages) => {
+        const [first, ...others] = fileUsages;
+        const lineLinks = others.map((usage) => `[${usage.range.start.line + 1}](${getUsageLink(usage)})`);
+        const label = `${vscode.workspace.asRelativePath(first.uri)}:${first.range.start.line + 1}`;
+        return `- [${label}](${getUsageLink(first)})${lineLinks.length > 0 ? `, lines ${lineLinks.join(", ")}` : ""}`;
+    });
+    if (files.length > MAX_SECTION_FILES) {
+        sectionLines.push(`- … and ${files.length - MAX_SECTION_FILES} more files`);
+    }
+
+    const { vaultState, noteData } = noteReference;
+    const document = vscode.workspace.textDocuments.find((item) => item.uri.fsPath === noteData.fullPath);
+    if (document && document.isDirty) {
+        vscode.window.showWarningMessage("Save the note before adding the section");
+        return;
+    }
+
+    const content = await fs.promises.readFile(noteData.fullPath, "utf-8");
+    await fs.promises.writeFile(noteData.fullPath, setNoteSection(content, USED_IN_CODE_HEADING, sectionLines), "utf-8");
+    log(`Wrote the "${USED_IN_CODE_HEADING}" section to note: ${noteData.fullPath}`);
+
+    // A vault that is still loading picks up the change with its scan
+    if (vaultState.noteFilter) {
+        await upsertNote(vaultState.vaultPath, noteData.fullPath, vaultState.notesCache, vaultState.lookupCache, vaultState.noteFilter);
+        onDidPatchCaches(vaultState.vaultPath);
+    }
+}
+
+/**
+ * FUNC - Creates the `vscode://file/...` link that opens a usage at its line and column.
+ * @param {vscode.Location} usage The usage.
+ * @returns {string} The link.
+ */
+function getUsageLink(usage) {
+    const { line, character } = usage.range.start;
+    // `Uri.path` uses forward slashes on every platform (`/c:/project/file.js` on Windows)
+    const filePath = encodeURI(usage.uri.path).replace(/[()]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `vscode://file${filePath}:${line + 1}:${character + 1}`;
+}
+
+module.exports = {
+    registerFindUsagesCommand
+};
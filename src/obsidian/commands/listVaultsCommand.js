@@ -0,0 +1,58 @@
+const vscode = require("vscode");
+const { getConnectedVaults, getSelectedDirectories, getVaultName } = require("../vaultRegistry");
+
+/**
+ * FUNC - Registers the "List Connected Vaults" command.
+ * This command shows the connected vaults with the number of cached notes and the selected directories.
+ * Choosing a vault offers to pick its directories or to remove it.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerListVaultsCommand(context, getVaultState, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.listVaults",
+        async () => {
+            try {
+                const vaultItems = getConnectedVaults(context).map((vaultPath) => ({
+                    label: `$(database) ${getVaultName(vaultPath)}`,
+                    description: `${getVaultState(vaultPath).notesCache.size} notes`,
+                    detail: `${vaultPath} · ${Array.from(getSelectedDirectories(context, vaultPath)).join(", ")}`,
+                    vaultPath,
+                }));
+
+                const selectedItem = await vscode.window.showQuickPick(
+                    [...vaultItems, { label: "$(add) Connect another vault...", vaultPath: undefined }],
+                    { placeHolder: "Connected Obsidian vaults", ignoreFocusOut: true }
+                );
+                if (!selectedItem) return;
+
+                if (!selectedItem.vaultPath) {
+                    await vscode.commands.executeCommand("obsidian-tooltips.connectWithObsidian");
+                    return;
+                }
+
+                const action = await vscode.window.showQuickPick(
+                    [
+                        { label: "$(folder) Pick Directories", command: "obsidian-tooltips.pickDirectories" },
+                        { label: "$(trash) Remove Vault", command: "obsidian-tooltips.removeVault" },
+                    ],
+                    { placeHolder: getVaultName(selectedItem.vaultPath) }
+                );
+                if (action) {
+                    await vscode.commands.executeCommand(action.command, selectedItem.vaultPath);
+                }
+            } catch (error) {
+                const errorMessage = `Failed to list vaults: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+module.exports = {
+    registerListVaultsCommand
+};
@@ -1,16 +1,16 @@
 const vscode = require("vscode");
-const { isVaultModified } = require("../noteFetcher");
-const { getRootDirectories } = require("../vaultConnectionManager");
+const { needsVaultRefresh } = require("../vaultWatcher");
+const { getVaultDirectories } = require("../vaultConnectionManager");
+const { createNoteFilter, getFolderExclusionReason } = require("../noteFilter");
+const { getSelectedDirectories, saveSelectedDirectories, pickConnectedVault } = require("../vaultRegistry");
 
 /**
  * FUNC - Allows the user to pick which directories within the connected Obsidian vault should be scanned for notes.
- * This function opens a QuickPick UI with a list of root directories in the vault and allows user to select multiple directories.
+ * This function opens a QuickPick UI with a list of all directories in the vault (nested ones included) and allows user to select multiple directories.
+ * Folders skipped by the templates or exclude pattern rules are marked.
  * @param {string} vaultPath The full path to the connected Obsidian vault.
  * @param {vscode.ExtensionContext} vscodeContext The VS Code extension context.
- * @param {Set<string>} selectedDirectories A Set containing the currently selected directories.
- * @param {Map<string, object>} notesCache A Map to store cached notes information.
- * @param {number} lastUpdateTime The timestamp of the last notes update.
- * @param {function(vscode.ExtensionContext, Map<string, object>, number, function): Promise<void>} saveCache Function to save the notes cache.
+ * @param {import("../vaultStateManager").VaultState} vaultState The state of the vault (notes cache and last update time).
  * @param {function(string): void} log Logging function.
  * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
  * @returns {Promise<Set<string>>} A Promise that resolves with the updated Set of selected directories.
@@ -18,13 +18,11 @@ const { getRootDirectories } = require("../vaultConnectionManager");
 async function pickDirectories(
     vaultPath,
     vscodeContext,
-    selectedDirectories,
-    notesCache,
-    lastUpdateTime,
-    saveCache,
+    vaultState,
     log,
     updateNotesInformation
 ) {
+    let selectedDirectories;
     try {
         // Check if vault is connected
         if (!vaultPath) {
@@ -32,37 +30,30 @@ async function pickDirectories(
             return new Set(); // Return an empty set if no vault is connected
         }
 
-        // Ensure selectedDirectories is always a Set
-        if (!selectedDirectories || !(selectedDirectories instanceof Set)) {
-            selectedDirectories = new Set(["Notes In Root"]);
-            log("Initializing selectedDirectories with default value");
-        }
+        // Load the directories previously selected in this vault to pre-select them in the QuickPick
+        selectedDirectories = getSelectedDirectories(vscodeContext, vaultPath);
 
         // Check if vault has been modified
-        const needsRefresh = await isVaultModified(vaultPath, lastUpdateTime);
-        if (needsRefresh) {
+        if (await needsVaultRefresh(vaultPath, vaultState.lastUpdateTime)) {
             log("Vault has been modified. Updating notes information before directory selection...");
-            const result = await updateNotesInformation(
+            await updateNotesInformation(
                 vaultPath,
-                true,
+                true, // Force update
                 vscodeContext,
-                notesCache,
-                lastUpdateTime,
+                vaultState.notesCache,
+                vaultState.lastUpdateTime,
                 selectedDirectories
             );
-            notesCache = result.notesCache;
-            lastUpdateTime = result.lastUpdateTime;
         }
 
-        // Load previously selected directories from global state and convert to Set
-        const savedDirs = vscodeContext.globalState.get("selectedDirectories");
-        selectedDirectories = savedDirs ? new Set(savedDirs) : new Set(["Notes In Root"]);
+        // Get all directories within the vault, nested ones included
+        const vaultDirs = await getVaultDirectories(vaultPath, log);
+        log(`Found ${vaultDirs.length} directories in vault`);
 
-        // Get root directories from vault
-        const rootDirs = await getRootDirectories(vaultPath, log);
-        log(`Found ${rootDirs.length} root directories in vault`);
+        // The same rules as the vault scan, to show which folders are skipped whatever is selected
+        const noteFilter = await createNoteFilter(vaultPath, selectedDirectories);
 
-        // Prepare items for QuickPick
+        // Prepare QuickPick items, including a "Notes In Root" option. Selecting a folder includes its subfolders.
         const items = [
             {
                 label: "Notes In Root",
@@ -70,12 +61,17 @@ async function pickDirectories(
                 alwaysShow: true,
                 description: "Include notes directly in vault root"
             },
-            ...rootDirs.map((dir) => ({
-                label: dir,
-                picked: selectedDirectories.has(dir),
-                alwaysShow: true,
-                description: `Include notes from ${dir} directory`
-            })),
+            ...vaultDirs.map((dir) => {
+                const exclusionReason = getFolderExclusionReason(dir, noteFilter);
+                return {
+                    label: dir,
+                    picked: selectedDirectories.has(dir),
+                    alwaysShow: true,
+                    description: exclusionReason
+                        ? `$(circle-slash) Skipped: ${exclusionReason}`
+                        : `Include notes from ${dir} and its subfolders`
+                };
+            }),
         ];
 
         const quickPick = vscode.window.createQuickPick();
@@ -111,28 +107,21 @@ async function pickDirectories(
             }
 
             try {
-                // Save selection to global state
-                await vscodeContext.globalState.update(
-                    "selectedDirectories",
-                    Array.from(selectedDirectories)
-                );
-                log(`Saved directory selection: ${selectedLabels.join(", ")}`);
-
                 // Update notes information based on selection
-                const result = await updateNotesInformation(
+                // The cache of the vault is saved by updateNotesInformation
+                await updateNotesInformation(
                     vaultPath,
                     true,
                     vscodeContext,
-                    notesCache,
-                    lastUpdateTime,
+                    vaultState.notesCache,
+                    vaultState.lastUpdateTime,
                     selectedDirectories
                 );
-                notesCache = result.notesCache;
-                lastUpdateTime = result.lastUpdateTime;
 
-                // Save cache after notes information update
-                await saveCache(vscodeContext, notesCache, lastUpdateTime, log);
-                log("Cache saved after directory selection update");
+                // Save the new selection of this vault (global state, or the workspace settings for workspace vaults).
+                // It's saved after the update, so the settings listener finds the vault already up to date.
+                await saveSelectedDirectories(vscodeContext, vaultPath, selectedDirectories);
+                log(`Saved directory selection: ${selectedLabels.join(", ")}`);
 
                 vscode.window.showInformationMessage("Directory selection updated successfully");
             } catch (error) {
@@ -155,39 +144,34 @@ async function pickDirectories(
 
 /**
  * FUNC - Registers the "Pick Directories" command.
- * This command allows the user to select which directories within their connected Obsidian vault
- * should be scanned for notes.
+ * This command allows the user to select which directories within a connected Obsidian vault
+ * should be scanned for notes. When several vaults are connected, the user picks the vault first.
  * @param {vscode.ExtensionContext} context The VS Code extension context.
- * @param {Map<string, object>} notesCache A Map to store cached notes information.
- * @param {number} lastUpdateTime The timestamp of the last notes update.
- * @param {function(vscode.ExtensionContext, Map<string, object>, number, function): Promise<void>} saveCache Function to save the notes cache.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
  * @param {function(string): void} log Logging function.
  * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
  * @returns {vscode.Disposable} The registered command disposable.
  */
 function registerPickDirectoriesCommand(
     context,
-    notesCache,
-    lastUpdateTime,
-    saveCache,
+    getVaultState,
     log,
     updateNotesInformation
 ) {
     return vscode.commands.registerCommand(
         "obsidian-tooltips.pickDirectories",
-        async () => {
+        async (vaultPathArgument) => {
             try {
-                const vaultPath = context.globalState.get("connectedVault");
-                const savedDirs = context.globalState.get("selectedDirectories");
-                const selectedDirectories = savedDirs ? new Set(savedDirs) : new Set(["Notes In Root"]);
+                // The vault can be passed by other commands, e.g. "List Connected Vaults"
+                const vaultPath = typeof vaultPathArgument === "string"
+                    ? vaultPathArgument
+                    : await pickConnectedVault(context, "Select a vault to pick directories for");
+                if (!vaultPath) return;
 
                 await pickDirectories(
                     vaultPath,
                     context,
-                    selectedDirectories,
-                    notesCache,
-                    lastUpdateTime,
-                    saveCache,
+                    getVaultState(vaultPath),
                     log,
                     updateNotesInformation
                 );
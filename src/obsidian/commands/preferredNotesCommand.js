@@ -0,0 +1,150 @@
+const vscode = require("vscode");
+const path = require("path");
+const { resolveTokenInVaults } = require("../../utils/noteResolver");
+const { getVaultName } = require("../vaultRegistry");
+const {
+    getPreferredNote,
+    setPreferredNote,
+    removePreferredNote,
+    getAllPreferredNotes
+} = require("../notePreferences");
+
+/**
+ * FUNC - Registers the "Choose Preferred Note" command, opened from the "Similar notes found" part of the tooltip.
+ * It lists the notes of the tooltip (found with the match rules of the document), or every note that matches the keyword
+ * in all connected vaults when it's run from the Command Palette, and remembers the chosen one for this workspace
+ * or for all workspaces. The chosen note is displayed as the primary note of the tooltip from then on.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerChoosePreferredNoteCommand(context, getVaultStates, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.choosePreferredNote",
+        async (keywordArgument, candidateNotes) => {
+            try {
+                const keyword = typeof keywordArgument === "string"
+                    ? keywordArgument
+                    : await vscode.window.showInputBox({ prompt: "Keyword that matches several notes" });
+                if (!keyword) return;
+
+                const vaultStates = getVaultStates();
+                const foundNotes = Array.isArray(candidateNotes)
+                    ? getCandidateNotes(candidateNotes, vaultStates)
+                    : resolveTokenInVaults(keyword, vaultStates).flatMap(({ vaultState, match }) =>
+                        match.paths.map((info) => ({ vaultState, info }))
+                    );
+                if (foundNotes.length < 2) {
+                    vscode.window.showInformationMessage(`"${keyword}" doesn't match several notes`);
+                    return;
+                }
+
+                const preferredNote = getPreferredNote(context, keyword);
+                const showVaultName = vaultStates.size > 1;
+                const noteItem = await vscode.window.showQuickPick(
+                    foundNotes.map(({ vaultState, info }) => {
+                        const isPreferred = preferredNote
+                            && preferredNote.vaultPath === vaultState.vaultPath
+                            && preferredNote.notePath === info.path;
+                        return {
+                            label: `${isPreferred ? "$(pinned)" : "$(note)"} ${path.basename(info.path, ".md")}`,
+                            description: [
+                                info.isFileName ? "file name" : "alias",
+                                showVaultName ? getVaultName(vaultState.vaultPath) : null,
+                            ].filter(Boolean).join(" · "),
+                            detail: info.path,
+                            note: { vaultPath: vaultState.vaultPath, notePath: info.path },
+                        };
+                    }),
+                    { placeHolder: `Preferred note for "${keyword}"` }
+                );
+                if (!noteItem) return;
+
+                const scopeItem = await vscode.window.showQuickPick(
+                    [
+                        { label: "$(folder) This workspace", scope: "workspace" },
+                        { label: "$(globe) All workspaces", scope: "global" },
+                    ],
+                    { placeHolder: `Remember the choice for "${keyword}" in...` }
+                );
+                if (!scopeItem) return;
+
+                await setPreferredNote(context, keyword, noteItem.note, scopeItem.scope);
+                log(`Preferred note for "${keyword}" (${scopeItem.scope}): ${noteItem.note.notePath}`);
+                vscode.window.showInformationMessage(
+                    `"${path.basename(noteItem.note.notePath, ".md")}" is now the preferred note for "${keyword}"`
+                );
+            } catch (error) {
+                const errorMessage = `Failed to choose preferred note: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Gets the notes passed by the tooltip that are still in the caches.
+ * @param {{vaultPath: string, notePath: string, isFileName: boolean}[]} candidateNotes The notes of the tooltip.
+ * @param {Map<string, import("../vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {{vaultState: import("../vaultStateManager").VaultState, info: {path: string, isFileName: boolean}}[]} The notes.
+ */
+function getCandidateNotes(candidateNotes, vaultStates) {
+    return candidateNotes
+        .filter(({ vaultPath, notePath }) => vaultStates.get(vaultPath)?.notesCache.has(notePath))
+        .map(({ vaultPath, notePath, isFileName }) => ({
+            vaultState: vaultStates.get(vaultPath),
+            info: { path: notePath, isFileName },
+        }));
+}
+
+/**
+ * FUNC - Registers the "Review Preferred Notes" command.
+ * It lists the remembered choices of this workspace and of all workspaces, and forgets the selected ones.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerManagePreferredNotesCommand(context, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.managePreferredNotes",
+        async () => {
+            try {
+                const entries = getAllPreferredNotes(context);
+                if (entries.length === 0) {
+                    vscode.window.showInformationMessage("No preferred notes are remembered");
+                    return;
+                }
+
+                const selectedItems = await vscode.window.showQuickPick(
+                    entries.map((entry) => ({
+                        label: entry.keyword,
+                        description: `→ ${path.basename(entry.note.notePath, ".md")}`,
+                        detail: `${entry.scope === "workspace" ? "This workspace" : "All workspaces"} · ${getVaultName(entry.note.vaultPath)} · ${entry.note.notePath}`,
+                        entry,
+                    })),
+                    { canPickMany: true, placeHolder: "Select the remembered choices to forget" }
+                );
+                if (!selectedItems || selectedItems.length === 0) return;
+
+                for (const { entry } of selectedItems) {
+                    await removePreferredNote(context, entry.keyword, entry.scope);
+                }
+                log(`Forgot preferred notes: ${selectedItems.map((item) => item.label).join(", ")}`);
+                vscode.window.showInformationMessage(`Forgot ${selectedItems.length} preferred note(s)`);
+            } catch (error) {
+                const errorMessage = `Failed to manage preferred notes: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+module.exports = {
+    registerChoosePreferredNoteCommand,
+    registerManagePreferredNotesCommand
+};
@@ -0,0 +1,51 @@
+const vscode = require("vscode");
+const { deleteCache } = require("../../utils/cache");
+const { removeConnectedVault, pickConnectedVault, getVaultName } = require("../vaultRegistry");
+
+/**
+ * FUNC - Registers the "Remove Vault" command.
+ * This command disconnects one of the connected vaults. The notes cache file and the directory selection
+ * of the vault are deleted, the other connected vaults are not affected.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string): void} onVaultRemoved Called with the path of the removed vault to drop its in-memory state.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerRemoveVaultCommand(context, log, onVaultRemoved) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.removeVault",
+        async (vaultPathArgument) => {
+            try {
+                // The vault can be passed by other commands, e.g. "List Connected Vaults"
+                const vaultPath = typeof vaultPathArgument === "string"
+                    ? vaultPathArgument
+                    : await pickConnectedVault(context, "Select a vault to remove");
+                if (!vaultPath) return;
+
+                const confirmation = await vscode.window.showWarningMessage(
+                    `Disconnect from vault "${getVaultName(vaultPath)}"?`,
+                    { modal: true, detail: vaultPath },
+                    "Remove"
+                );
+                if (confirmation !== "Remove") return;
+
+                await removeConnectedVault(context, vaultPath);
+                await deleteCache(context, vaultPath, log);
+                onVaultRemoved(vaultPath);
+
+                log(`Vault removed: ${vaultPath}`);
+                vscode.window.showInformationMessage(`Disconnected from vault: ${vaultPath}`);
+            } catch (error) {
+                const errorMessage = `Failed to remove vault: ${error.message}`;
+                log(errorMessage);
+                log(`Stack trace: ${error.stack}`);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+module.exports = {
+    registerRemoveVaultCommand
+};
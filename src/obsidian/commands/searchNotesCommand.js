@@ -0,0 +1,287 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getNoteContent } = require("../noteFetcher");
+const { getVaultName } = require("../vaultRegistry");
+const { fuzzyScore } = require("../../utils/fuzzyMatcher");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of notes shown in the QuickPick for a query. Previews are read only for these notes.
+ */
+const MAX_RESULTS = 50;
+
+/**
+ * @constant
+ * @type {number}
+ * @description Delay (in milliseconds) before the results are updated after the query changes.
+ */
+const SEARCH_DEBOUNCE_MS = 100;
+
+/**
+ * @typedef {object} SearchEntry
+ * @property {import("../vaultStateManager").VaultState} vaultState - The state of the vault that contains the note.
+ * @property {object} noteData - The note entry from the notes cache.
+ * @property {string} title - The file name of the note without the `.md` extension.
+ */
+
+/**
+ * FUNC - Registers the "Search Notes" command.
+ * This command fuzzy-searches the notes of all connected vaults by file name, aliases and (with the
+ * `obsidian-tooltips.searchIncludeTags` setting) tags, and shows a preview of every result.
+ * Choosing a note offers to open it in VS Code or Obsidian, copy its URI or insert a reference at the cursor.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerSearchNotesCommand(context, getVaultStates, log) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.searchNotes",
+        async () => {
+            try {
+                const selectedEntry = await pickNote(getVaultStates(), log, "Search Obsidian Notes");
+                if (!selectedEntry) return;
+
+                await runNoteAction(selectedEntry, log);
+            } catch (error) {
+                const errorMessage = `Failed to search notes: ${error.message}`;
+                log(errorMessage);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
+
+/**
+ * FUNC - Lets the user choose a note of any connected vault with the fuzzy search QuickPick.
+ * Also used by other commands that need a note, e.g. "Add Alias to Note".
+ *
+ * @param {Map<string, import("../vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {function(string): void} log Logging function.
+ * @param {string} title The title of the QuickPick.
+ * @returns {Promise<SearchEntry|undefined>} A Promise that resolves with the chosen note, or `undefined` if there are no notes
+ * or the QuickPick was closed.
+ */
+async function pickNote(vaultStates, log, title) {
+    const entries = collectSearchEntries(vaultStates);
+    if (entries.length === 0) {
+        vscode.window.showWarningMessage("No notes found. Connect a vault or update the list of notes first.");
+        return undefined;
+    }
+    return showSearchQuickPick(entries, log, title);
+}
+
+/**
+ * FUNC - Collects the notes of all connected vaults that can be searched.
+ * @param {Map<string, import("../vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {SearchEntry[]} The notes, sorted by title.
+ */
+function collectSearchEntries(vaultStates) {
+    const entries = [];
+    for (const vaultState of vaultStates.values()) {
+        for (const noteData of vaultState.notesCache.values()) {
+            entries.push({ vaultState, noteData, title: path.basename(noteData.relativePath, ".md") });
+        }
+    }
+    return entries.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * FUNC - Shows the QuickPick with the search results and waits for the user to choose a note.
+ * The results are filtered by `fuzzyScore` instead of the built-in QuickPick filter, so scattered characters match too.
+ * Previews of the shown notes are read in the background and added as the item details.
+ *
+ * @param {SearchEntry[]} entries The notes to search.
+ * @param {function(string): void} log Logging function.
+ * @param {string} title The title of the QuickPick.
+ * @returns {Promise<SearchEntry|undefined>} A Promise that resolves with the chosen note, or `undefined` if the QuickPick was closed.
+ */
+function showSearchQuickPick(entries, log, title) {
+    const includeTags = vscode.workspace.getConfiguration("obsidian-tooltips").get("searchIncludeTags", false);
+    const showVaultName = new Set(entries.map((entry) => entry.vaultState.vaultPath)).size > 1;
+    // Key is the full path of the note, value is its preview. Kept for the lifetime of the QuickPick.
+    const previews = new Map();
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = title;
+    quickPick.placeholder = includeTags
+        ? "Type a note name, an alias or a tag"
+        : "Type a note name or an alias";
+
+    const toItem = (entry) => ({
+        label: `$(note) ${entry.title}`,
+        description: getEntryDescription(entry, includeTags, showVaultName),
+        detail: previews.get(entry.noteData.fullPath),
+        alwaysShow: true, // The results are already filtered by fuzzyScore
+        entry,
+    });
+
+    let searchTimer;
+    let searchVersion = 0;
+    const updateResults = async () => {
+        const version = ++searchVersion;
+        const results = searchEntries(entries, quickPick.value, includeTags);
+        quickPick.items = results.map(toItem);
+
+        // Read the previews that are not known yet, then show them without moving the active item
+        const missingPreviews = results.filter((entry) => !previews.has(entry.noteData.fullPath));
+        if (missingPreviews.length === 0) {
+            quickPick.busy = false;
+            return;
+        }
+
+        quickPick.busy = true;
+        await Promise.all(missingPreviews.map(async (entry) => {
+            try {
+                previews.set(entry.noteData.fullPath, await readPreview(entry.noteData.fullPath));
+            } catch (error) {
+                // The note can be deleted since the caches were built
+                log(`[Search] Failed to read the preview of ${entry.noteData.fullPath}: ${error.message}`);
+                previews.set(entry.noteData.fullPath, "");
+            }
+        }));
+        if (version !== searchVersion) return; // The query changed while the previews were read
+
+        const activeEntry = quickPick.activeItems[0] && quickPick.activeItems[0].entry;
+        const items = results.map(toItem);
+        quickPick.items = items;
+        const activeItem = items.find((item) => item.entry === activeEntry);
+        if (activeItem) quickPick.activeItems = [activeItem];
+        quickPick.busy = false;
+    };
+
+    return new Promise((resolve) => {
+        quickPick.onDidChangeValue(() => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                updateResults().catch((error) => log(`[Search] Failed to update results: ${error.message}`));
+            }, SEARCH_DEBOUNCE_MS);
+        });
+        quickPick.onDidAccept(() => {
+            const selectedItem = quickPick.selectedItems[0] || quickPick.activeItems[0];
+            resolve(selectedItem && selectedItem.entry);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            clearTimeout(searchTimer);
+            resolve(undefined);
+            quickPick.dispose();
+        });
+
+        quickPick.show();
+        updateResults().catch((error) => log(`[Search] Failed to update results: ${error.message}`));
+    });
+}
+
+/**
+ * FUNC - Finds the notes that match the query, best matches first.
+ * A note matches by its file name, one of its aliases or (optionally) one of its tags. Names weigh more than aliases,
+ * aliases more than tags.
+ *
+ * @param {SearchEntry[]} entries The notes to search.
+ * @param {string} query The search query. An empty query returns the first notes by title.
+ * @param {boolean} includeTags Whether tags are searched.
+ * @returns {SearchEntry[]} At most `MAX_RESULTS` matching notes.
+ */
+function searchEntries(entries, query, includeTags) {
+    if (!query.trim()) return entries.slice(0, MAX_RESULTS);
+
+    const scored = [];
+    for (const entry of entries) {
+        const candidates = [
+            { text: entry.title, penalty: 0 },
+            ...(entry.noteData.aliases || []).map((alias) => ({ text: alias, penalty: 5 })),
+            ...(includeTags ? (entry.noteData.tags || []).map((tag) => ({ text: tag, penalty: 10 })) : []),
+        ];
+
+        let bestScore = null;
+        for (const { text, penalty } of candidates) {
+            const score = fuzzyScore(query, String(text));
+            if (score !== null && (bestScore === null || score - penalty > bestScore)) {
+                bestScore = score - penalty;
+            }
+        }
+        if (bestScore !== null) scored.push({ entry, score: bestScore });
+    }
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+        .slice(0, MAX_RESULTS)
+        .map(({ entry }) => entry);
+}
+
+/**
+ * FUNC - Builds the description of a search result: aliases, tags (if searched) and the vault name (with several vaults).
+ * @param {SearchEntry} entry The note.
+ * @param {boolean} includeTags Whether tags are shown.
+ * @param {boolean} showVaultName Whether the vault name is shown.
+ * @returns {string} The description.
+ */
+function getEntryDescription(entry, includeTags, showVaultName) {
+    const parts = [];
+    const { aliases, tags } = entry.noteData;
+    if (aliases && aliases.length > 0) parts.push(aliases.join(", "));
+    if (includeTags && tags && tags.length > 0) parts.push(tags.map((tag) => `#${tag}`).join(" "));
+    if (showVaultName) parts.push(`🗄️ ${getVaultName(entry.vaultState.vaultPath)}`);
+    return parts.join(" · ");
+}
+
+/**
+ * FUNC - Reads a short preview of the note: its first paragraph on a single line.
+ * @param {string} fullPath The full path to the note file.
+ * @returns {Promise<string>} A Promise that resolves with the preview, or an empty string for an empty note.
+ */
+async function readPreview(fullPath) {
+    const content = await getNoteContent(fullPath, { mode: "showFirstParagraph", maxLines: 3, maxCharacters: 160 });
+    return content.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * FUNC - Asks what to do with the chosen note and does it.
+ * @param {SearchEntry} entry The chosen note.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<void>}
+ */
+async function runNoteAction(entry, log) {
+    const { noteData, title } = entry;
+    const editor = vscode.window.activeTextEditor;
+
+    const actions = [
+        { label: "$(go-to-file) Open in VS Code", action: "openInVSCode" },
+        { label: "$(link-external) Open in Obsidian", action: "openInObsidian" },
+        { label: "$(copy) Copy Obsidian URI", action: "copyUri", description: noteData.uri },
+    ];
+    if (editor) {
+        actions.push({ label: "$(insert) Insert Reference", action: "insertReference", description: `[[${title}]]` });
+    }
+
+    const selectedAction = await vscode.window.showQuickPick(actions, { placeHolder: title });
+    if (!selectedAction) return;
+
+    switch (selectedAction.action) {
+        case "openInVSCode":
+            await vscode.window.showTextDocument(vscode.Uri.file(noteData.fullPath));
+            break;
+        case "openInObsidian":
+            await vscode.commands.executeCommand("obsidian-tooltips.openObsidianUri", noteData.uri);
+            break;
+        case "copyUri":
+            await vscode.env.clipboard.writeText(noteData.uri);
+            vscode.window.showInformationMessage(`Copied URI of note "${title}"`);
+            break;
+        case "insertReference":
+            // Every selection is replaced, the same as typing
+            await editor.edit((editBuilder) => {
+                editor.selections.forEach((selection) => editBuilder.replace(selection, `[[${title}]]`));
+            });
+            break;
+    }
+    log(`[Search] ${selectedAction.action}: ${noteData.relativePath}`);
+}
+
+module.exports = {
+    registerSearchNotesCommand,
+    pickNote
+};
@@ -1,24 +1,21 @@
 const vscode = require("vscode");
-const { isVaultModified } = require("../noteFetcher");
+const { needsVaultRefresh } = require("../vaultWatcher");
+const { getConnectedVaults, getSelectedDirectories, getVaultName } = require("../vaultRegistry");
 
 /**
  * FUNC - Registers the "Update Notes Information" command.
  * This command allows the user to manually trigger an update of the Obsidian notes cache.
- * It checks if a vault is connected and if the vault has been modified since the last update.
+ * It updates every connected vault that has been modified since its last update.
  *
  * @param {vscode.ExtensionContext} context The VS Code extension context.
- * @param {Map<string, object>} notesCache A Map to store cached notes information.
- * @param {number} lastUpdateTime The timestamp of the last notes update.
- * @param {function(vscode.ExtensionContext, Map<string, object>, number, function): Promise<void>} saveCache Function to save the notes cache.
+ * @param {function(string): import("../vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
  * @param {function(string): void} log Logging function.
  * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
  * @returns {vscode.Disposable} The registered command disposable.
  */
 function registerUpdateCommand(
     context,
-    notesCache,
-    lastUpdateTime,
-    saveCache,
+    getVaultState,
     log,
     updateNotesInformation
 ) {
@@ -26,43 +23,38 @@ function registerUpdateCommand(
         "obsidian-tooltips.updateNotesInformation",
         async () => {
             try {
-                const vaultPath = context.globalState.get("connectedVault");
-                if (!vaultPath) {
+                const connectedVaults = getConnectedVaults(context);
+                if (connectedVaults.length === 0) {
                     vscode.window.showWarningMessage(
                         "Please connect to an Obsidian vault first"
                     );
                     return;
                 }
 
-                const savedDirs = context.globalState.get("selectedDirectories");
-                const selectedDirectories = savedDirs ? new Set(savedDirs) : new Set(["Notes In Root"]);
+                let updatedCount = 0;
+                for (const vaultPath of connectedVaults) {
+                    const vaultState = getVaultState(vaultPath);
 
-                // Check if vault has been modified since the last update
-                const needsRefresh = await isVaultModified(vaultPath, lastUpdateTime);
-                if (!needsRefresh) {
-                    vscode.window.showInformationMessage(
-                        "Notes are up to date"
+                    // Check if vault has been modified since the last update
+                    if (!await needsVaultRefresh(vaultPath, vaultState.lastUpdateTime)) {
+                        log(`Vault "${getVaultName(vaultPath)}" is up to date`);
+                        continue;
+                    }
+
+                    // Update notes information by scanning the vault. The cache of the vault is saved by updateNotesInformation.
+                    await updateNotesInformation(
+                        vaultPath,
+                        true,
+                        context,
+                        vaultState.notesCache,
+                        vaultState.lastUpdateTime,
+                        getSelectedDirectories(context, vaultPath)
                     );
-                    return;
+                    updatedCount++;
                 }
 
-                // Update notes information by scanning the vault
-                const result = await updateNotesInformation(
-                    vaultPath,
-                    true,
-                    context,
-                    notesCache,
-                    lastUpdateTime,
-                    selectedDirectories
-                );
-                notesCache = result.notesCache;
-                lastUpdateTime = result.lastUpdateTime;
-
-                // Save the updated cache locally
-                await saveCache(context, notesCache, lastUpdateTime, log);
-
                 vscode.window.showInformationMessage(
-                    "Notes updated successfully"
+                    updatedCount > 0 ? "Notes updated successfully" : "Notes are up to date"
                 );
             } catch (error) {
                 const errorMessage = `Failed to update notes: ${error.message}`;
@@ -76,4 +68,4 @@ function registerUpdateCommand(
 
 module.exports = {
     registerUpdateCommand
-};
\ No newline at end of file
+};
@@ -1,55 +1,176 @@
 const fs = require('fs');
 const path = require('path');
 const { log } = require('../utils/logging');
+const { parseFrontmatter } = require('../utils/frontmatterParser');
 
 /**
- * FUNC - Gets the content of a Markdown note file up to the first H1 (#) header.
- * It skips YAML frontmatter at the beginning of the file.
+ * @typedef {object} NoteContentOptions
+ * @property {"disabled"|"showPreHeader"|"showFullNote"|"showFirstParagraph"|"showSection"|"showCallout"} mode - Which part of the note to show.
+ * @property {number} [maxLines] - Maximum number of lines of the extracted content. 0 means no limit.
+ * @property {number} [maxCharacters] - Maximum number of characters of the extracted content. 0 means no limit.
+ * @property {string} [sectionHeading] - Heading of the section to show in the "showSection" mode.
+ * @property {string} [calloutType] - Type of the callout (e.g. "summary" for `> [!summary]`) to show in the "showCallout" mode.
+ */
+
+/**
+ * FUNC - Gets the part of a Markdown note file that should be displayed in the tooltip.
+ * It skips YAML frontmatter at the beginning of the file, extracts the part of the note selected by `options.mode`
+ * and truncates it to `options.maxLines` lines and `options.maxCharacters` characters.
  *
  * @param {string} filePath The full path to the Markdown note file.
+ * @param {NoteContentOptions} [options] Which part of the note to extract. Defaults to the content before the first H1 header.
  * @returns {Promise<string>} A Promise that resolves with the extracted content, or an empty string if an error occurs.
  */
-async function getNoteContent(filePath) {
+async function getNoteContent(filePath, options = { mode: "showPreHeader" }) {
     try {
+        if (options.mode === "disabled") return "";
+
         const content = await fs.promises.readFile(filePath, "utf-8");
-        const lines = content.split("\n");
-        let inFrontmatter = false;
-        let contentBuffer = [];
-        let collectingContent = false;
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-
-            // Detect frontmatter boundaries (lines with '---')
-            if (trimmedLine === "---") {
-                inFrontmatter = !inFrontmatter;
-                // Start collecting content only after the closing '---' of the frontmatter
-                collectingContent = !inFrontmatter;
-                continue;
-            }
-
-            // Skip lines that are part of the frontmatter
-            if (inFrontmatter) continue;
-
-            // Stop collecting content when the first H1 header is encountered
-            if (line.startsWith("# ")) {
-                break;
-            }
+        const { body } = parseFrontmatter(content);
+        const lines = body.split("\n");
 
-            // Collect content if not in frontmatter or if collecting has started
-            if (collectingContent || !inFrontmatter) {
-                contentBuffer.push(line);
-            }
+        let extractedLines;
+        switch (options.mode) {
+            case "showFullNote":
+                extractedLines = lines;
+                break;
+            case "showFirstParagraph":
+                extractedLines = extractFirstParagraph(lines);
+                break;
+            case "showSection":
+                extractedLines = extractSection(lines, options.sectionHeading);
+                break;
+            case "showCallout":
+                extractedLines = extractCallout(lines, options.calloutType);
+                break;
+            default:
+                extractedLines = extractPreHeader(lines);
         }
 
-        // Join the collected lines and remove any trailing whitespace or newlines
-        return contentBuffer.join("\n").replace(/[\n\r\s]+$/, "");
+        return truncateContent(extractedLines, options.maxLines, options.maxCharacters);
     } catch (error) {
         log(`Error reading note content for ${filePath}: ${error.message}`);
         return "";
     }
 }
 
+/**
+ * FUNC - Extracts the lines before the first H1 (#) header.
+ * @param {string[]} lines The lines of the note body.
+ * @returns {string[]} The extracted lines.
+ */
+function extractPreHeader(lines) {
+    const headerIndex = lines.findIndex((line) => line.startsWith("# "));
+    return headerIndex === -1 ? lines : lines.slice(0, headerIndex);
+}
+
+/**
+ * FUNC - Extracts the first paragraph of text, skipping headers and empty lines before it.
+ * @param {string[]} lines The lines of the note body.
+ * @returns {string[]} The extracted lines.
+ */
+function extractFirstParagraph(lines) {
+    const startIndex = lines.findIndex((line) => line.trim() !== "" && !/^#{1,6}\s/.test(line));
+    if (startIndex === -1) return [];
+
+    const paragraph = [];
+    for (const line of lines.slice(startIndex)) {
+        if (line.trim() === "" || /^#{1,6}\s/.test(line)) break;
+        paragraph.push(line);
+    }
+    return paragraph;
+}
+
+/**
+ * FUNC - Extracts the content of the section under the given heading (of any level, case-insensitive).
+ * The section ends at the next heading of the same or higher level.
+ * @param {string[]} lines The lines of the note body.
+ * @param {string} [heading] The text of the heading.
+ * @returns {string[]} The extracted lines, or an empty array if the heading was not found.
+ */
+function extractSection(lines, heading) {
+    if (!heading) return [];
+    const wantedHeading = heading.trim().toLowerCase();
+
+    const headingIndex = lines.findIndex((line) => {
+        const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        return match && match[2].toLowerCase() === wantedHeading;
+    });
+    if (headingIndex === -1) return [];
+
+    const level = lines[headingIndex].match(/^#+/)[0].length;
+    const section = [];
+    for (const line of lines.slice(headingIndex + 1)) {
+        const headingMatch = line.match(/^(#{1,6})\s/);
+        if (headingMatch && headingMatch[1].length <= level) break;
+        section.push(line);
+    }
+    return section;
+}
+
+/**
+ * FUNC - Extracts the content of the first callout of the given type, e.g. `> [!summary]`.
+ * The callout title (text after the type) is kept as a bold first line, the `>` markers are removed.
+ * @param {string[]} lines The lines of the note body.
+ * @param {string} [calloutType] The type of the callout, without brackets and `!`.
+ * @returns {string[]} The extracted lines, or an empty array if the callout was not found.
+ */
+function extractCallout(lines, calloutType) {
+    if (!calloutType) return [];
+    const wantedType = calloutType.trim().toLowerCase();
+
+    let calloutIndex = -1;
+    let title = "";
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^>\s*\[!([^\]]+)\][+-]?\s*(.*)$/);
+        if (match && match[1].trim().toLowerCase() === wantedType) {
+            calloutIndex = i;
+            title = match[2].trim();
+            break;
+        }
+    }
+    if (calloutIndex === -1) return [];
+
+    const callout = title ? [`**${title}**`, ""] : [];
+    for (const line of lines.slice(calloutIndex + 1)) {
+        if (!line.startsWith(">")) break;
+        callout.push(line.replace(/^>\s?/, ""));
+    }
+    return callout;
+}
+
+/**
+ * FUNC - Joins the extracted lines and limits them to the given number of lines and characters.
+ * An ellipsis is added when the content was cut.
+ * @param {string[]} lines The extracted lines.
+ * @param {number} [maxLines] Maximum number of lines. 0 or undefined means no limit.
+ * @param {number} [maxCharacters] Maximum number of characters. 0 or undefined means no limit.
+ * @returns {string} The content without leading and trailing empty lines.
+ */
+function truncateContent(lines, maxLines, maxCharacters) {
+    // Remove leading empty lines, so the line limit counts only visible content
+    const firstContentIndex = lines.findIndex((line) => line.trim() !== "");
+    let contentLines = firstContentIndex === -1 ? [] : lines.slice(firstContentIndex);
+    let isTruncated = false;
+
+    if (maxLines > 0 && contentLines.length > maxLines) {
+        contentLines = contentLines.slice(0, maxLines);
+        isTruncated = true;
+    }
+
+    // Join the collected lines and remove any trailing whitespace or newlines
+    let content = contentLines.join("\n").replace(/[\n\r\s]+$/, "");
+
+    if (maxCharacters > 0 && content.length > maxCharacters) {
+        // Cut at the last whitespace to avoid breaking words
+        const cutIndex = content.lastIndexOf(" ", maxCharacters);
+        content = content.substring(0, cutIndex > 0 ? cutIndex : maxCharacters).replace(/[\n\r\s]+$/, "");
+        isTruncated = true;
+    }
+
+    return isTruncated && content ? `${content}\n\n…` : content;
+}
+
 /**
  * FUNC - Checks if the Obsidian vault directory has been modified since the last update.
  * It recursively scans the vault for the latest modification timestamp of any Markdown file.
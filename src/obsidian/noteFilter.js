@@ -0,0 +1,265 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { log } = require("../utils/logging");
+
+/**
+ * @typedef {object} NoteFilter
+ * @property {Set<string>} selectedDirectories - Directories selected in the vault, as paths relative to the vault root
+ * separated by `/` (e.g. `Engineering/APIs`). "Notes In Root" stands for the notes in the vault root, "All" for every note.
+ * @property {string[]} includePatterns - Glob patterns, a note must match one of them (if any are set).
+ * @property {string[]} excludePatterns - Glob patterns, a note that matches one of them is skipped.
+ * @property {string[]} includeTags - Tags, a note must have one of them (if any are set).
+ * @property {string[]} excludeTags - Tags, a note that has one of them is skipped.
+ * @property {string[]} excludedFolders - Folders skipped as a whole, e.g. the templates folder of the vault.
+ * @property {RegExp[]} includeRegExps - Compiled `includePatterns`.
+ * @property {RegExp[]} excludeRegExps - Compiled `excludePatterns`.
+ */
+
+/**
+ * FUNC - Creates the rule set that decides which notes of a vault are indexed.
+ * The same rules are used by the vault scan, the vault watcher and the "Pick Directories" QuickPick.
+ * Glob patterns and tags come from the extension settings, the templates folder from the Obsidian settings of the vault
+ * (core "Templates" plugin and the "Templater" plugin).
+ *
+ * @param {string} vaultPath The full path to the vault.
+ * @param {Set<string>} selectedDirectories The directories selected in the vault.
+ * @returns {Promise<NoteFilter>} A Promise that resolves with the rule set.
+ */
+async function createNoteFilter(vaultPath, selectedDirectories) {
+    const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+    const includePatterns = toPatternList(config.get("includePatterns", []));
+    const excludePatterns = toPatternList(config.get("excludePatterns", []));
+
+    const excludedFolders = config.get("excludeTemplatesFolder", true)
+        ? await getTemplatesFolders(vaultPath)
+        : [];
+
+    return {
+        selectedDirectories: new Set(Array.from(selectedDirectories, toPosixPath)),
+        includePatterns,
+        excludePatterns,
+        includeTags: toTagList(config.get("includeTags", [])),
+        excludeTags: toTagList(config.get("excludeTags", [])),
+        excludedFolders,
+        includeRegExps: includePatterns.map(globToRegExp),
+        excludeRegExps: excludePatterns.map(globToRegExp),
+    };
+}
+
+/**
+ * FUNC - Checks if a note is indexed, based on its path only (selected directories, excluded folders and glob patterns).
+ * Used before the note is read, so skipped notes are never opened.
+ *
+ * @param {string} relativePath The path to the note relative to the vault root.
+ * @param {NoteFilter} noteFilter The rule set of the vault.
+ * @returns {boolean} `true` if the path passes the rules.
+ */
+function isPathIncluded(relativePath, noteFilter) {
+    const posixPath = toPosixPath(relativePath);
+
+    if (!isInSelectedDirectories(posixPath, noteFilter.selectedDirectories)) return false;
+    if (noteFilter.excludedFolders.some((folder) => isInFolder(posixPath, folder))) return false;
+    if (noteFilter.includeRegExps.length > 0 && !noteFilter.includeRegExps.some((regExp) => regExp.test(posixPath))) return false;
+    return !noteFilter.excludeRegExps.some((regExp) => regExp.test(posixPath));
+}
+
+/**
+ * FUNC - Checks if a note that was read passes the tag rules.
+ * Tags match hierarchically, like in Obsidian: the tag `project` matches `project/frontend` as well.
+ *
+ * @param {{tags: string[]}} note The note information.
+ * @param {NoteFilter} noteFilter The rule set of the vault.
+ * @returns {boolean} `true` if the note passes the tag rules.
+ */
+function isNoteIncluded(note, noteFilter) {
+    const noteTags = (note.tags || []).map((tag) => tag.toLowerCase());
+    const hasTag = (tag) => noteTags.some((noteTag) => noteTag === tag || noteTag.startsWith(`${tag}/`));
+
+    if (noteFilter.includeTags.length > 0 && !noteFilter.includeTags.some(hasTag)) return false;
+    return !noteFilter.excludeTags.some(hasTag);
+}
+
+/**
+ * FUNC - Explains why a folder is skipped as a whole by the rules that don't depend on the selection
+ * (templates folder and exclude patterns). Used to annotate folders in the "Pick Directories" QuickPick.
+ *
+ * @param {string} folderPath The path to the folder relative to the vault root.
+ * @param {NoteFilter} noteFilter The rule set of the vault.
+ * @returns {string|null} The reason, or `null` if notes in the folder can be indexed.
+ */
+function getFolderExclusionReason(folderPath, noteFilter) {
+    const posixPath = toPosixPath(folderPath);
+
+    if (noteFilter.excludedFolders.some((folder) => isInFolder(`${posixPath}/`, folder))) {
+        return "templates folder";
+    }
+    // A pattern like `Archive/**` matches every path inside the folder, including the empty one
+    const excludePattern = noteFilter.excludePatterns.find((pattern, index) => noteFilter.excludeRegExps[index].test(`${posixPath}/`));
+    return excludePattern ? `excluded by "${excludePattern}"` : null;
+}
+
+/**
+ * FUNC - Gets the part of the rule set that is stored with the cache of the vault.
+ * A cache that was built with other rules (e.g. in another workspace) is not used.
+ *
+ * @param {NoteFilter} noteFilter The rule set of the vault.
+ * @returns {object} A plain object that can be compared as JSON.
+ */
+function getScanScope(noteFilter) {
+    return {
+        directories: Array.from(noteFilter.selectedDirectories).sort(),
+        includePatterns: noteFilter.includePatterns,
+        excludePatterns: noteFilter.excludePatterns,
+        includeTags: noteFilter.includeTags,
+        excludeTags: noteFilter.excludeTags,
+        excludedFolders: noteFilter.excludedFolders,
+        // Caches collected before the inline `#tags` of notes were read are rebuilt once
+        inlineTags: true,
+    };
+}
+
+/**
+ * FUNC - Checks if two rule sets index the same notes.
+ * @param {NoteFilter} first The first rule set.
+ * @param {NoteFilter} second The second rule set.
+ * @returns {boolean} `true` if both rule sets are the same.
+ */
+function isSameScanScope(first, second) {
+    return JSON.stringify(getScanScope(first)) === JSON.stringify(getScanScope(second));
+}
+
+/**
+ * FUNC - Converts a glob pattern to a regular expression that matches paths relative to the vault root.
+ * Supports `**` (any number of folders), `*` (any characters except `/`), `?` (one character) and `{a,b}` (alternatives).
+ *
+ * @param {string} pattern The glob pattern, e.g. `Engineering/**` or `**\/*.draft.md`.
+ * @returns {RegExp} The regular expression.
+ */
+function globToRegExp(pattern) {
+    let source = "";
+    let braceDepth = 0;
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+
+        if (char === "*") {
+            if (pattern[index + 1] === "*") {
+                // `**/` matches zero or more folders, a trailing `**` matches everything
+                const followedBySlash = pattern[index + 2] === "/";
+                source += followedBySlash ? "(?:.*/)?" : ".*";
+                index += followedBySlash ? 2 : 1;
+            } else {
+                source += "[^/]*";
+            }
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            braceDepth++;
+            source += "(?:";
+        } else if (char === "}" && braceDepth > 0) {
+            braceDepth--;
+            source += ")";
+        } else if (char === "," && braceDepth > 0) {
+            source += "|";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * FUNC - Gets the templates folders configured in the Obsidian settings of the vault.
+ * Reads the core "Templates" plugin (`.obsidian/templates.json`) and the "Templater" plugin settings.
+ *
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {Promise<string[]>} A Promise that resolves with the folders relative to the vault root, separated by `/`.
+ */
+async function getTemplatesFolders(vaultPath) {
+    const settingsFiles = [
+        { file: path.join(vaultPath, ".obsidian", "templates.json"), key: "folder" },
+        { file: path.join(vaultPath, ".obsidian", "plugins", "templater-obsidian", "data.json"), key: "templates_folder" },
+    ];
+
+    const folders = [];
+    for (const { file, key } of settingsFiles) {
+        try {
+            const settings = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+            const folder = typeof settings[key] === "string" ? toPosixPath(settings[key]).replace(/^\/+|\/+$/g, "") : "";
+            if (folder) folders.push(folder);
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                log(`Failed to read templates settings ${file}: ${error.message}`);
+            }
+        }
+    }
+    return [...new Set(folders)];
+}
+
+/**
+ * FUNC - Checks if a note is in one of the selected directories, at any depth.
+ * @param {string} posixPath The path to the note relative to the vault root, separated by `/`.
+ * @param {Set<string>} selectedDirectories The selected directories.
+ * @returns {boolean} `true` if the note is in a selected directory.
+ */
+function isInSelectedDirectories(posixPath, selectedDirectories) {
+    if (selectedDirectories.has("All")) return true;
+    if (!posixPath.includes("/")) return selectedDirectories.has("Notes In Root");
+
+    for (const directory of selectedDirectories) {
+        if (directory !== "Notes In Root" && isInFolder(posixPath, directory)) return true;
+    }
+    return false;
+}
+
+/**
+ * FUNC - Checks if a path is inside a folder (at any depth).
+ * @param {string} posixPath The path relative to the vault root, separated by `/`.
+ * @param {string} folder The folder relative to the vault root, separated by `/`.
+ * @returns {boolean} `true` if the path is inside the folder.
+ */
+function isInFolder(posixPath, folder) {
+    return posixPath.startsWith(`${folder}/`);
+}
+
+/**
+ * FUNC - Converts a path relative to the vault root to a path separated by `/`.
+ * @param {string} relativePath The relative path.
+ * @returns {string} The path separated by `/`.
+ */
+function toPosixPath(relativePath) {
+    return relativePath.split(path.sep).join("/");
+}
+
+/**
+ * FUNC - Cleans a list of glob patterns from the settings.
+ * @param {unknown} patterns The value of the setting.
+ * @returns {string[]} The non-empty patterns.
+ */
+function toPatternList(patterns) {
+    return Array.isArray(patterns)
+        ? patterns.filter((pattern) => typeof pattern === "string" && pattern.trim()).map((pattern) => pattern.trim())
+        : [];
+}
+
+/**
+ * FUNC - Cleans a list of tags from the settings: `#` is removed and tags are compared in lowercase, like in Obsidian.
+ * @param {unknown} tags The value of the setting.
+ * @returns {string[]} The tags.
+ */
+function toTagList(tags) {
+    return toPatternList(tags).map((tag) => tag.replace(/^#/, "").toLowerCase());
+}
+
+module.exports = {
+    createNoteFilter,
+    isPathIncluded,
+    isNoteIncluded,
+    getFolderExclusionReason,
+    getScanScope,
+    isSameScanScope,
+    globToRegExp,
+    toPosixPath
+};
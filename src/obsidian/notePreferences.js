@@ -0,0 +1,158 @@
+const { canonicalNormalize } = require("../utils/normalizer");
+
+/**
+ * @constant
+ * @type {string}
+ * @description Key of the remembered preferred notes, in both the workspace state and the global state.
+ */
+const PREFERRED_NOTES_KEY = "preferredNotes";
+
+/**
+ * @typedef {object} PreferredNote
+ * @property {string} vaultPath - The full path to the vault of the note.
+ * @property {string} notePath - The path to the note relative to the vault root (the key in `notesCache`).
+ * @property {string} [keyword] - The keyword as the user saw it when making the choice, for display.
+ */
+
+/**
+ * @typedef {object} PreferredNoteEntry
+ * @property {string} keyword - The keyword the preference is remembered for.
+ * @property {PreferredNote} note - The preferred note.
+ * @property {"workspace"|"global"} scope - Where the preference is stored.
+ */
+
+/**
+ * FUNC - Gets the note the user chose for a keyword that matches several notes.
+ * A choice made for the current workspace wins over a global choice.
+ *
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {string} keyword The keyword (e.g. the matched note key). It's normalized, so `useState()` and `useState` share a choice.
+ * @returns {PreferredNote|undefined} The preferred note, or `undefined` if no choice was made.
+ */
+function getPreferredNote(context, keyword) {
+    const key = canonicalNormalize(keyword);
+    return getPreferences(context, "workspace")[key] || getPreferences(context, "global")[key];
+}
+
+/**
+ * FUNC - Remembers the note the user chose for a keyword.
+ * A choice for one scope replaces an older choice in the other scope, so the latest choice is always the one used.
+ *
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {string} keyword The keyword.
+ * @param {PreferredNote} note The chosen note.
+ * @param {"workspace"|"global"} scope Where the choice is stored.
+ * @returns {Promise<void>}
+ */
+async function setPreferredNote(context, keyword, note, scope) {
+    const key = canonicalNormalize(keyword);
+    const otherScope = scope === "workspace" ? "global" : "workspace";
+    if (getPreferences(context, otherScope)[key]) {
+        await removePreferredNote(context, key, otherScope);
+    }
+    await updatePreferences(context, scope, { ...getPreferences(context, scope), [key]: { ...note, keyword } });
+}
+
+/**
+ * FUNC - Forgets the choice for a keyword.
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {string} keyword The keyword.
+ * @param {"workspace"|"global"} scope Where the choice is stored.
+ * @returns {Promise<void>}
+ */
+async function removePreferredNote(context, keyword, scope) {
+    const key = canonicalNormalize(keyword);
+    const preferences = { ...getPreferences(context, scope) };
+    if (preferences[key]) {
+        delete preferences[key];
+        await updatePreferences(context, scope, preferences);
+    }
+}
+
+/**
+ * FUNC - Lists all remembered choices of both scopes.
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @returns {PreferredNoteEntry[]} The choices, workspace choices first, sorted by keyword.
+ */
+function getAllPreferredNotes(context) {
+    return ["workspace", "global"].flatMap((scope) =>
+        Object.entries(getPreferences(context, scope))
+            .map(([key, note]) => ({ keyword: note.keyword || key, note, scope }))
+            .sort((a, b) => a.keyword.localeCompare(b.keyword))
+    );
+}
+
+/**
+ * FUNC - Moves the preferred note of a keyword to the front of the found notes, so it's displayed as the primary note.
+ * @template {{vaultState: {vaultPath: string}, info: {path: string}}} T
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {string} keyword The keyword the notes were found for.
+ * @param {T[]} foundNotes The found notes, from all connected vaults.
+ * @returns {{foundNotes: T[], isPreferred: boolean}} The reordered notes, and whether the first one is the user's choice.
+ */
+function applyPreferredNote(context, keyword, foundNotes) {
+    const preferredNote = getPreferredNote(context, keyword);
+    if (!preferredNote) return { foundNotes, isPreferred: false };
+
+    const preferredIndex = foundNotes.findIndex(({ vaultState, info }) =>
+        vaultState.vaultPath === preferredNote.vaultPath && info.path === preferredNote.notePath
+    );
+    // The preferred note could have been renamed or removed since the choice was made
+    if (preferredIndex === -1) return { foundNotes, isPreferred: false };
+
+    const reordered = [foundNotes[preferredIndex], ...foundNotes.filter((_, index) => index !== preferredIndex)];
+    return { foundNotes: reordered, isPreferred: true };
+}
+
+/**
+ * FUNC - Gets the found notes of the matches of a token or a phrase, the note the user chose first.
+ * Vaults can match different keys for the same token (e.g. `User` in one vault and `Users` in another),
+ * so the choice remembered for any of the matched keys is applied.
+ * @template {{vaultState: {vaultPath: string}, match: {matchedKey: string, paths: {path: string}[]}}} T
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {T[]} vaultMatches The matches in every vault.
+ * @returns {{foundNotes: {vaultState: T["vaultState"], info: T["match"]["paths"][number]}[], isPreferred: boolean, keyword: string}}
+ * The reordered notes, whether the first one is the user's choice, and the keyword the choice is remembered for
+ * (the key matched in the first vault when no choice was made).
+ */
+function applyPreferredNoteToMatches(context, vaultMatches) {
+    const foundNotes = vaultMatches.flatMap(({ vaultState, match }) => match.paths.map((info) => ({ vaultState, info })));
+    const keywords = [...new Set(vaultMatches.map(({ match }) => match.matchedKey))];
+    for (const keyword of keywords) {
+        const result = applyPreferredNote(context, keyword, foundNotes);
+        if (result.isPreferred) return { ...result, keyword };
+    }
+    return { foundNotes, isPreferred: false, keyword: keywords[0] };
+}
+
+/**
+ * FUNC - Reads the choices of one scope.
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {"workspace"|"global"} scope The scope.
+ * @returns {Object<string, PreferredNote>} The choices, keyed by the normalized keyword.
+ */
+function getPreferences(context, scope) {
+    const state = scope === "workspace" ? context.workspaceState : context.globalState;
+    return state.get(PREFERRED_NOTES_KEY) || {};
+}
+
+/**
+ * FUNC - Writes the choices of one scope.
+ * @param {import("vscode").ExtensionContext} context The VS Code extension context.
+ * @param {"workspace"|"global"} scope The scope.
+ * @param {Object<string, PreferredNote>} preferences The choices, keyed by the normalized keyword.
+ * @returns {Thenable<void>}
+ */
+function updatePreferences(context, scope, preferences) {
+    const state = scope === "workspace" ? context.workspaceState : context.globalState;
+    return state.update(PREFERRED_NOTES_KEY, preferences);
+}
+
+module.exports = {
+    getPreferredNote,
+    setPreferredNote,
+    removePreferredNote,
+    getAllPreferredNotes,
+    applyPreferredNote,
+    applyPreferredNoteToMatches
+};
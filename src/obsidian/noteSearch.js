@@ -3,99 +3,143 @@ const path = require('path');
 const { log } = require('../utils/logging');
 const { scanVaultDirectory } = require('./noteFetcher');
 const { createObsidianUri } = require('../utils/noteUriHandler');
+const { parseFrontmatter, toStringList } = require('../utils/frontmatterParser');
+const { isPathIncluded, isNoteIncluded } = require('./noteFilter');
+const { recordProblem, clearProblem } = require('../utils/problemRecorder');
 
 /**
  * FUNC - Loads note names and aliases from a list of files into an array.
  * This function scans the selected by user vault directories for Markdown files,
- * extracts their aliases from YAML frontmatter, and creates Obsidian URIs for them.
+ * extracts their aliases, tags and other properties from YAML frontmatter, and creates Obsidian URIs for them.
+ * Notes are skipped by the rules of the note filter: by their path before they are read, by their tags after.
  *
  * @param {string} vaultPath The full path to the Obsidian vault.
- * @param {Set<string>} selectedDirectories A Set of directories to scan within the vault.
+ * @param {import("./noteFilter").NoteFilter} noteFilter The rules that decide which notes are indexed.
  * @returns {Promise<Array<object>>} A Promise that resolves with an array of note information objects.
- * Each object contains: `path` (full file path), `relativePath`, `aliases` (array of strings), and `uri` (Obsidian URI).
+ * Each object contains: `path` (full file path), `relativePath`, `aliases` (array of strings), `tags` (array of strings),
+ * `title`, `properties` (all other frontmatter properties), and `uri` (Obsidian URI).
  * @throws {Error} If the vault scan fails.
  */
-async function loadVaultNotes(vaultPath, selectedDirectories) {
+async function loadVaultNotes(vaultPath, noteFilter) {
     try {
         log(`Starting vault scan: ${vaultPath}`);
         const notes = [];
 
-        /**
-         * FUNC - Extracts aliases from the YAML frontmatter of a Markdown file.
-         * Aliases are expected to be in a `aliases:` section within the frontmatter.
-         *
-         * @param {string} filePath The full path to the Markdown file.
-         * @returns {Promise<string[]>} A Promise that resolves with an array of aliases (strings).
-         */
-        async function extractAliases(filePath) {
-            const content = await fs.promises.readFile(filePath, "utf-8");
-
-            // Check if file starts with frontmatter
-            if (!content.startsWith("---")) {
-                return [];
-            }
-
-            // Find the end of frontmatter
-            const secondDash = content.indexOf("---", 3);
-            if (secondDash === -1) {
-                return [];
-            }
-
-            // Extract frontmatter content
-            const frontmatter = content.substring(3, secondDash);
-
-            // Look for aliases section
-            const aliasesMatch = frontmatter.match(/aliases:\n((?:  - .*\n)*)/);
-            if (!aliasesMatch) {
-                return [];
-            }
-
-            // Extract individual aliases
-            const aliasesSection = aliasesMatch[1];
-            return aliasesSection
-                .split("\n")
-                .filter((line) => line.startsWith("  - "))
-                .map((line) => line.substring(4).trim());
-        }
-
         await scanVaultDirectory(vaultPath, async (fullPath) => {
-            // Check if the note should be included based on selected directories
+            // Check if the note should be included based on selected directories and glob patterns
             const relativePath = path.relative(vaultPath, fullPath);
-            const rootDir = relativePath.split(path.sep)[0];
-
-            // If "All" is selected or the file is in a selected directory
-            if (
-                selectedDirectories.has("All") ||
-                (rootDir === "" && selectedDirectories.has("Notes In Root")) ||
-                selectedDirectories.has(rootDir)
-            ) {
-                const aliases = await extractAliases(fullPath);
-                const obsidianUri = createObsidianUri(vaultPath, relativePath);
 
-                const noteInfo = {
-                    path: fullPath,
-                    relativePath: relativePath,
-                    aliases: aliases,
-                    uri: obsidianUri,
-                };
+            if (isPathIncluded(relativePath, noteFilter)) {
+                const noteInfo = await readNoteInfo(vaultPath, fullPath);
+                if (!isNoteIncluded(noteInfo, noteFilter)) {
+                    log(`Skipped note by tags: ${fullPath}`);
+                    return;
+                }
                 notes.push(noteInfo);
 
                 log(`Found note: ${fullPath}`);
-                if (aliases.length > 0) {
-                    log(`  Aliases: ${aliases.join(", ")}`);
+                if (noteInfo.aliases.length > 0) {
+                    log(`  Aliases: ${noteInfo.aliases.join(", ")}`);
                 }
-                log(`  URI: ${obsidianUri}`);
+                log(`  URI: ${noteInfo.uri}`);
             }
         });
 
         log(`Total notes found: ${notes.length}`);
+        clearProblem("scan", { vaultPath });
         return notes;
     } catch (error) {
         log(`Vault scan failed: ${error.message}`);
+        recordProblem("scan", `Vault scan failed: ${error.message}`, { vaultPath });
         throw error;
     }
 }
 
+/**
+ * FUNC - Reads the metadata of a note from its YAML frontmatter.
+ * Aliases are read from the `aliases` key and the legacy `alias` key, tags from `tags` and `tag`
+ * and from the `#tags` in the body of the note, like in Obsidian.
+ * All other properties are kept as is in `properties`.
+ *
+ * @param {string} filePath The full path to the Markdown file.
+ * @returns {Promise<{aliases: string[], tags: string[], title: string|null, properties: object}>} A Promise that resolves with the note metadata.
+ */
+async function readNoteMetadata(filePath) {
+    const content = await fs.promises.readFile(filePath, "utf-8");
+    const { data, body, error } = parseFrontmatter(content);
+    if (error) {
+        log(`Failed to parse frontmatter of ${filePath}: ${error}`);
+        recordProblem("frontmatter", error, { filePath });
+    } else {
+        clearProblem("frontmatter", { filePath });
+    }
+
+    const { aliases, alias, tags, tag, title, ...properties } = data;
+
+    // Tags may be written as a list, or as a single string separated by commas or spaces, with or without '#'
+    const tagList = [...toStringList(tags), ...toStringList(tag)]
+        .flatMap((item) => item.split(/[\s,]+/))
+        .map((item) => item.replace(/^#/, ""))
+        .filter((item) => item !== "")
+        .concat(findInlineTags(body));
+
+    return {
+        aliases: [...new Set([...toStringList(aliases), ...toStringList(alias)])],
+        tags: [...new Set(tagList)],
+        title: title === null || title === undefined ? null : String(title),
+        properties,
+    };
+}
+
+/**
+ * FUNC - Finds the inline tags (`#tag`, `#project/frontend`) of the body of a note.
+ * Like in Obsidian, a tag follows a space or the start of a line and is not only digits (`#123` is not a tag),
+ * and tags in code blocks and inline code are ignored.
+ *
+ * @param {string} body The body of the note, after the frontmatter.
+ * @returns {string[]} The tags, without `#`.
+ */
+function findInlineTags(body) {
+    const tags = [];
+    let isInCodeBlock = false;
+    for (const line of body.split("\n")) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            isInCodeBlock = !isInCodeBlock;
+            continue;
+        }
+        if (isInCodeBlock || !line.includes("#")) continue;
+
+        const text = line.replace(/`[^`]*`/g, "");
+        for (const match of text.matchAll(/(?:^|\s)#([\p{L}\p{N}_/-]+)/gu)) {
+            if (!/^\d+$/.test(match[1])) tags.push(match[1]);
+        }
+    }
+    return tags;
+}
+
+/**
+ * FUNC - Reads the information of a single note: its frontmatter metadata and Obsidian URI.
+ * Used both by the full vault scan and by the vault watcher when a single file changes.
+ *
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {string} fullPath The full path to the Markdown note file.
+ * @returns {Promise<{path: string, relativePath: string, aliases: string[], tags: string[], title: string|null, properties: object, uri: string}>} A Promise that resolves with the note information object.
+ */
+async function readNoteInfo(vaultPath, fullPath) {
+    const relativePath = path.relative(vaultPath, fullPath);
+    const metadata = await readNoteMetadata(fullPath);
+    const obsidianUri = createObsidianUri(vaultPath, relativePath);
+
+    return {
+        path: fullPath,
+        relativePath: relativePath,
+        aliases: metadata.aliases,
+        tags: metadata.tags,
+        title: metadata.title,
+        properties: metadata.properties,
+        uri: obsidianUri,
+    };
+}
 
 /**
  * FUNC - Normalizes a string for comparison by removing trailing non-word characters
@@ -115,5 +159,7 @@ function normalizeForComparison(str, caseInsensitive) {
 
 module.exports = {
     loadVaultNotes,
+    readNoteInfo,
+    readNoteMetadata,
     normalizeForComparison
 };
\ No newline at end of file
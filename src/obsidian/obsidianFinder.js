@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { log } = require('../utils/logging');
+const { recordProblem } = require('../utils/problemRecorder');
 
 /**
  * FUNC - Finds the path to the Obsidian program executable based on the operating system.
@@ -94,12 +95,83 @@ async function getObsidianVaults() {
             : [];
     } catch (error) {
         log(`Failed to read Obsidian config: ${error.message}`);
+        // A missing file only means that Obsidian is not installed, the report shows it anyway
+        if (error.code !== "ENOENT") {
+            recordProblem("obsidianConfig", `Failed to read Obsidian config: ${error.message}`);
+        }
         return [];
     }
 }
 
+/**
+ * FUNC - Checks if a folder can be used as a vault, without Obsidian being installed.
+ * A folder is a vault if it contains the `.obsidian` settings folder, or at least one Markdown note
+ * (e.g. a vault synced to a machine or a container where Obsidian isn't installed).
+ *
+ * @param {string} folderPath The full path to the folder.
+ * @returns {Promise<{isValid: boolean, hasObsidianConfig: boolean, message: string}>}
+ * A Promise that resolves with the result of the check and a message that explains it.
+ */
+async function validateVaultFolder(folderPath) {
+    try {
+        const stats = await fs.promises.stat(folderPath);
+        if (!stats.isDirectory()) {
+            return { isValid: false, hasObsidianConfig: false, message: `Not a folder: ${folderPath}` };
+        }
+    } catch {
+        return { isValid: false, hasObsidianConfig: false, message: `Folder not found: ${folderPath}` };
+    }
+
+    const hasObsidianConfig = await fs.promises
+        .stat(path.join(folderPath, ".obsidian"))
+        .then((stats) => stats.isDirectory())
+        .catch(() => false);
+    if (hasObsidianConfig) {
+        return { isValid: true, hasObsidianConfig, message: "Obsidian vault" };
+    }
+
+    if (await containsMarkdownFile(folderPath)) {
+        return { isValid: true, hasObsidianConfig, message: "Folder with Markdown notes" };
+    }
+
+    return {
+        isValid: false,
+        hasObsidianConfig,
+        message: `The folder has no ".obsidian" folder and no Markdown (.md) notes: ${folderPath}`
+    };
+}
+
+/**
+ * FUNC - Checks if a folder or one of its subfolders contains a Markdown file. Stops at the first file found.
+ * Hidden folders are skipped, same as the vault scan.
+ *
+ * @param {string} folderPath The full path to the folder.
+ * @returns {Promise<boolean>} A Promise that resolves to `true` if a `.md` file was found.
+ */
+async function containsMarkdownFile(folderPath) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    } catch (error) {
+        log(`Failed to read folder ${folderPath}: ${error.message}`);
+        return false;
+    }
+
+    // Notes in the folder itself are checked before descending into subfolders
+    if (entries.some((entry) => entry.isFile() && path.extname(entry.name) === ".md")) {
+        return true;
+    }
+    for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith(".") && await containsMarkdownFile(path.join(folderPath, entry.name))) {
+            return true;
+        }
+    }
+    return false;
+}
+
 module.exports = {
     findObsidian,
     getObsidianConfigPath,
-    getObsidianVaults
+    getObsidianVaults,
+    validateVaultFolder
 };
\ No newline at end of file
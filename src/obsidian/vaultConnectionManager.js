@@ -1,32 +1,45 @@
 const vscode = require("vscode");
-const os = require("os");
-const path = require("path");
 const fs = require("fs");
-const { isVaultModified } = require("./noteFetcher");
+const path = require("path");
+const { validateVaultFolder } = require("./obsidianFinder");
+const { needsVaultRefresh } = require("./vaultWatcher");
+const { createNoteFilter, getFolderExclusionReason } = require("./noteFilter");
+const {
+    addConnectedVault,
+    isVaultConnected,
+    getSelectedDirectories,
+    saveSelectedDirectories,
+    getVaultName
+} = require("./vaultRegistry");
+
 
+/**
+ * @constant
+ * @type {string}
+ * @description Marker of the QuickPick item that lets the user choose any folder as a vault.
+ */
+const CHOOSE_FOLDER_ITEM = "chooseFolder";
 
 /**
  * Registers the "Connect With Obsidian" command.
- * This command allows the user to connect to or disconnect from an Obsidian vault.
- * It handles automatic detection of Obsidian installation and vaults,
- * or prompts the user to manually locate the Obsidian executable.
+ * This command adds an Obsidian vault to the connected vaults. Several vaults can be connected at the same time,
+ * vaults are disconnected with the "Remove Vault" command.
+ * The vaults registered in Obsidian (`obsidian.json`) are offered when Obsidian is installed on this machine.
+ * Any folder with Markdown notes can be chosen as a vault as well, so Obsidian doesn't need to be installed
+ * (e.g. vaults synced to remote machines or containers).
  *
  * @param {vscode.ExtensionContext} context The VS Code extension context.
- * @param {Map<string, object>} notesCache A Map to store cached notes information.
- * @param {number} lastUpdateTime The timestamp of the last notes update.
- * @param {function(vscode.ExtensionContext, Map<string, object>, number, function): Promise<void>} saveCache Function to save the notes cache.
+ * @param {function(string): import("./vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
  * @param {function(string): void} log Logging function.
  * @param {function(): Promise<string|null>} findObsidian Function to find the Obsidian executable path.
  * @param {function(): Promise<string[]>} getObsidianVaults Function to get a list of Obsidian vaults.
  * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
- * @param {function(string, vscode.ExtensionContext, Set<string>, Map<string, object>, number, function, function, function): Promise<Set<string>>} pickDirectories Function to let the user pick directories to include.
+ * @param {function(string, vscode.ExtensionContext, object, function, function): Promise<Set<string>>} pickDirectories Function to let the user pick directories to include.
  * @returns {vscode.Disposable} The registered command disposable.
  */
 function registerConnectCommand(
     context,
-    notesCache,
-    lastUpdateTime,
-    saveCache,
+    getVaultState,
     log,
     findObsidian,
     getObsidianVaults,
@@ -37,132 +50,90 @@ function registerConnectCommand(
         "obsidian-tooltips.connectWithObsidian",
         async () => {
             try {
-                const connectedVault = context.globalState.get("connectedVault");
-
-                // If a vault is already connected, disconnect it
-                if (connectedVault) {
-                    await context.globalState.update("connectedVault", undefined); // Clear connected vault from global state
-                    notesCache.clear(); // Clear in-memory notes cache
-                    lastUpdateTime = 0; // Reset last update time
-                    await saveCache(context, new Map(), 0, log); // Clear cache file on disk
-                    vscode.window.showInformationMessage(`Disconnected from vault: ${connectedVault}`);
-                    return;
-                }
-
                 log("Connect With Obsidian command triggered");
 
-                // Attempt to find the Obsidian executable automatically
-                let obsidianPath = await findObsidian();
-
-                if (!obsidianPath) {
-                    log("Opening file picker dialog");
-                    const result = await vscode.window.showOpenDialog({
-                        canSelectFiles: true,
-                        canSelectFolders: false,
-                        canSelectMany: false,
-                        title: "Locate Obsidian Executable",
-                        filters: { Executable: ["exe", "app", ""] },
-                        defaultUri:
-                            os.platform() === "win32"
-                                ? vscode.Uri.file(
-                                      path.join(
-                                          process.env.LOCALAPPDATA,
-                                          "Obsidian"
-                                      )
-                                  )
-                                : undefined, // Default path for Windows
-                    });
-
-                    if (result?.[0]?.fsPath) {
-                        obsidianPath = result[0].fsPath;
-                        log(`Obsidian path manually set: ${obsidianPath}`);
-                    } else {
-                        log("File picker cancelled by user");
-                        return;
-                    }
+                // Obsidian is optional: without it, the vaults can't be read from obsidian.json, but any folder can be chosen
+                const obsidianPath = await findObsidian();
+                if (obsidianPath) {
+                    await context.globalState.update("obsidianPath", obsidianPath);
+                    log(`Obsidian path saved: ${obsidianPath}`);
                 }
 
-                await context.globalState.update(
-                    "obsidianPath",
-                    obsidianPath
-                );
-                log(`Obsidian path saved: ${obsidianPath}`);
-
                 // Get list of available Obsidian vaults
                 const vaults = await getObsidianVaults();
-                if (vaults.length === 0) {
-                    vscode.window.showInformationMessage(
-                        "No Obsidian vaults found!"
-                    );
-                    return;
-                }
-
-                // Prompt user to select a vault from the found list
-                const selectedVault = await vscode.window.showQuickPick(
-                    vaults.map((vaultPath) => ({
-                        label: vaultPath.split(/[\\/]/).pop(), // Display vault name
-                        description: vaultPath, // Full path as description
-                        detail: vaultPath, // Full path as detail
-                    })),
-                    {
-                        placeHolder: "Select a vault to connect",
-                        ignoreFocusOut: true, // Keep quick pick open if focus is lost
-                    }
-                );
+                log(`Found ${vaults.length} vaults in the Obsidian configuration`);
 
-                if (selectedVault) {
-                    // Ensure that 'description' property exists.
-                    // @ts-ignore
-                    if (typeof selectedVault === 'object' && selectedVault !== null && 'description' in selectedVault) {
-                        // @ts-ignore
-                        const vaultPath = selectedVault.description;
-
-                        await context.globalState.update(
-                            "connectedVault",
-                            vaultPath
-                        );
-
-                        try {
-                            // Perform an initial scan of the selected vault to update notes information
-                            const result = await updateNotesInformation(
-                                vaultPath,
-                                true, // Force update
-                                context,
-                                notesCache,
-                                lastUpdateTime,
-                                new Set(["Notes In Root"]) // Default to scanning notes in root
-                            );
-                            notesCache = result.notesCache;
-                            lastUpdateTime = result.lastUpdateTime;
-
-                            // Prompt user to pick specific directories within the vault to scan.
-                            await pickDirectories(
-                                vaultPath,
-                                context,
-                                new Set(["Notes In Root"]), // Initial selected directories
-                                notesCache,
-                                lastUpdateTime,
-                                saveCache,
-                                log,
-                                updateNotesInformation
-                            );
-                        } catch (error) {
-                            vscode.window.showErrorMessage(
-                                `Failed to scan vault: ${error.message}`
-                            );
+                let vaultPath;
+                if (vaults.length === 0) {
+                    // Nothing to choose from, go straight to the folder picker
+                    vaultPath = await pickVaultFolder(log);
+                } else {
+                    // Prompt user to select a vault from the found list, or any other folder
+                    const selectedVault = await vscode.window.showQuickPick(
+                        [
+                            ...vaults.map((foundVaultPath) => ({
+                                label: getVaultName(foundVaultPath), // Display vault name
+                                description: foundVaultPath, // Full path as description
+                                detail: isVaultConnected(context, foundVaultPath) ? "$(check) Already connected" : foundVaultPath,
+                                vaultPath: foundVaultPath,
+                            })),
+                            {
+                                label: "$(folder-opened) Choose a folder...",
+                                description: "Any folder with Markdown notes",
+                                vaultPath: CHOOSE_FOLDER_ITEM,
+                            },
+                        ],
+                        {
+                            placeHolder: "Select a vault to connect",
+                            ignoreFocusOut: true, // Keep quick pick open if focus is lost
                         }
+                    );
+                    if (!selectedVault) return;
 
-                        vscode.window.showInformationMessage(
-                            `Connected to vault: ${vaultPath}`
-                        );
+                    vaultPath = selectedVault.vaultPath === CHOOSE_FOLDER_ITEM
+                        ? await pickVaultFolder(log)
+                        : selectedVault.vaultPath;
+                }
 
-                        log(`Vault connected: ${vaultPath}`);
-                    } else {
-                        log("Error: selectedVault is not a QuickPickItem or missing description property.");
-                        vscode.window.showErrorMessage("Error connecting to vault. Please try again.");
-                    }
+                if (vaultPath) {
+                    await connectVault(vaultPath, context, getVaultState, log, updateNotesInformation, pickDirectories);
                 }
+            } catch (error) {
+                const errorMessage = `Connection error: ${error.message}`;
+                log(errorMessage);
+                log(`Stack trace: ${error.stack}`);
+                vscode.window.showErrorMessage(errorMessage);
+            }
+        }
+    );
+}
 
+/**
+ * Registers the "Connect Vault Folder" command.
+ * This command connects any folder as a vault, without looking for an Obsidian installation.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("./vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
+ * @param {function(string, vscode.ExtensionContext, object, function, function): Promise<Set<string>>} pickDirectories Function to let the user pick directories to include.
+ * @returns {vscode.Disposable} The registered command disposable.
+ */
+function registerConnectFolderCommand(
+    context,
+    getVaultState,
+    log,
+    updateNotesInformation,
+    pickDirectories
+) {
+    return vscode.commands.registerCommand(
+        "obsidian-tooltips.connectVaultFolder",
+        async () => {
+            try {
+                const vaultPath = await pickVaultFolder(log);
+                if (vaultPath) {
+                    await connectVault(vaultPath, context, getVaultState, log, updateNotesInformation, pickDirectories);
+                }
             } catch (error) {
                 const errorMessage = `Connection error: ${error.message}`;
                 log(errorMessage);
@@ -173,17 +144,104 @@ function registerConnectCommand(
     );
 }
 
+/**
+ * FUNC - Lets the user choose a folder to use as a vault and validates it.
+ * The folder must contain the `.obsidian` folder or at least one Markdown note.
+ *
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<string|undefined>} A Promise that resolves with the full path to the folder, or `undefined` if it was cancelled or is not a vault.
+ */
+async function pickVaultFolder(log) {
+    log("Opening folder picker dialog");
+    const result = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        canSelectMany: false,
+        title: "Select Vault Folder",
+        openLabel: "Use as Vault",
+        defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+    });
+
+    const folderPath = result?.[0]?.fsPath;
+    if (!folderPath) {
+        log("Folder picker cancelled by user");
+        return undefined;
+    }
+
+    const validation = await validateVaultFolder(folderPath);
+    if (!validation.isValid) {
+        log(`Invalid vault folder: ${validation.message}`);
+        vscode.window.showErrorMessage(`Can't use the folder as a vault. ${validation.message}`);
+        return undefined;
+    }
+
+    log(`Vault folder selected (${validation.message}): ${folderPath}`);
+    return folderPath;
+}
+
+/**
+ * FUNC - Adds a vault to the connected vaults, scans it and lets the user pick the directories to include.
+ *
+ * @param {string} vaultPath The full path to the vault.
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(string): import("./vaultStateManager").VaultState} getVaultState Function that returns the state of a connected vault.
+ * @param {function(string): void} log Logging function.
+ * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
+ * @param {function(string, vscode.ExtensionContext, object, function, function): Promise<Set<string>>} pickDirectories Function to let the user pick directories to include.
+ * @returns {Promise<void>}
+ */
+async function connectVault(vaultPath, context, getVaultState, log, updateNotesInformation, pickDirectories) {
+    // The state is created before the vault is added, so the settings listener
+    // (for vaults added to the workspace settings) doesn't load the vault a second time
+    const vaultState = getVaultState(vaultPath);
+
+    // Add the vault to the connected vaults, the vaults that are already connected stay connected
+    const added = await addConnectedVault(context, vaultPath);
+    if (!added) {
+        vscode.window.showInformationMessage(`Vault is already connected: ${vaultPath}`);
+        return;
+    }
+
+    try {
+        // Perform an initial scan of the selected vault to update notes information
+        await updateNotesInformation(
+            vaultPath,
+            true, // Force update
+            context,
+            vaultState.notesCache,
+            vaultState.lastUpdateTime,
+            getSelectedDirectories(context, vaultPath) // Defaults to scanning notes in root
+        );
+
+        // Prompt user to pick specific directories within the vault to scan.
+        await pickDirectories(
+            vaultPath,
+            context,
+            vaultState,
+            log,
+            updateNotesInformation
+        );
+    } catch (error) {
+        vscode.window.showErrorMessage(
+            `Failed to scan vault: ${error.message}`
+        );
+    }
+
+    vscode.window.showInformationMessage(
+        `Connected to vault: ${vaultPath}`
+    );
+
+    log(`Vault connected: ${vaultPath}`);
+}
+
 /**
  * FUNC - Allows the user to pick which directories within the connected Obsidian vault should be scanned for notes.
- * This function presents a QuickPick UI with a list of root directories in the vault,
- * allowing the user to select multiple directories.
+ * This function presents a QuickPick UI with a list of all directories in the vault (nested ones included),
+ * allowing the user to select multiple directories. Folders skipped by the templates or exclude pattern rules are marked.
  *
  * @param {string} vaultPath The full path to the connected Obsidian vault.
  * @param {vscode.ExtensionContext} vscodeContext The VS Code extension context.
- * @param {Set<string>} selectedDirectories A Set containing the currently selected directories.
- * @param {Map<string, object>} notesCache A Map to store cached notes information.
- * @param {number} lastUpdateTime The timestamp of the last notes update.
- * @param {function(vscode.ExtensionContext, Map<string, object>, number, function): Promise<void>} saveCache Function to save the notes cache.
+ * @param {import("./vaultStateManager").VaultState} vaultState The state of the vault (notes cache and last update time).
  * @param {function(string): void} log Logging function.
  * @param {function(string, boolean, vscode.ExtensionContext, Map<string, object>, number, Set<string>): Promise<{notesCache: Map<string, object>, lastUpdateTime: number}>} updateNotesInformation Function to update notes information.
  * @returns {Promise<Set<string>>} A Promise that resolves with the updated Set of selected directories.
@@ -191,13 +249,11 @@ function registerConnectCommand(
 async function pickDirectories(
     vaultPath,
     vscodeContext,
-    selectedDirectories,
-    notesCache,
-    lastUpdateTime,
-    saveCache,
+    vaultState,
     log,
     updateNotesInformation
 ) {
+    let selectedDirectories;
     try {
         // Ensure a vault is connected before proceeding
         if (!vaultPath) {
@@ -205,37 +261,30 @@ async function pickDirectories(
             return new Set(); // Return an empty set if no vault is connected
         }
 
-        // Ensure selectedDirectories is always a Set, initializing with default if necessary
-        if (!selectedDirectories || !(selectedDirectories instanceof Set)) {
-            selectedDirectories = new Set(["Notes In Root"]);
-            log("Initializing selectedDirectories with default value");
-        }
+        // Load the directories previously selected in this vault to pre-select them in the QuickPick
+        selectedDirectories = getSelectedDirectories(vscodeContext, vaultPath);
 
         // Check if the vault has been modified and update notes information if needed, before presenting the directory selection to ensure the list of directories is current
-        const needsRefresh = await isVaultModified(vaultPath, lastUpdateTime);
-        if (needsRefresh) {
+        if (await needsVaultRefresh(vaultPath, vaultState.lastUpdateTime)) {
             log("Vault has been modified. Updating notes information before directory selection...");
-            const result = await updateNotesInformation(
+            await updateNotesInformation(
                 vaultPath,
                 true, // Force update
                 vscodeContext,
-                notesCache,
-                lastUpdateTime,
+                vaultState.notesCache,
+                vaultState.lastUpdateTime,
                 selectedDirectories
             );
-            notesCache = result.notesCache;
-            lastUpdateTime = result.lastUpdateTime;
         }
 
-        // Load previously selected directories from global state to pre-select them in the QuickPick
-        const savedDirectories = vscodeContext.globalState.get("selectedDirectories") || [];
-        selectedDirectories = new Set(savedDirectories);
+        // Get all directories within the vault, nested ones included
+        const vaultDirs = await getVaultDirectories(vaultPath, log);
+        log(`Found ${vaultDirs.length} directories in vault`);
 
-        // Get the top-level directories within the Obsidian vault
-        const rootDirs = await getRootDirectories(vaultPath, log);
-        log(`Found ${rootDirs.length} root directories in vault`);
+        // The same rules as the vault scan, to show which folders are skipped whatever is selected
+        const noteFilter = await createNoteFilter(vaultPath, selectedDirectories);
 
-        // Prepare QuickPick items, including a "Notes In Root" option
+        // Prepare QuickPick items, including a "Notes In Root" option. Selecting a folder includes its subfolders.
         const items = [
             {
                 label: "Notes In Root",
@@ -243,12 +292,17 @@ async function pickDirectories(
                 alwaysShow: true,
                 description: "Include notes directly in vault root"
             },
-            ...rootDirs.map((dir) => ({
-                label: dir,
-                picked: selectedDirectories.has(dir),
-                alwaysShow: true,
-                description: `Include notes from ${dir} directory`
-            })),
+            ...vaultDirs.map((dir) => {
+                const exclusionReason = getFolderExclusionReason(dir, noteFilter);
+                return {
+                    label: dir,
+                    picked: selectedDirectories.has(dir),
+                    alwaysShow: true,
+                    description: exclusionReason
+                        ? `$(circle-slash) Skipped: ${exclusionReason}`
+                        : `Include notes from ${dir} and its subfolders`
+                };
+            }),
         ];
 
         const quickPick = vscode.window.createQuickPick();
@@ -284,28 +338,21 @@ async function pickDirectories(
             }
 
             try {
-                // Save the new selection to VS Code's global state
-                await vscodeContext.globalState.update(
-                    "selectedDirectories",
-                    Array.from(selectedDirectories)
-                );
-                log(`Saved directory selection: ${selectedLabels.join(", ")}`);
-
                 // Update notes information based on the newly selected directories
-                const result = await updateNotesInformation(
+                // The cache of the vault is saved by updateNotesInformation
+                await updateNotesInformation(
                     vaultPath,
                     true,
                     vscodeContext,
-                    notesCache,
-                    lastUpdateTime,
+                    vaultState.notesCache,
+                    vaultState.lastUpdateTime,
                     selectedDirectories
                 );
-                notesCache = result.notesCache;
-                lastUpdateTime = result.lastUpdateTime;
 
-                // Save the updated cache locally
-                await saveCache(vscodeContext, notesCache, lastUpdateTime, log);
-                log("Cache saved after directory selection update");
+                // Save the new selection of this vault (global state, or the workspace settings for workspace vaults).
+                // It's saved after the update, so the settings listener finds the vault already up to date.
+                await saveSelectedDirectories(vscodeContext, vaultPath, selectedDirectories);
+                log(`Saved directory selection: ${selectedLabels.join(", ")}`);
 
                 vscode.window.showInformationMessage("Directory selection updated successfully");
             } catch (error) {
@@ -327,32 +374,46 @@ async function pickDirectories(
 }
 
 /**
- * FUNC - Gets the names of top-level directories within a given vault.
- * It filters out hidden directories (starting with a dot).
+ * FUNC - Gets the directories within a given vault at any depth, as paths relative to the vault root separated by `/`
+ * (e.g. `Engineering/APIs`). It filters out hidden directories (starting with a dot), same as the vault scan.
  *
  * @param {string} vaultPath The full path to the Obsidian vault.
  * @param {function(string): void} log Logging function.
- * @returns {Promise<string[]>} A Promise that resolves with an array of directory names.
- * @throws {Error} If there is an error reading the directory.
+ * @returns {Promise<string[]>} A Promise that resolves with the sorted directory paths, parents before their subfolders.
+ * @throws {Error} If there is an error reading the vault root.
  */
-async function getRootDirectories(vaultPath, log) {
-    try {
-        const entries = await fs.promises.readdir(vaultPath, {
+async function getVaultDirectories(vaultPath, log) {
+    const directories = [];
+
+    const collect = async (relativeDir) => {
+        const entries = await fs.promises.readdir(path.join(vaultPath, relativeDir), {
             withFileTypes: true,
         });
-        return entries
-            .filter(
-                (entry) => entry.isDirectory() && !entry.name.startsWith(".")
-            )
-            .map((entry) => entry.name);
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+            const childDir = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            directories.push(childDir);
+            try {
+                await collect(childDir);
+            } catch (error) {
+                // An unreadable subfolder doesn't hide the rest of the vault
+                log(`Error reading directory ${childDir}: ${error.message}`);
+            }
+        }
+    };
+
+    try {
+        await collect("");
     } catch (error) {
-        log(`Error getting root directories: ${error.message}`);
+        log(`Error getting vault directories: ${error.message}`);
         throw error;
     }
+    return directories.sort((a, b) => a.localeCompare(b));
 }
 
 module.exports = {
     registerConnectCommand,
+    registerConnectFolderCommand,
     pickDirectories,
-    getRootDirectories,
+    getVaultDirectories,
 };
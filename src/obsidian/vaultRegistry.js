@@ -0,0 +1,323 @@
+const vscode = require("vscode");
+const os = require("os");
+const path = require("path");
+const { log } = require("../utils/logging");
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Directories scanned in a vault for which the user has not picked directories yet.
+ */
+const DEFAULT_DIRECTORIES = ["Notes In Root"];
+
+/**
+ * @typedef {object} WorkspaceVault
+ * @property {string} path - The full path to the vault, resolved from the configured path.
+ * @property {string[]} directories - The directories selected for scanning.
+ */
+
+/**
+ * FUNC - Checks if the workspace defines its vaults in the `obsidian-tooltips.workspaceVaults` setting.
+ * When it does (usually in the `.vscode/settings.json` file of a repository), these vaults replace
+ * the vaults connected globally, so every workspace can surface its own notes.
+ * Only the workspace value of the setting is used, an empty list means that no vault is connected in this workspace.
+ *
+ * @returns {boolean} `true` if the setting is defined in the workspace settings.
+ */
+function hasWorkspaceVaults() {
+    return Array.isArray(getWorkspaceVaultsSetting());
+}
+
+/**
+ * FUNC - Gets the workspace value of the `obsidian-tooltips.workspaceVaults` setting.
+ * @returns {object[]|undefined} The entries as written in the settings, or `undefined` if the setting is not defined in the workspace.
+ */
+function getWorkspaceVaultsSetting() {
+    return vscode.workspace
+        .getConfiguration("obsidian-tooltips")
+        .inspect("workspaceVaults")?.workspaceValue;
+}
+
+/**
+ * FUNC - Gets the vaults configured in the `obsidian-tooltips.workspaceVaults` setting of the workspace.
+ * @returns {WorkspaceVault[]} The configured vaults. Empty if the setting is not defined.
+ */
+function getWorkspaceVaults() {
+    const configuredVaults = getWorkspaceVaultsSetting();
+    if (!Array.isArray(configuredVaults)) return [];
+
+    return configuredVaults
+        .filter((entry) => entry && typeof entry.path === "string" && entry.path.trim())
+        .map((entry) => ({
+            path: resolveConfiguredVaultPath(entry.path),
+            directories: Array.isArray(entry.directories) && entry.directories.length > 0
+                ? entry.directories
+                : DEFAULT_DIRECTORIES,
+        }));
+}
+
+/**
+ * FUNC - Resolves a vault path from the settings to a full path.
+ * Supports `~` for the home directory, `${workspaceFolder}` and paths relative to the first workspace folder.
+ *
+ * @param {string} configuredPath The path as written in the setting.
+ * @returns {string} The full path to the vault.
+ */
+function resolveConfiguredVaultPath(configuredPath) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    let vaultPath = configuredPath
+        .trim()
+        .replace(/^~(?=$|[\\/])/, os.homedir())
+        .replace(/\$\{workspaceFolder\}/g, workspaceFolder || "");
+
+    if (!path.isAbsolute(vaultPath) && workspaceFolder) {
+        vaultPath = path.join(workspaceFolder, vaultPath);
+    }
+    // Without a trailing separator the path matches the paths of vaults connected with the "Connect" command
+    return path.normalize(vaultPath).replace(/([^\\/:])[\\/]+$/, "$1");
+}
+
+/**
+ * FUNC - Updates the `obsidian-tooltips.workspaceVaults` setting in the workspace settings.
+ * @param {function(object[]): object[]} updateEntries Receives the entries of the setting and returns the new entries.
+ * @returns {Promise<void>}
+ */
+async function updateWorkspaceVaultsSetting(updateEntries) {
+    await vscode.workspace
+        .getConfiguration("obsidian-tooltips")
+        .update("workspaceVaults", updateEntries([...(getWorkspaceVaultsSetting() || [])]), vscode.ConfigurationTarget.Workspace);
+}
+
+/**
+ * FUNC - Gets the vaults from the `obsidian-tooltips.vaultPaths` setting.
+ * This setting connects folders as vaults without the "Connect" command, e.g. in headless and remote sessions
+ * where no dialog can be used and Obsidian isn't installed.
+ *
+ * @returns {string[]} The full paths to the configured vaults.
+ */
+function getConfiguredVaultPaths() {
+    const vaultPaths = vscode.workspace
+        .getConfiguration("obsidian-tooltips")
+        .get("vaultPaths", []);
+    if (!Array.isArray(vaultPaths)) return [];
+
+    return vaultPaths
+        .filter((vaultPath) => typeof vaultPath === "string" && vaultPath.trim())
+        .map(resolveConfiguredVaultPath);
+}
+
+/**
+ * FUNC - Finds the entry of a vault in the `obsidian-tooltips.workspaceVaults` setting.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {WorkspaceVault|undefined} The configured vault, or `undefined` if the vault is not configured there.
+ */
+function findWorkspaceVault(vaultPath) {
+    return getWorkspaceVaults().find((workspaceVault) => workspaceVault.path === vaultPath);
+}
+
+/**
+ * FUNC - Moves the single-vault state of previous versions to the multi-vault state.
+ * Previous versions stored one path in `connectedVault` and one directory list in `selectedDirectories`.
+ * Now the global state holds a list of vaults in `connectedVaults` and a directory list per vault in `vaultDirectories`.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyVaultState(context) {
+    const legacyVault = context.globalState.get("connectedVault");
+    if (!legacyVault) return;
+
+    const connectedVaults = context.globalState.get("connectedVaults") || [];
+    if (!connectedVaults.includes(legacyVault)) {
+        await context.globalState.update("connectedVaults", [...connectedVaults, legacyVault]);
+    }
+
+    const legacyDirectories = context.globalState.get("selectedDirectories");
+    if (legacyDirectories) {
+        const vaultDirectories = context.globalState.get("vaultDirectories") || {};
+        await context.globalState.update("vaultDirectories", { ...vaultDirectories, [legacyVault]: legacyDirectories });
+    }
+
+    await context.globalState.update("connectedVault", undefined);
+    await context.globalState.update("selectedDirectories", undefined);
+    log(`Migrated connected vault to the multi-vault state: ${legacyVault}`);
+}
+
+/**
+ * FUNC - Gets the paths of all connected vaults.
+ * The vaults from the `obsidian-tooltips.workspaceVaults` setting take precedence over the vaults connected globally.
+ * Otherwise, the vaults connected with the "Connect" commands are followed by the vaults from the `obsidian-tooltips.vaultPaths` setting.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @returns {string[]} The full paths of the connected vaults, in the order they were connected.
+ */
+function getConnectedVaults(context) {
+    if (hasWorkspaceVaults()) {
+        return [...new Set(getWorkspaceVaults().map((workspaceVault) => workspaceVault.path))];
+    }
+    const connectedVaults = context.globalState.get("connectedVaults") || [];
+    return [...new Set([...connectedVaults, ...getConfiguredVaultPaths()])];
+}
+
+/**
+ * FUNC - Adds a vault to the list of connected vaults.
+ * When the workspace defines its vaults in the settings, the vault is added to the setting instead of the global state.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {Promise<boolean>} A Promise that resolves to `false` if the vault was already connected.
+ */
+async function addConnectedVault(context, vaultPath) {
+    const connectedVaults = getConnectedVaults(context);
+    if (connectedVaults.includes(vaultPath)) return false;
+
+    if (hasWorkspaceVaults()) {
+        await updateWorkspaceVaultsSetting((entries) => [...entries, { path: vaultPath, directories: DEFAULT_DIRECTORIES }]);
+        return true;
+    }
+
+    await context.globalState.update("connectedVaults", [...connectedVaults, vaultPath]);
+    return true;
+}
+
+/**
+ * FUNC - Removes a vault from the list of connected vaults, together with its directory selection.
+ * Vaults from the `obsidian-tooltips.workspaceVaults` and `obsidian-tooltips.vaultPaths` settings are removed from the setting.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {Promise<void>}
+ */
+async function removeConnectedVault(context, vaultPath) {
+    if (findWorkspaceVault(vaultPath)) {
+        await updateWorkspaceVaultsSetting((entries) =>
+            entries.filter((entry) => !entry?.path || resolveConfiguredVaultPath(entry.path) !== vaultPath)
+        );
+        return;
+    }
+
+    if (getConfiguredVaultPaths().includes(vaultPath)) {
+        const config = vscode.workspace.getConfiguration("obsidian-tooltips");
+        await config.update(
+            "vaultPaths",
+            config.get("vaultPaths", []).filter((configuredPath) => resolveConfiguredVaultPath(configuredPath) !== vaultPath),
+            vscode.ConfigurationTarget.Global
+        );
+    }
+
+    await context.globalState.update(
+        "connectedVaults",
+        getConnectedVaults(context).filter((connectedVault) => connectedVault !== vaultPath)
+    );
+
+    const vaultDirectories = { ...(context.globalState.get("vaultDirectories") || {}) };
+    delete vaultDirectories[vaultPath];
+    await context.globalState.update("vaultDirectories", vaultDirectories);
+}
+
+/**
+ * FUNC - Checks if the given vault is connected.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {boolean} `true` if the vault is connected.
+ */
+function isVaultConnected(context, vaultPath) {
+    return getConnectedVaults(context).includes(vaultPath);
+}
+
+/**
+ * FUNC - Gets the directories selected for scanning in a vault.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {Set<string>} The selected directories. Defaults to "Notes In Root".
+ */
+function getSelectedDirectories(context, vaultPath) {
+    const workspaceVault = findWorkspaceVault(vaultPath);
+    if (workspaceVault) {
+        return new Set(workspaceVault.directories);
+    }
+
+    const vaultDirectories = context.globalState.get("vaultDirectories") || {};
+    return new Set(vaultDirectories[vaultPath] || DEFAULT_DIRECTORIES);
+}
+
+/**
+ * FUNC - Saves the directories selected for scanning in a vault.
+ * The directories of vaults from the `obsidian-tooltips.workspaceVaults` setting are saved to the setting.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} vaultPath The full path to the vault.
+ * @param {Set<string>} selectedDirectories The selected directories.
+ * @returns {Promise<void>}
+ */
+async function saveSelectedDirectories(context, vaultPath, selectedDirectories) {
+    if (findWorkspaceVault(vaultPath)) {
+        await updateWorkspaceVaultsSetting((entries) =>
+            entries.map((entry) => entry?.path && resolveConfiguredVaultPath(entry.path) === vaultPath
+                ? { ...entry, directories: Array.from(selectedDirectories) }
+                : entry)
+        );
+        return;
+    }
+
+    const vaultDirectories = context.globalState.get("vaultDirectories") || {};
+    await context.globalState.update("vaultDirectories", {
+        ...vaultDirectories,
+        [vaultPath]: Array.from(selectedDirectories),
+    });
+}
+
+/**
+ * FUNC - Gets the display name of a vault (the name of its folder, like in Obsidian).
+ *
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {string} The vault name.
+ */
+function getVaultName(vaultPath) {
+    return path.basename(vaultPath);
+}
+
+/**
+ * FUNC - Lets the user choose one of the connected vaults. If only one vault is connected, it is returned without asking.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {string} placeHolder The placeholder text of the QuickPick.
+ * @returns {Promise<string|undefined>} A Promise that resolves with the vault path, or `undefined` if no vault is connected or the user cancelled.
+ */
+async function pickConnectedVault(context, placeHolder) {
+    const connectedVaults = getConnectedVaults(context);
+    if (connectedVaults.length === 0) {
+        vscode.window.showWarningMessage("Please connect to an Obsidian vault first");
+        return undefined;
+    }
+    if (connectedVaults.length === 1) {
+        return connectedVaults[0];
+    }
+
+    const selectedItem = await vscode.window.showQuickPick(
+        connectedVaults.map((vaultPath) => ({
+            label: getVaultName(vaultPath),
+            description: vaultPath,
+            vaultPath,
+        })),
+        { placeHolder, ignoreFocusOut: true }
+    );
+    return selectedItem?.vaultPath;
+}
+
+module.exports = {
+    hasWorkspaceVaults,
+    getWorkspaceVaults,
+    findWorkspaceVault,
+    migrateLegacyVaultState,
+    getConnectedVaults,
+    addConnectedVault,
+    removeConnectedVault,
+    isVaultConnected,
+    getSelectedDirectories,
+    saveSelectedDirectories,
+    getVaultName,
+    pickConnectedVault
+};
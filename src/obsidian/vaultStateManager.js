@@ -1,9 +1,12 @@
 const vscode = require('vscode');
 const path = require('path');
 const { log } = require('../utils/logging');
-const { isVaultModified } = require('./noteFetcher');
-const { loadVaultNotes } = require('./noteSearch');
+const fs = require('fs');
+const { isVaultModified, scanVaultDirectory } = require('./noteFetcher');
+const { loadVaultNotes, readNoteInfo } = require('./noteSearch');
+const { createNoteFilter, isPathIncluded, isNoteIncluded, getScanScope } = require('./noteFilter');
 const { saveCache } = require('../utils/cache');
+const { recordScan } = require('../utils/problemRecorder');
 const { canonicalNormalize } = require('../utils/normalizer');
 
 /**
@@ -12,16 +15,48 @@ const { canonicalNormalize } = require('../utils/normalizer');
  * @property {boolean} isFileName - True if the key originated from a filename, false if from an alias.
  */
 
-// TODO: Make this a user setting
-const prioritizeFileName = true;
+/**
+ * FUNC - Whether the notes whose file name matches a key come before the notes that have the key as an alias.
+ * @returns {boolean} True for the `fileName` match priority (the default), false for `alias`.
+ */
+function isFileNamePrioritized() {
+    return vscode.workspace.getConfiguration("obsidian-tooltips").get("matchPriority", "fileName") !== "alias";
+}
+
+/**
+ * @typedef {object} VaultState
+ * @property {string} vaultPath - The full path to the vault.
+ * @property {Map<string, object>} notesCache - Notes information of the vault, keyed by the path relative to the vault.
+ * @property {Map<string, Map<string, PathInfo[]>>} lookupCache - The lookup index of the vault, built from `notesCache`.
+ * @property {number} lastUpdateTime - Timestamp of the last update of the vault's notes information.
+ * @property {import("./noteFilter").NoteFilter|undefined} noteFilter - The rules the caches were built with, `undefined` until the vault is loaded.
+ * @property {string|undefined} loadError - The error of the first load of the vault, if it failed. The vault stays empty until it's loaded again.
+ */
+
+/**
+ * FUNC - Creates the empty in-memory state of a connected vault.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {VaultState}
+ */
+function createVaultState(vaultPath) {
+    return {
+        vaultPath,
+        notesCache: new Map(),
+        lookupCache: new Map(),
+        lastUpdateTime: 0,
+        noteFilter: undefined,
+        loadError: undefined,
+    };
+}
 
 /**
  * Updates the list of notes from the vault and builds the lookup cache.
  * @returns {Promise<{
  *   notesCache: Map<string, object>,
  *   lookupCache: Map<string, Map<string, PathInfo[]>>,
- *   lastUpdateTime: number
- * }>} A Promise that resolves with all updated cache data.
+ *   lastUpdateTime: number,
+ *   noteFilter: import("./noteFilter").NoteFilter
+ * }>} A Promise that resolves with all updated cache data and the rules it was built with.
  */
 async function updateNotesInformation(vaultPath, force, vscodeContext, notesCache, lastUpdateTime, selectedDirectories) {
     try {
@@ -31,29 +66,29 @@ async function updateNotesInformation(vaultPath, force, vscodeContext, notesCach
             return { notesCache, lookupCache: new Map(), lastUpdateTime };
         }
 
+        // The rules for selected directories, glob patterns, tags and templates, shared with the watcher
+        const noteFilter = await createNoteFilter(vaultPath, selectedDirectories);
+
         if (!force) {
             const needsRefresh = await isVaultModified(vaultPath, lastUpdateTime);
             if (!needsRefresh) {
                 log("Vault is up-to-date, skipping update.");
                 // If we skip the update, we still need to build the lookupCache from the existing notesCache.
                 const { lookupCache } = buildLookupCache(notesCache);
-                return { notesCache, lookupCache, lastUpdateTime };
+                return { notesCache, lookupCache, lastUpdateTime, noteFilter };
             }
         }
 
         log("Updating notes information from vault...");
-        const notes = await loadVaultNotes(vaultPath, selectedDirectories);
+        const scanStart = Date.now();
+        const notes = await loadVaultNotes(vaultPath, noteFilter);
+        recordScan(vaultPath, { durationMs: Date.now() - scanStart, noteCount: notes.length, finishedAt: Date.now() });
         log(`Loaded ${notes.length} notes.`);
 
         notesCache.clear();
         notes.forEach((note) => {
             const relativePath = path.relative(vaultPath, note.path);
-            notesCache.set(relativePath, {
-                relativePath: relativePath,
-                fullPath: note.path,
-                aliases: note.aliases,
-                uri: note.uri,
-            });
+            notesCache.set(relativePath, createCacheEntry(relativePath, note));
         });
         log(`Updated notesCache with ${notesCache.size} entries.`);
 
@@ -63,16 +98,17 @@ async function updateNotesInformation(vaultPath, force, vscodeContext, notesCach
         log(`Lookup cache built successfully.`);
 
         const newLastUpdateTime = Date.now();
-        await saveCache(vscodeContext, notesCache, newLastUpdateTime, log);
+        await saveCache(vscodeContext, vaultPath, notesCache, newLastUpdateTime, getScanScope(noteFilter), log);
         log("Cache saved successfully.");
 
-        vscode.window.showInformationMessage(`Updated information for ${notes.length} notes.`);
+        vscode.window.showInformationMessage(`Updated information for ${notes.length} notes in vault "${path.basename(vaultPath)}".`);
         log("Notes information update completed.");
 
         return {
             notesCache,
             lookupCache,
-            lastUpdateTime: newLastUpdateTime
+            lastUpdateTime: newLastUpdateTime,
+            noteFilter
         };
 
     } catch (error) {
@@ -92,19 +128,184 @@ function buildLookupCache(notesCache) {
     const lookupCache = new Map();
 
     for (const [relativePath, noteData] of notesCache.entries()) {
-        const fileName = path.basename(relativePath, '.md');
-        addKeyToCache(lookupCache, fileName, relativePath, true);
-        for (const alias of noteData.aliases) {
-            addKeyToCache(lookupCache, alias, relativePath, false);
-        }
+        addNoteToLookupCache(lookupCache, relativePath, noteData);
     }
     return { lookupCache };
 }
 
+/**
+ * FUNC - Adds the file name and all aliases of a single note to the lookup cache.
+ * @param {Map<string, Map<string, PathInfo[]>>} lookupCache The lookup cache to update in place.
+ * @param {string} relativePath The relative path to the note.
+ * @param {{aliases: string[]}} noteData The note entry from the notes cache.
+ */
+function addNoteToLookupCache(lookupCache, relativePath, noteData) {
+    const prioritizeFileName = isFileNamePrioritized();
+    const fileName = path.basename(relativePath, '.md');
+    addKeyToCache(lookupCache, fileName, relativePath, true, prioritizeFileName);
+    for (const alias of noteData.aliases) {
+        addKeyToCache(lookupCache, alias, relativePath, false, prioritizeFileName);
+    }
+}
+
+/**
+ * FUNC - Removes every key of a single note from the lookup cache.
+ * Empty inner arrays and empty shelves are deleted, so the cache looks exactly as if it was rebuilt without the note.
+ * @param {Map<string, Map<string, PathInfo[]>>} lookupCache The lookup cache to update in place.
+ * @param {string} relativePath The relative path to the note.
+ * @param {{aliases: string[]}} noteData The note entry from the notes cache.
+ */
+function removeNoteFromLookupCache(lookupCache, relativePath, noteData) {
+    const keys = [path.basename(relativePath, '.md'), ...noteData.aliases];
+
+    for (const originalKey of keys) {
+        const normalizedKey = canonicalNormalize(originalKey);
+        const shelf = lookupCache.get(normalizedKey);
+        if (!shelf || !shelf.has(originalKey)) continue;
+
+        const remainingPaths = shelf.get(originalKey).filter(p => p.path !== relativePath);
+        if (remainingPaths.length > 0) {
+            shelf.set(originalKey, remainingPaths);
+        } else {
+            shelf.delete(originalKey);
+        }
+
+        if (shelf.size === 0) {
+            lookupCache.delete(normalizedKey);
+        }
+    }
+}
+
+/**
+ * FUNC - Re-reads a single note from disk and patches both caches with its current data.
+ * Used by the vault watcher to apply creates and edits without rescanning the whole vault.
+ * A note whose tags no longer pass the tag rules is removed from the caches.
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {string} fullPath The full path to the note file.
+ * @param {Map<string, object>} notesCache The notes cache to update in place.
+ * @param {Map<string, Map<string, PathInfo[]>>} lookupCache The lookup cache to update in place.
+ * @param {import("./noteFilter").NoteFilter} noteFilter The rules that decide which notes are indexed.
+ * @returns {Promise<boolean>} A Promise that resolves to `true` if the note is in the caches after the update.
+ */
+async function upsertNote(vaultPath, fullPath, notesCache, lookupCache, noteFilter) {
+    const note = await readNoteInfo(vaultPath, fullPath);
+    const relativePath = note.relativePath;
+
+    const previousEntry = notesCache.get(relativePath);
+    if (previousEntry) {
+        removeNoteFromLookupCache(lookupCache, relativePath, previousEntry);
+    }
+
+    if (!isNoteIncluded(note, noteFilter)) {
+        if (previousEntry) {
+            notesCache.delete(relativePath);
+            log(`[Watcher] Note removed by tags: ${relativePath}`);
+        }
+        return false;
+    }
+
+    const entry = createCacheEntry(relativePath, note);
+    notesCache.set(relativePath, entry);
+    addNoteToLookupCache(lookupCache, relativePath, entry);
+    log(`[Watcher] Note ${previousEntry ? "updated" : "added"}: ${relativePath}`);
+    return true;
+}
+
+/**
+ * FUNC - Removes a note, or every note inside a deleted folder, from both caches.
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {string} fullPath The full path to the deleted file or folder.
+ * @param {Map<string, object>} notesCache The notes cache to update in place.
+ * @param {Map<string, Map<string, PathInfo[]>>} lookupCache The lookup cache to update in place.
+ * @returns {number} The number of removed notes.
+ */
+function removeNotes(vaultPath, fullPath, notesCache, lookupCache) {
+    const relativePath = path.relative(vaultPath, fullPath);
+    const folderPrefix = relativePath + path.sep;
+    let removedCount = 0;
+
+    for (const [notePath, noteData] of Array.from(notesCache.entries())) {
+        if (notePath === relativePath || notePath.startsWith(folderPrefix)) {
+            removeNoteFromLookupCache(lookupCache, notePath, noteData);
+            notesCache.delete(notePath);
+            removedCount++;
+            log(`[Watcher] Note removed: ${notePath}`);
+        }
+    }
+    return removedCount;
+}
+
+/**
+ * FUNC - Brings previously cached data in line with the vault without rebuilding the caches from scratch.
+ * Only notes that were created or modified after `lastUpdateTime` are re-read, and notes that no longer exist are removed.
+ * Used on activation to catch up with changes made while VS Code was closed; after that the vault watcher takes over.
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {Map<string, object>} notesCache The notes cache to update in place.
+ * @param {Map<string, Map<string, PathInfo[]>>} lookupCache The lookup cache to update in place.
+ * @param {number} lastUpdateTime The timestamp of the last update of notes information.
+ * @param {import("./noteFilter").NoteFilter} noteFilter The rules that decide which notes are indexed.
+ * @returns {Promise<number>} A Promise that resolves with the number of added, updated and removed notes.
+ */
+async function syncVaultChanges(vaultPath, notesCache, lookupCache, lastUpdateTime, noteFilter) {
+    const seenPaths = new Set();
+    let changedCount = 0;
+
+    await scanVaultDirectory(vaultPath, async (fullPath) => {
+        const relativePath = path.relative(vaultPath, fullPath);
+        if (!isPathIncluded(relativePath, noteFilter)) return;
+
+        seenPaths.add(relativePath);
+        try {
+            const stats = await fs.promises.stat(fullPath);
+            const wasCached = notesCache.has(relativePath);
+            if (!wasCached || stats.mtimeMs > lastUpdateTime) {
+                const isIncluded = await upsertNote(vaultPath, fullPath, notesCache, lookupCache, noteFilter);
+                if (isIncluded || wasCached) changedCount++;
+            }
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                // The note was deleted during the scan, it's removed from the caches below
+                seenPaths.delete(relativePath);
+                return;
+            }
+            // The note keeps its cached data, the watcher updates it when it changes again
+            log(`Failed to sync ${relativePath}: ${error.message}`);
+        }
+    });
+
+    for (const relativePath of Array.from(notesCache.keys())) {
+        if (!seenPaths.has(relativePath)) {
+            changedCount += removeNotes(vaultPath, path.join(vaultPath, relativePath), notesCache, lookupCache);
+        }
+    }
+
+    log(`Vault sync completed: ${changedCount} notes changed since the last update.`);
+    return changedCount;
+}
+
+/**
+ * FUNC - Creates a notes cache entry from a note information object returned by the vault scan.
+ * @param {string} relativePath The relative path to the note.
+ * @param {{path: string, aliases: string[], tags: string[], title: string|null, properties: object, uri: string}} note The note information object.
+ * @returns {{relativePath: string, fullPath: string, aliases: string[], tags: string[], title: string|null, properties: object, uri: string}}
+ */
+function createCacheEntry(relativePath, note) {
+    return {
+        relativePath: relativePath,
+        fullPath: note.path,
+        aliases: note.aliases,
+        tags: note.tags,
+        title: note.title,
+        properties: note.properties,
+        uri: note.uri,
+    };
+}
+
 /**
  * FUNC - Helper function to add a key to the lookup cache.
+ * `prioritizeFileName` comes from the `matchPriority` setting and decides which notes come first for a shared key.
  */
-function addKeyToCache(cache, originalKey, notePath, isFileName) {
+function addKeyToCache(cache, originalKey, notePath, isFileName, prioritizeFileName) {
     if (!originalKey || typeof originalKey !== 'string' || !originalKey.trim()) return;
 
 
@@ -134,6 +335,10 @@ function addKeyToCache(cache, originalKey, notePath, isFileName) {
 }
 
 module.exports = {
+    createVaultState,
     updateNotesInformation,
-    buildLookupCache
+    buildLookupCache,
+    upsertNote,
+    removeNotes,
+    syncVaultChanges
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../utils/logging');
+const { scanVaultDirectory, isVaultModified } = require('./noteFetcher');
+const { isPathIncluded } = require('./noteFilter');
+const { upsertNote, removeNotes } = require('./vaultStateManager');
+const { isVaultConnected } = require('./vaultRegistry');
+
+/**
+ * @constant
+ * @type {number}
+ * @description Delay (in milliseconds) used to batch file system events before the caches are patched.
+ * Obsidian writes a file several times when a note is edited, and a folder rename produces one event per file.
+ */
+const WATCHER_DEBOUNCE_MS = 300;
+
+/**
+ * @type {Set<string>}
+ * @description Paths of the vaults that are currently watched.
+ */
+const watchedVaults = new Set();
+
+/**
+ * FUNC - Starts watching the vault for created, changed and deleted notes.
+ * Every batch of file system events is applied to `notesCache` and `lookupCache` in place,
+ * so providers that hold references to these Maps see the changes without being re-registered.
+ *
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): {notesCache: Map<string, object>, lookupCache: Map<string, Map<string, object[]>>, noteFilter: object|undefined}} getCaches Function that returns the current caches of the vault and the rules they were built with.
+ * @param {function(number): void} onDidPatchCaches Called with the number of changed notes after a batch was applied.
+ * @returns {vscode.Disposable} A disposable that stops the watcher.
+ */
+function startVaultWatcher(vaultPath, context, getCaches, onDidPatchCaches) {
+    // Key is the full path of the changed file or folder, value is the latest event type for it.
+    // A rename arrives as a delete of the old path followed by a create of the new one.
+    const pendingEvents = new Map();
+    let flushTimer;
+    let flushing = Promise.resolve();
+
+    const queueEvent = (uri, type) => {
+        const relativePath = path.relative(vaultPath, uri.fsPath);
+
+        // Skip hidden files and directories (e.g. `.obsidian`, `.trash`), same as the full vault scan
+        if (relativePath.split(path.sep).some((segment) => segment.startsWith("."))) {
+            return;
+        }
+
+        // Changes of attachments don't affect notes. Deletes of paths without `.md` may be folders.
+        const isNote = path.extname(uri.fsPath) === ".md";
+        if (!isNote && type === "change") return;
+
+        pendingEvents.set(uri.fsPath, type);
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(() => {
+            flushing = flushing.then(flushEvents);
+        }, WATCHER_DEBOUNCE_MS);
+    };
+
+    const flushEvents = async () => {
+        const events = Array.from(pendingEvents.entries());
+        pendingEvents.clear();
+
+        // The vault could have been disconnected while the events were waiting
+        if (!isVaultConnected(context, vaultPath)) return;
+
+        // The same rules as the last scan of the vault, so the watcher never indexes notes the scan would skip
+        const { notesCache, lookupCache, noteFilter } = getCaches();
+        if (!noteFilter) return; // The vault is still loading, the scan picks up the changes
+        let changedCount = 0;
+
+        for (const [fullPath, type] of events) {
+            try {
+                if (type === "delete") {
+                    changedCount += removeNotes(vaultPath, fullPath, notesCache, lookupCache);
+                } else {
+                    changedCount += await applyCreatedPath(vaultPath, fullPath, notesCache, lookupCache, noteFilter);
+                }
+            } catch (error) {
+                log(`[Watcher] Failed to apply ${type} of ${fullPath}: ${error.message}`);
+            }
+        }
+
+        if (changedCount > 0) {
+            log(`[Watcher] Applied ${changedCount} note changes.`);
+            onDidPatchCaches(changedCount);
+        }
+    };
+
+    const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.file(vaultPath), "**/*")
+    );
+    watcher.onDidCreate((uri) => queueEvent(uri, "create"));
+    watcher.onDidChange((uri) => queueEvent(uri, "change"));
+    watcher.onDidDelete((uri) => queueEvent(uri, "delete"));
+
+    watchedVaults.add(vaultPath);
+    log(`[Watcher] Watching vault: ${vaultPath}`);
+
+    return new vscode.Disposable(() => {
+        clearTimeout(flushTimer);
+        watcher.dispose();
+        watchedVaults.delete(vaultPath);
+        log(`[Watcher] Stopped watching vault: ${vaultPath}`);
+    });
+}
+
+/**
+ * FUNC - Applies a created or changed path to the caches.
+ * A path can be a single note, or a folder that was created or renamed together with its notes.
+ *
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {string} fullPath The full path to the created or changed file or folder.
+ * @param {Map<string, object>} notesCache The notes cache to update in place.
+ * @param {Map<string, Map<string, object[]>>} lookupCache The lookup cache to update in place.
+ * @param {import("./noteFilter").NoteFilter} noteFilter The rules that decide which notes are indexed.
+ * @returns {Promise<number>} A Promise that resolves with the number of added, updated or removed notes.
+ */
+async function applyCreatedPath(vaultPath, fullPath, notesCache, lookupCache, noteFilter) {
+    const stats = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stats) return 0; // The file was removed before the batch was applied
+
+    const applyNote = async (notePath) => {
+        const relativePath = path.relative(vaultPath, notePath);
+        if (!isPathIncluded(relativePath, noteFilter)) return 0;
+        const wasCached = notesCache.has(relativePath);
+        const isIncluded = await upsertNote(vaultPath, notePath, notesCache, lookupCache, noteFilter);
+        return isIncluded || wasCached ? 1 : 0;
+    };
+
+    if (stats.isDirectory()) {
+        let changedCount = 0;
+        await scanVaultDirectory(fullPath, async (notePath) => {
+            changedCount += await applyNote(notePath);
+        });
+        return changedCount;
+    }
+
+    return path.extname(fullPath) === ".md" ? applyNote(fullPath) : 0;
+}
+
+/**
+ * FUNC - Checks if the given vault is currently watched.
+ * When it is, the caches are already up to date and a full modification scan of the vault can be skipped.
+ *
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @returns {boolean} `true` if a watcher is running for this vault.
+ */
+function isVaultWatched(vaultPath) {
+    return !!vaultPath && watchedVaults.has(vaultPath);
+}
+
+/**
+ * FUNC - Checks if the caches of a vault must be rebuilt before they are used, e.g. by the "Update List of Notes" and "Pick Directories" commands.
+ * The caches of a watched vault are patched as the vault changes, so only vaults without a watcher are scanned for modifications.
+ *
+ * @param {string} vaultPath The full path to the Obsidian vault.
+ * @param {number} lastUpdateTime Timestamp of the last update of the caches.
+ * @returns {Promise<boolean>} `true` if the vault is not watched and was modified since the last update.
+ */
+async function needsVaultRefresh(vaultPath, lastUpdateTime) {
+    if (isVaultWatched(vaultPath)) return false;
+    return isVaultModified(vaultPath, lastUpdateTime);
+}
+
+module.exports = {
+    startVaultWatcher,
+    isVaultWatched,
+    needsVaultRefresh
+};
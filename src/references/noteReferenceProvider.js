@@ -0,0 +1,176 @@
+const vscode = require("vscode");
+const path = require("path");
+const { log } = require("../utils/logging");
+const { findKeywordMatches } = require("../decorations/keywordDecorator");
+const { findPhrasesInDocument, getPhraseFirstWords } = require("../utils/phraseMatcher");
+const { getMatchRules } = require("../utils/matchRules");
+const { findWorkspaceFiles, readWorkspaceDocument } = require("../utils/workspaceFiles");
+
+/**
+ * @typedef {object} NoteReference
+ * @property {import("../obsidian/vaultStateManager").VaultState} vaultState - The vault of the note.
+ * @property {string} notePath - The path to the note, relative to the vault (the key of `notesCache`).
+ * @property {{fullPath: string, aliases: string[]}} noteData - The note data from `notesCache`.
+ */
+
+/**
+ * @type {Map<string, vscode.Location[]>}
+ * @description Usages already found by the "Find Usages in Code" command, keyed by the full path of the note.
+ * The provider returns them once instead of searching the workspace again.
+ */
+const presetUsages = new Map();
+
+/**
+ * FUNC - Registers the reference provider for the notes of the connected vaults.
+ * "Find All References" in a note lists the places in the workspace where the note is used: every token or phrase
+ * that resolves to the note, with the same rules as the hover (`deconstructToken`, `canonicalNormalize`, matching rules of every file).
+ *
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} getVaultStates Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} The registered provider disposable.
+ */
+function registerNoteReferenceProvider(getVaultStates) {
+    return vscode.languages.registerReferenceProvider(
+        { scheme: "file", language: "markdown" },
+        {
+            async provideReferences(document, position, referenceContext, token) {
+                const noteReference = findNoteByPath(getVaultStates(), document.uri.fsPath);
+                if (!noteReference) return null;
+
+                const fullPath = noteReference.noteData.fullPath;
+                if (presetUsages.has(fullPath)) {
+                    const usages = presetUsages.get(fullPath);
+                    presetUsages.delete(fullPath);
+                    return usages;
+                }
+                return findNoteUsages(noteReference, getVaultStates(), token);
+            },
+        }
+    );
+}
+
+/**
+ * FUNC - Stores the usages of a note, so the next "Find All References" in the note returns them without searching again.
+ * @param {string} fullPath The full path to the note.
+ * @param {vscode.Location[]} usages The usages.
+ */
+function presetNoteUsages(fullPath, usages) {
+    presetUsages.set(fullPath, usages);
+}
+
+/**
+ * FUNC - Removes the usages stored by `presetNoteUsages` when "Find All References" didn't run,
+ * so a later search in the note doesn't return them.
+ * @param {string} fullPath The full path to the note.
+ */
+function clearPresetNoteUsages(fullPath) {
+    presetUsages.delete(fullPath);
+}
+
+/**
+ * FUNC - Finds the note of a connected vault at a path.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {string} fullPath The full path to the file.
+ * @returns {NoteReference|null} The note, or `null` if the file is not a note of a connected vault.
+ */
+function findNoteByPath(vaultStates, fullPath) {
+    const resolvedPath = path.resolve(fullPath);
+    for (const vaultState of vaultStates.values()) {
+        for (const [notePath, noteData] of vaultState.notesCache.entries()) {
+            if (noteData.fullPath && path.resolve(noteData.fullPath) === resolvedPath) {
+                return { vaultState, notePath, noteData };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * FUNC - Searches the workspace for the usages of a note: tokens and phrases that resolve to it.
+ * A token that resolves to several notes counts as a usage of each of them. Files of the connected vaults are not searched.
+ * Files that can't contain any name or alias of the note are skipped before they are opened.
+ *
+ * @param {NoteReference} noteReference The note.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {vscode.CancellationToken} [token] Cancels the search.
+ * @param {function(number, number): void} [onProgress] Called with the number of searched files and the total after every file.
+ * @returns {Promise<vscode.Location[]>} The usages, in file order.
+ */
+async function findNoteUsages(noteReference, vaultStates, token, onProgress) {
+    const { vaultState, notePath, noteData } = noteReference;
+    const keys = [path.basename(notePath, ".md"), ...(noteData.aliases || [])].filter((key) => typeof key === "string" && key.trim());
+    const keyStems = keys.map(getWordStems);
+    const phraseKeys = keys.filter((key) => /\s/.test(key.trim()));
+
+    const uris = await findWorkspaceFiles(vaultStates, token);
+
+    const usages = [];
+    for (let index = 0; index < uris.length; index++) {
+        if (token?.isCancellationRequested) break;
+        onProgress?.(index, uris.length);
+
+        const uri = uris[index];
+        try {
+            // Binary and large files, and files where none of the names or aliases can be found.
+            // The files are read without opening them, opening a document notifies the other extensions
+            const document = await readWorkspaceDocument(uri);
+            if (!document) continue;
+            const lowerText = document.getText().toLowerCase();
+            if (!keyStems.some((stems) => stems.length > 0 && stems.every((stem) => lowerText.includes(stem)))) continue;
+
+            usages.push(...findUsagesInDocument(document, vaultState.vaultPath, notePath, phraseKeys, vaultStates));
+        } catch (error) {
+            log(`[References] Failed to search ${uri.fsPath}: ${error.message}`);
+        }
+    }
+
+    log(`[References] Found ${usages.length} usages of ${notePath} in ${uris.length} files`);
+    return usages;
+}
+
+/**
+ * FUNC - Finds the usages of a note in a document.
+ * @param {vscode.TextDocument|import("../utils/workspaceFiles").WorkspaceDocument} document The document.
+ * @param {string} vaultPath The vault of the note.
+ * @param {string} notePath The path to the note, relative to the vault.
+ * @param {string[]} phraseKeys The names and aliases of the note that have several words.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {vscode.Location[]} The usages.
+ */
+function findUsagesInDocument(document, vaultPath, notePath, phraseKeys, vaultStates) {
+    const isUsage = (vaultMatches) => vaultMatches.some(({ vaultState, match }) =>
+        vaultState.vaultPath === vaultPath && match.paths.some((info) => info.path === notePath)
+    );
+
+    const fullRange = new vscode.Range(0, 0, Math.max(0, document.lineCount - 1), 0);
+    const ranges = findKeywordMatches(document, [fullRange], vaultStates)
+        .filter((keywordMatch) => isUsage(keywordMatch.vaultMatches))
+        .map((keywordMatch) => keywordMatch.range);
+
+    if (phraseKeys.length > 0) {
+        const phraseMatches = findPhrasesInDocument(document, vaultStates, getMatchRules(document), getPhraseFirstWords(phraseKeys));
+        ranges.push(...phraseMatches.filter((phraseMatch) => isUsage(phraseMatch.vaultMatches)).map((phraseMatch) => phraseMatch.range));
+    }
+
+    return ranges
+        .sort((a, b) => a.start.line - b.start.line || a.start.character - b.start.character)
+        .map((range) => new vscode.Location(document.uri, range));
+}
+
+/**
+ * FUNC - Gets the words of a name or alias, shortened by one letter so the singular and plural forms are found too
+ * (`category` → `categor`, found in "categories").
+ * @param {string} key The name or alias.
+ * @returns {string[]} The lowercase stems of its words.
+ */
+function getWordStems(key) {
+    const words = key.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map((word) => (word.length > 3 ? word.slice(0, -1) : word));
+}
+
+module.exports = {
+    registerNoteReferenceProvider,
+    presetNoteUsages,
+    clearPresetNoteUsages,
+    findNoteByPath,
+    findNoteUsages
+};
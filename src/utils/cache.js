@@ -1,41 +1,51 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { recordProblem, clearProblem } = require('./problemRecorder');
 
-const CACHE_FILENAME = "notes-cache.json";
+const CACHE_FILENAME_PREFIX = "notes-cache";
 
 /**
- * FUNC - Gets the full path to the cache file.
+ * FUNC - Gets the full path to the cache file of a vault.
  * It uses the VS Code extension's global storage directory. The directory is created if it does not already exist.
+ * Every connected vault has its own cache file, named after a hash of the vault path (`notes-cache-<hash>.json`).
  *
  * @param {object} vscodeContext The context object from the extension. Expected to have `globalStorageUri.fsPath`.
+ * @param {string} vaultPath The full path to the vault.
  * @returns {Promise<string>} A Promise that resolves with the full path to the cache file.
  */
-async function getCachePath(vscodeContext) {
+async function getCachePath(vscodeContext, vaultPath) {
     // Get the path to the global storage directory provided by VS Code.
     const extensionPath = vscodeContext.globalStorageUri.fsPath;
     // Create the directory for extension storage if it doesn't exist.
     await fs.promises.mkdir(extensionPath, { recursive: true });
+    // Vault paths can contain characters that are not allowed in file names, so a hash of the path is used.
+    const vaultHash = crypto.createHash("sha1").update(vaultPath).digest("hex").substring(0, 12);
     // Return the full path to the cache file.
-    return path.join(extensionPath, CACHE_FILENAME);
+    return path.join(extensionPath, `${CACHE_FILENAME_PREFIX}-${vaultHash}.json`);
 }
 
 /**
- * FUNC - Saves the current notes cache and last update timestamp to a file.
- * The data is stored as a JSON string in the `notes-cache.json` file within the extension's global storage.
+ * FUNC - Saves the notes cache and last update timestamp of a vault to a file.
+ * The data is stored as a JSON string in the vault's cache file within the extension's global storage.
  *
  * @param {object} vscodeContext The context object from the extension. Expected to have `globalStorageUri.fsPath`.
+ * @param {string} vaultPath The full path to the vault.
  * @param {Map<string, object>} notesCache A Map containing the notes information to be saved.
  * @param {number} lastUpdateTime The timestamp of the last update of the notes information.
+ * @param {object} scanScope The rules the notes were collected with (selected directories, patterns, tags), see `getScanScope` in `noteFilter.js`.
  * @param {function(string): void} log Logging function.
  * @returns {Promise<void>} A Promise that resolves when the cache is successfully saved.
  * @throws {Error} If there is an error during the saving process.
  */
-async function saveCache(vscodeContext, notesCache, lastUpdateTime, log) {
+async function saveCache(vscodeContext, vaultPath, notesCache, lastUpdateTime, scanScope, log) {
     try {
         // Get the path to the cache file
-        const cachePath = await getCachePath(vscodeContext);
-        // Create an object containing the notes (converted to an array) and the timestamp
+        const cachePath = await getCachePath(vscodeContext, vaultPath);
+        // Create an object containing the vault path, the scan rules, the notes (converted to an array) and the timestamp
         const cacheData = {
+            vaultPath: vaultPath,
+            scanScope: scanScope,
             notes: Array.from(notesCache.entries()),
             timestamp: lastUpdateTime,
         };
@@ -45,28 +55,34 @@ async function saveCache(vscodeContext, notesCache, lastUpdateTime, log) {
             JSON.stringify(cacheData, null, 2)
         );
         log(`Cache saved to ${cachePath}`);
+        clearProblem("cache", { vaultPath });
     } catch (error) {
         log(`Error saving cache: ${error.message}`);
+        recordProblem("cache", `Error saving cache: ${error.message}`, { vaultPath });
         throw error;
     }
 }
 
 /**
- * FUNC - Loads the notes cache from the cache file for the current session.
- * It reads the `notes-cache.json` file, parses its content, and populates the `notesCache` Map
+ * FUNC - Loads the notes cache of a vault from its cache file for the current session.
+ * It reads the vault's cache file, parses its content, and populates the `notesCache` Map
  * and `lastUpdateTime` variable. If the file does not exist, it returns default values.
+ * The cache is not used if it was collected with other rules than the current ones
+ * (e.g. the same vault is configured with other directories or patterns in another workspace).
  *
  * @param {object} vscodeContext The context object from the extension. Expected to have `globalStorageUri.fsPath`.
+ * @param {string} vaultPath The full path to the vault.
  * @param {Map<string, object>} notesCache The Map to which loaded notes information will be added.
  * @param {number} lastUpdateTime The variable to which the loaded last update timestamp will be assigned.
+ * @param {object} scanScope The current rules of the vault, see `getScanScope` in `noteFilter.js`.
  * @param {function(string): void} log Logging function.
  * @returns {Promise<{notesCache: Map<string, object>, lastUpdateTime: number, cacheLoaded: boolean}>}
  * A Promise that resolves with an object containing the loaded notes cache, last update time, and a boolean indicating if the cache was successfully loaded.
  */
-async function loadCache(vscodeContext, notesCache, lastUpdateTime, log) {
+async function loadCache(vscodeContext, vaultPath, notesCache, lastUpdateTime, scanScope, log) {
     try {
         // Get the path to the cache file
-        const cachePath = await getCachePath(vscodeContext);
+        const cachePath = await getCachePath(vscodeContext, vaultPath);
         // Check if the cache file exists
         const exists = await fs.promises
             .access(cachePath)
@@ -74,30 +90,57 @@ async function loadCache(vscodeContext, notesCache, lastUpdateTime, log) {
             .catch(() => false);
         // If the cache file doesn't exist, log and return default values
         if (!exists) {
-            log("No cache file found");
+            log(`No cache file found for vault: ${vaultPath}`);
             return { notesCache, lastUpdateTime, cacheLoaded: false };
         }
         // If the cache file exists, read and parse its content
         const cacheContent = await fs.promises.readFile(cachePath, "utf-8");
         const cacheData = JSON.parse(cacheContent);
 
+        // Cache files of previous versions have no scan rules, they are trusted as before
+        if (cacheData.scanScope && JSON.stringify(cacheData.scanScope) !== JSON.stringify(scanScope)) {
+            log(`Cache of vault ${vaultPath} was collected with other directories or filters, it will be rebuilt`);
+            return { notesCache, lastUpdateTime, cacheLoaded: false };
+        }
+
         // Create a Map object from the notes array in the cache data
         const loadedNotesCache = new Map(cacheData.notes);
         // Get the timestamp of the last update from the cache data
         const loadedLastUpdateTime = cacheData.timestamp;
 
         log(`Cache loaded from ${cachePath}`);
+        clearProblem("cache", { vaultPath });
         // Return the loaded cache data.
         return { notesCache: loadedNotesCache, lastUpdateTime: loadedLastUpdateTime, cacheLoaded: true };
     } catch (error) {
         log(`Error loading cache: ${error.message}`);
+        recordProblem("cache", `Error loading cache: ${error.message}`, { vaultPath });
         // On error, return default values and indicate that cache loading failed
         return { notesCache, lastUpdateTime, cacheLoaded: false };
     }
 }
 
+/**
+ * FUNC - Deletes the cache file of a vault. Used when the vault is disconnected.
+ *
+ * @param {object} vscodeContext The context object from the extension. Expected to have `globalStorageUri.fsPath`.
+ * @param {string} vaultPath The full path to the vault.
+ * @param {function(string): void} log Logging function.
+ * @returns {Promise<void>} A Promise that resolves when the cache file is deleted or didn't exist.
+ */
+async function deleteCache(vscodeContext, vaultPath, log) {
+    try {
+        const cachePath = await getCachePath(vscodeContext, vaultPath);
+        await fs.promises.rm(cachePath, { force: true });
+        log(`Cache deleted: ${cachePath}`);
+    } catch (error) {
+        log(`Error deleting cache: ${error.message}`);
+    }
+}
+
 module.exports = {
     getCachePath,
     saveCache,
-    loadCache
-};
\ No newline at end of file
+    loadCache,
+    deleteCache
+};
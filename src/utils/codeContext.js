@@ -0,0 +1,106 @@
+const { isInComment, getBlockCommentStarts } = require("./commentDetector");
+
+/**
+ * @typedef {"comment"|"string"|"declaration"|"code"} TokenContext
+ * The syntactic context of a token in a document:
+ * - `comment` - inside a comment, or anywhere in a Markdown or plain text document.
+ * - `string` - inside a string literal.
+ * - `declaration` - the name right after a declaration keyword (`function foo`, `class Foo`, `const foo`, `def foo`...).
+ * - `code` - any other code (usages of identifiers, calls, properties...).
+ */
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Languages whose whole content is prose, so every token is treated like a comment.
+ */
+const PROSE_LANGUAGES = ["markdown", "plaintext"];
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Declaration keywords of common languages, matched against the text right before a token.
+ */
+const DECLARATION_PREFIX = /\b(?:function\*?|class|interface|type|enum|struct|union|trait|impl|protocol|extension|typedef|const|let|var|val|def|fn|func|fun|sub|module|namespace|package|record|object)\s+$/;
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description String delimiters, longest first so that Python triple quotes win over single quotes.
+ */
+const STRING_DELIMITERS = ['"""', "'''", '"', "'", "`"];
+
+/**
+ * FUNC - Finds the syntactic context of a token.
+ * Like `isInComment`, it's a lightweight check of the current line (and of the lines above for block comments),
+ * not a full tokenizer: strings spanning several lines are not recognized.
+ *
+ * @param {import("vscode").TextDocument} document The document.
+ * @param {import("vscode").Range} range The range of the token.
+ * @param {boolean} [startsInBlockComment] Whether the line of the token starts inside a block comment, see `isInComment`.
+ * @returns {TokenContext} The context of the token.
+ */
+function getTokenContext(document, range, startsInBlockComment) {
+    if (PROSE_LANGUAGES.includes(document.languageId) || isInComment(document, range.start, startsInBlockComment)) {
+        return "comment";
+    }
+
+    const linePrefix = document.lineAt(range.start.line).text.slice(0, range.start.character);
+    if (isInString(linePrefix)) {
+        return "string";
+    }
+    if (DECLARATION_PREFIX.test(linePrefix)) {
+        return "declaration";
+    }
+    return "code";
+}
+
+/**
+ * FUNC - Creates a `getTokenContext` for the scan of a whole document.
+ * The block comments are found once for all lines (`getBlockCommentStarts`), so the context of a token only reads its own line.
+ * @param {import("vscode").TextDocument} document The document.
+ * @returns {function(import("vscode").Range): TokenContext} Gets the context of a token of the document.
+ */
+function createTokenContextScanner(document) {
+    if (PROSE_LANGUAGES.includes(document.languageId)) return () => "comment";
+
+    const blockCommentStarts = getBlockCommentStarts(document);
+    return (range) => getTokenContext(document, range, blockCommentStarts[range.start.line]);
+}
+
+/**
+ * FUNC - Checks if the end of a line prefix is inside a string literal, by scanning the quotes from the start of the line.
+ * Escaped quotes (`\"`) and quotes of another kind inside a string (`"it's"`) are skipped.
+ *
+ * @param {string} linePrefix The text of the line before the token.
+ * @returns {boolean} `true` if a string is opened and not closed in the prefix.
+ */
+function isInString(linePrefix) {
+    let openDelimiter = null;
+    for (let index = 0; index < linePrefix.length; index++) {
+        if (linePrefix[index] === "\\") {
+            index++;
+            continue;
+        }
+
+        if (openDelimiter) {
+            if (linePrefix.startsWith(openDelimiter, index)) {
+                index += openDelimiter.length - 1;
+                openDelimiter = null;
+            }
+            continue;
+        }
+
+        const delimiter = STRING_DELIMITERS.find((item) => linePrefix.startsWith(item, index));
+        if (delimiter) {
+            openDelimiter = delimiter;
+            index += delimiter.length - 1;
+        }
+    }
+    return openDelimiter !== null;
+}
+
+module.exports = {
+    getTokenContext,
+    createTokenContextScanner
+};
@@ -0,0 +1,123 @@
+/**
+ * @constant
+ * @type {object}
+ * @description Comment syntax of common languages, keyed by the VS Code language identifier.
+ * `line` are the markers of line comments, `block` the opening and closing markers of block comments.
+ * Languages that are not listed use the C-like syntax (`//` and `/* *\/`).
+ */
+const COMMENT_SYNTAX = {
+    python: { line: ["#"], block: [] },
+    shellscript: { line: ["#"], block: [] },
+    ruby: { line: ["#"], block: [] },
+    perl: { line: ["#"], block: [] },
+    r: { line: ["#"], block: [] },
+    yaml: { line: ["#"], block: [] },
+    dockerfile: { line: ["#"], block: [] },
+    makefile: { line: ["#"], block: [] },
+    toml: { line: ["#"], block: [] },
+    powershell: { line: ["#"], block: [["<#", "#>"]] },
+    sql: { line: ["--"], block: [["/*", "*/"]] },
+    lua: { line: ["--"], block: [["--[[", "]]"]] },
+    haskell: { line: ["--"], block: [["{-", "-}"]] },
+    clojure: { line: [";"], block: [] },
+    lisp: { line: [";"], block: [] },
+    ini: { line: [";", "#"], block: [] },
+    latex: { line: ["%"], block: [] },
+    matlab: { line: ["%"], block: [["%{", "%}"]] },
+    vb: { line: ["'"], block: [] },
+    html: { line: [], block: [["<!--", "-->"]] },
+    xml: { line: [], block: [["<!--", "-->"]] },
+    css: { line: [], block: [["/*", "*/"]] },
+    default: { line: ["//"], block: [["/*", "*/"]] },
+};
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of lines searched backwards for the start of a block comment.
+ */
+const MAX_BLOCK_COMMENT_LINES = 200;
+
+/**
+ * FUNC - Checks if a position in a document is inside a comment.
+ * It's a lightweight check based on the comment markers of the language, not a full tokenizer:
+ * markers inside strings are not recognized as such.
+ *
+ * @param {import("vscode").TextDocument} document The document.
+ * @param {import("vscode").Position} position The position to check.
+ * @param {boolean} [startsInBlockComment] Whether the line starts inside a block comment, from `getBlockCommentStarts`.
+ * When it's given, the lines above are not searched.
+ * @returns {boolean} `true` if the position is inside a line or block comment.
+ */
+function isInComment(document, position, startsInBlockComment) {
+    const syntax = getCommentSyntax(document.languageId);
+    const linePrefix = document.lineAt(position.line).text.slice(0, position.character);
+
+    if (syntax.line.some((marker) => linePrefix.includes(marker))) {
+        return true;
+    }
+
+    // Search backwards for an opening marker that is not closed before the position
+    const firstLine = startsInBlockComment === undefined ? Math.max(0, position.line - MAX_BLOCK_COMMENT_LINES) : position.line;
+    for (let line = position.line; line >= firstLine; line--) {
+        const isOpen = getBlockCommentState(line === position.line ? linePrefix : document.lineAt(line).text, syntax);
+        if (isOpen !== null) return isOpen;
+    }
+    return startsInBlockComment === true;
+}
+
+/**
+ * FUNC - Finds for every line of a document whether it starts inside a block comment, in a single pass.
+ * Scans of whole documents pass the result to `isInComment`, which otherwise searches the lines above for every position.
+ * The lines are checked the same way, so the result is what `isInComment` gives at the start of every line.
+ *
+ * @param {import("vscode").TextDocument} document The document.
+ * @returns {boolean[]} Whether each line starts inside a block comment, by line number.
+ */
+function getBlockCommentStarts(document) {
+    const syntax = getCommentSyntax(document.languageId);
+    const starts = [];
+    let isOpen = false;
+    let lastMarkerLine = -Infinity;
+    for (let line = 0; line < document.lineCount; line++) {
+        starts.push(isOpen && line - lastMarkerLine <= MAX_BLOCK_COMMENT_LINES);
+
+        const state = getBlockCommentState(document.lineAt(line).text, syntax);
+        if (state !== null) {
+            isOpen = state;
+            lastMarkerLine = line;
+        }
+    }
+    return starts;
+}
+
+/**
+ * FUNC - Checks if the end of a text is inside a block comment, from the last markers in the text.
+ * @param {string} text The text, a line or the part of a line before a position.
+ * @param {{line: string[], block: string[][]}} syntax The comment markers of the language.
+ * @returns {boolean|null} `true` if a block comment is opened and not closed, `false` if one is closed, `null` without markers.
+ */
+function getBlockCommentState(text, syntax) {
+    for (const [open, close] of syntax.block) {
+        const openIndex = text.lastIndexOf(open);
+        const closeIndex = text.lastIndexOf(close);
+        if (openIndex !== -1 && closeIndex <= openIndex) return true;
+        if (closeIndex !== -1) return false;
+    }
+    return null;
+}
+
+/**
+ * FUNC - Gets the comment syntax of a language, falling back to the C-like syntax.
+ * @param {string} languageId The VS Code language identifier of the document (e.g., "python").
+ * @returns {{line: string[], block: string[][]}} The comment markers.
+ */
+function getCommentSyntax(languageId) {
+    return COMMENT_SYNTAX[languageId] || COMMENT_SYNTAX.default;
+}
+
+module.exports = {
+    isInComment,
+    getBlockCommentStarts,
+    getCommentSyntax
+};
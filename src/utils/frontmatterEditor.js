@@ -0,0 +1,121 @@
+/**
+ * @module frontmatterEditor
+ * @description Edits the YAML frontmatter of Obsidian notes as text, so everything except the edited key
+ * (other properties, comments, quoting, indentation and line endings) stays exactly as the user wrote it.
+ */
+
+const { parseFrontmatter, toStringList } = require("./frontmatterParser");
+
+/**
+ * FUNC - Adds an alias to the `aliases` property of a note.
+ * - A note without frontmatter gets a new frontmatter with the `aliases` list.
+ * - A frontmatter without `aliases` gets the property before its closing `---`.
+ * - A block list gets a new item after its last item, with the same indentation.
+ * - An inline list (`[a, b]`) gets the alias before its closing bracket.
+ * - A single value (`aliases: foo`) is turned into a block list.
+ * The result is parsed again, and the edit is refused if the alias can't be read back.
+ *
+ * @param {string} content The full content of the note.
+ * @param {string} alias The alias to add.
+ * @returns {string} The new content of the note.
+ * @throws {Error} If the frontmatter can't be parsed or the edit would not produce the alias.
+ */
+function addAliasToFrontmatter(content, alias) {
+    const eol = content.includes("\r\n") ? "\r\n" : "\n";
+    const bom = content.startsWith("\uFEFF") ? "\uFEFF" : "";
+    const lines = content.slice(bom.length).split(/\r?\n/);
+    const yamlAlias = toYamlScalar(alias);
+
+    const { data, error } = parseFrontmatter(content);
+    if (error) {
+        throw new Error(`The frontmatter of the note can't be parsed: ${error}`);
+    }
+
+    if (lines[0].trim() !== "---") {
+        // No frontmatter yet
+        lines.unshift("---", "aliases:", `  - ${yamlAlias}`, "---");
+    } else {
+        const closingIndex = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+        const keyIndex = lines.findIndex((line, index) => index > 0 && index < closingIndex && /^aliases\s*:/.test(line));
+
+        if (keyIndex === -1) {
+            lines.splice(closingIndex, 0, "aliases:", `  - ${yamlAlias}`);
+        } else {
+            insertIntoAliasesValue(lines, keyIndex, closingIndex, yamlAlias);
+        }
+    }
+
+    const newContent = bom + lines.join(eol);
+    const parsed = parseFrontmatter(newContent);
+    const newAliases = toStringList(parsed.data.aliases);
+    const previousCount = toStringList(data.aliases).length;
+    if (parsed.error || !newAliases.includes(alias) || newAliases.length !== previousCount + 1) {
+        throw new Error("The aliases of the note have an unsupported format, edit the note manually");
+    }
+    return newContent;
+}
+
+/**
+ * FUNC - Inserts an alias into the value of an existing `aliases` key.
+ * @param {string[]} lines The lines of the note, edited in place.
+ * @param {number} keyIndex The index of the `aliases:` line.
+ * @param {number} closingIndex The index of the closing `---` line of the frontmatter.
+ * @param {string} yamlAlias The alias, quoted for YAML if needed.
+ */
+function insertIntoAliasesValue(lines, keyIndex, closingIndex, yamlAlias) {
+    const keyLine = lines[keyIndex];
+    const value = keyLine.replace(/^aliases\s*:/, "").replace(/\s+#.*$/, "").trim();
+
+    // Inline list: `aliases: [a, b]`
+    if (value.startsWith("[")) {
+        const closingBracket = keyLine.lastIndexOf("]");
+        const isEmpty = value.replace(/\s/g, "") === "[]";
+        lines[keyIndex] = `${keyLine.slice(0, closingBracket).replace(/\s+$/, "")}${isEmpty ? "" : ", "}${yamlAlias}${keyLine.slice(closingBracket)}`;
+        return;
+    }
+
+    // A mapping is not a list of aliases, it's left as the user wrote it
+    if (value.startsWith("{")) {
+        throw new Error("The aliases of the note have an unsupported format, edit the note manually");
+    }
+
+    // Single value: `aliases: foo`
+    if (value !== "") {
+        lines.splice(keyIndex, 1, "aliases:", `  - ${value}`, `  - ${yamlAlias}`);
+        return;
+    }
+
+    // Block list: the items can be indented or at the same level as the key
+    let lastItemIndex = -1;
+    let itemPrefix = "  - ";
+    for (let index = keyIndex + 1; index < closingIndex; index++) {
+        const line = lines[index];
+        const itemMatch = line.match(/^(\s*)-(\s+|$)/);
+        if (itemMatch) {
+            lastItemIndex = index;
+            itemPrefix = `${itemMatch[1]}- `;
+        } else if (line.trim() === "" || line.trim().startsWith("#") || (lastItemIndex !== -1 && /^\s+\S/.test(line))) {
+            // Empty lines, comments and continuation lines of an item belong to the list
+            continue;
+        } else {
+            break;
+        }
+    }
+    lines.splice(lastItemIndex === -1 ? keyIndex + 1 : lastItemIndex + 1, 0, `${itemPrefix}${yamlAlias}`);
+}
+
+/**
+ * FUNC - Writes a string as a YAML scalar, quoting it when the plain form would be read differently.
+ * @param {string} value The string.
+ * @returns {string} The YAML scalar.
+ */
+function toYamlScalar(value) {
+    const isPlainSafe = /^[A-Za-z0-9_\u00C0-\uFFFF][^#:[\]{},"'\n]*$/.test(value)
+        && value === value.trim()
+        && !/^(true|false|null|yes|no|on|off|~|[-+]?\d[\d._]*(e[-+]?\d+)?)$/i.test(value);
+    return isPlainSafe ? value : JSON.stringify(value);
+}
+
+module.exports = {
+    addAliasToFrontmatter
+};
@@ -0,0 +1,355 @@
+/**
+ * @module frontmatterParser
+ * @description Parses the YAML frontmatter of Obsidian notes.
+ * Supports the subset of YAML that is used in note properties: scalars (plain and quoted), block and inline (flow) lists,
+ * nested mappings and block scalars (`|` and `>`). Handles both LF and CRLF line endings and any indentation width.
+ */
+
+/**
+ * @typedef {object} FrontmatterResult
+ * @property {object} data - The parsed properties. Empty object if the note has no frontmatter.
+ * @property {string} body - The content of the note after the frontmatter.
+ * @property {number} bodyStartLine - The zero-based line number where the body starts.
+ * @property {string|null} error - The parse error message, or `null` if the frontmatter was parsed successfully.
+ */
+
+/**
+ * FUNC - Splits a note into the frontmatter and the body and parses the frontmatter.
+ * The frontmatter must start on the first line of the file with `---` and end with a `---` (or `...`) line.
+ *
+ * @param {string} content The full content of the note.
+ * @returns {FrontmatterResult} The parsed frontmatter and the body of the note.
+ */
+function parseFrontmatter(content) {
+    const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+    if (lines[0].trim() !== "---") {
+        return { data: {}, body: lines.join("\n"), bodyStartLine: 0, error: null };
+    }
+
+    const closingIndex = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (closingIndex === -1) {
+        return { data: {}, body: lines.join("\n"), bodyStartLine: 0, error: "Frontmatter is not closed with '---'" };
+    }
+
+    const body = lines.slice(closingIndex + 1).join("\n");
+    try {
+        const data = parseYamlLines(lines.slice(1, closingIndex));
+        return { data, body, bodyStartLine: closingIndex + 1, error: null };
+    } catch (error) {
+        return { data: {}, body, bodyStartLine: closingIndex + 1, error: error.message };
+    }
+}
+
+/**
+ * FUNC - Parses YAML lines into an object.
+ *
+ * @param {string[]} rawLines The lines between the frontmatter delimiters.
+ * @returns {object} The parsed properties.
+ * @throws {Error} If a line can't be parsed.
+ */
+function parseYamlLines(rawLines) {
+    // Tabs are not allowed for indentation in YAML, but notes written by hand sometimes contain them
+    const lines = rawLines.map((text, index) => ({
+        text: text.replace(/\t/g, "    "),
+        lineNumber: index + 2, // Line numbers in the file, after the opening '---'
+    }));
+
+    const state = { lines, index: 0 };
+    const result = parseBlock(state, 0);
+
+    skipEmptyLines(state);
+    if (state.index < lines.length) {
+        const line = lines[state.index];
+        throw new Error(`Unexpected indentation on line ${line.lineNumber}: "${line.text.trim()}"`);
+    }
+    return result ?? {};
+}
+
+/**
+ * FUNC - Parses a block (a mapping or a sequence) whose lines are indented at least `minIndent` spaces.
+ *
+ * @param {{lines: {text: string, lineNumber: number}[], index: number}} state The parser state.
+ * @param {number} minIndent The minimal indentation of the lines that belong to the block.
+ * @returns {object|Array|null} The parsed block, or `null` if the block is empty.
+ */
+function parseBlock(state, minIndent) {
+    skipEmptyLines(state);
+    if (state.index >= state.lines.length) return null;
+
+    const firstLine = state.lines[state.index];
+    const indent = getIndent(firstLine.text);
+    if (indent < minIndent) return null;
+
+    return /^-(\s|$)/.test(firstLine.text.trim())
+        ? parseSequence(state, indent)
+        : parseMapping(state, indent);
+}
+
+/**
+ * FUNC - Parses a block sequence (`- item` lines) with the given indentation.
+ *
+ * @param {{lines: {text: string, lineNumber: number}[], index: number}} state The parser state.
+ * @param {number} indent The indentation of the `-` markers.
+ * @returns {Array} The parsed items.
+ */
+function parseSequence(state, indent) {
+    const items = [];
+
+    while (skipEmptyLines(state) && state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        const trimmed = line.text.trim();
+        if (getIndent(line.text) !== indent || !/^-(\s|$)/.test(trimmed)) break;
+
+        state.index++;
+        const itemText = trimmed.substring(1).trim();
+
+        if (itemText === "") {
+            // The item is a nested block on the next lines
+            items.push(parseBlock(state, indent + 1));
+        } else if (/^[^"'[{][^:]*:(\s|$)/.test(itemText)) {
+            // The item is a mapping that starts on the same line: `- key: value`
+            const itemIndent = indent + (line.text.trim().length - itemText.length);
+            state.lines[--state.index] = { text: " ".repeat(itemIndent) + itemText, lineNumber: line.lineNumber };
+            items.push(parseMapping(state, itemIndent));
+        } else {
+            items.push(parseScalar(itemText, line.lineNumber));
+        }
+    }
+
+    return items;
+}
+
+/**
+ * FUNC - Parses a block mapping (`key: value` lines) with the given indentation.
+ *
+ * @param {{lines: {text: string, lineNumber: number}[], index: number}} state The parser state.
+ * @param {number} indent The indentation of the keys.
+ * @returns {object} The parsed properties.
+ * @throws {Error} If a line is not a `key: value` pair.
+ */
+function parseMapping(state, indent) {
+    const mapping = {};
+
+    while (skipEmptyLines(state) && state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        if (getIndent(line.text) !== indent) break;
+
+        const match = line.text.trim().match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:#][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!match) {
+            throw new Error(`Expected "key: value" on line ${line.lineNumber}: "${line.text.trim()}"`);
+        }
+
+        state.index++;
+        const key = String(parseScalar(match[1], line.lineNumber));
+        const valueText = stripComment(match[2] || "").trim();
+
+        if (valueText === "") {
+            // The value is a nested block on the next lines. A sequence may have the same indentation as its key.
+            const nextLine = state.lines[state.index];
+            const isSameIndentSequence = nextLine &&
+                getIndent(nextLine.text) === indent &&
+                /^-(\s|$)/.test(nextLine.text.trim());
+            mapping[key] = parseBlock(state, isSameIndentSequence ? indent : indent + 1);
+        } else if (/^[|>][+-]?$/.test(valueText)) {
+            mapping[key] = parseBlockScalar(state, indent, valueText);
+        } else {
+            mapping[key] = parseScalar(valueText, line.lineNumber);
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * FUNC - Parses a literal (`|`) or folded (`>`) block scalar.
+ *
+ * @param {{lines: {text: string, lineNumber: number}[], index: number}} state The parser state.
+ * @param {number} parentIndent The indentation of the key that owns the block scalar.
+ * @param {string} indicator The block scalar indicator (e.g. `|`, `>-`).
+ * @returns {string} The text of the block scalar.
+ */
+function parseBlockScalar(state, parentIndent, indicator) {
+    const blockLines = [];
+    let blockIndent = null;
+
+    while (state.index < state.lines.length) {
+        const text = state.lines[state.index].text;
+        if (text.trim() === "") {
+            blockLines.push("");
+            state.index++;
+            continue;
+        }
+
+        const indent = getIndent(text);
+        if (indent <= parentIndent) break;
+        if (blockIndent === null) blockIndent = indent;
+
+        blockLines.push(text.substring(Math.min(indent, blockIndent)));
+        state.index++;
+    }
+
+    // Trailing empty lines are kept only with the "keep" (`+`) chomping indicator
+    while (!indicator.endsWith("+") && blockLines.length > 0 && blockLines[blockLines.length - 1] === "") {
+        blockLines.pop();
+    }
+
+    const text = indicator.startsWith(">")
+        ? blockLines.join("\n").replace(/([^\n])\n(?!\n)/g, "$1 ")
+        : blockLines.join("\n");
+    return indicator.endsWith("-") ? text : `${text}\n`;
+}
+
+/**
+ * FUNC - Parses a single-line value: a quoted string, an inline list or mapping, or a plain scalar.
+ *
+ * @param {string} text The value text.
+ * @param {number} lineNumber The line number, used in error messages.
+ * @returns {*} The parsed value.
+ * @throws {Error} If a quoted string or an inline collection is not closed.
+ */
+function parseScalar(text, lineNumber) {
+    const value = stripComment(text).trim();
+
+    if (value.startsWith("[") || value.startsWith("{")) {
+        const closing = value.startsWith("[") ? "]" : "}";
+        if (!value.endsWith(closing)) {
+            throw new Error(`Inline collection is not closed on line ${lineNumber}`);
+        }
+
+        const items = splitFlowItems(value.slice(1, -1), lineNumber);
+        if (closing === "]") {
+            return items.map((item) => parseScalar(item, lineNumber));
+        }
+
+        const mapping = {};
+        for (const item of items) {
+            const separatorIndex = item.indexOf(":");
+            const key = separatorIndex === -1 ? item : item.substring(0, separatorIndex);
+            const itemValue = separatorIndex === -1 ? "" : item.substring(separatorIndex + 1);
+            mapping[String(parseScalar(key, lineNumber))] = itemValue.trim() === "" ? null : parseScalar(itemValue, lineNumber);
+        }
+        return mapping;
+    }
+
+    if (value.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+            throw new Error(`Quoted string is not closed on line ${lineNumber}`);
+        }
+        return value.slice(1, -1).replace(/\\(["\\/nt])/g, (_, char) =>
+            ({ n: "\n", t: "\t" })[char] || char
+        );
+    }
+
+    if (value.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(value)) {
+            throw new Error(`Quoted string is not closed on line ${lineNumber}`);
+        }
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (value === "" || value === "~" || value === "null") return null;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * FUNC - Splits the content of an inline collection (`a, "b, c", [d]`) into items, respecting quotes and brackets.
+ *
+ * @param {string} text The content between the brackets.
+ * @param {number} lineNumber The line number, used in error messages.
+ * @returns {string[]} The raw items.
+ */
+function splitFlowItems(text, lineNumber) {
+    const items = [];
+    let current = "";
+    let quote = null;
+    let depth = 0;
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === "[" || char === "{") {
+            depth++;
+        } else if (char === "]" || char === "}") {
+            depth--;
+        } else if (char === "," && depth === 0) {
+            items.push(current);
+            current = "";
+            continue;
+        }
+        current += char;
+    }
+
+    if (quote || depth !== 0) {
+        throw new Error(`Inline collection is malformed on line ${lineNumber}`);
+    }
+    items.push(current);
+    return items.map((item) => item.trim()).filter((item) => item !== "");
+}
+
+/**
+ * FUNC - Removes a trailing `# comment` from a value, ignoring `#` inside quotes and `#` without a space before it (tags).
+ * @param {string} text The value text.
+ * @returns {string} The value without the comment.
+ */
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1])) && /\s|$/.test(text[i + 1] || "")) {
+            return text.substring(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * FUNC - Advances the parser past empty and comment-only lines.
+ * @param {{lines: {text: string}[], index: number}} state The parser state.
+ * @returns {boolean} Always `true`, so the function can be used inside loop conditions.
+ */
+function skipEmptyLines(state) {
+    while (state.index < state.lines.length && /^\s*(#.*)?$/.test(state.lines[state.index].text)) {
+        state.index++;
+    }
+    return true;
+}
+
+/**
+ * FUNC - Gets the number of leading spaces of a line.
+ * @param {string} text The line text.
+ * @returns {number} The indentation width.
+ */
+function getIndent(text) {
+    return text.length - text.trimStart().length;
+}
+
+/**
+ * FUNC - Converts a frontmatter value to a list of non-empty strings.
+ * A single scalar becomes a list with one item, so both `aliases: Foo` and `aliases: [Foo]` give `["Foo"]`.
+ *
+ * @param {*} value The frontmatter value.
+ * @returns {string[]} The list of strings.
+ */
+function toStringList(value) {
+    if (value === null || value === undefined) return [];
+    const items = Array.isArray(value) ? value : [value];
+    return items
+        .filter((item) => item !== null && typeof item !== "object")
+        .map((item) => String(item).trim())
+        .filter((item) => item !== "");
+}
+
+module.exports = {
+    parseFrontmatter,
+    toStringList
+};
@@ -0,0 +1,91 @@
+const { canonicalNormalize } = require("./normalizer");
+
+/**
+ * FUNC - Scores how well a search query matches a text, in the way quick open in VS Code matches file names.
+ * A contiguous match (e.g. "api" in "REST API") scores higher than a match of scattered characters
+ * (e.g. "rsa" in "REST API"), and matches at the start of the text or of a word score higher.
+ * Whitespace is ignored, so "restapi" matches "REST API".
+ *
+ * @param {string} query The search query.
+ * @param {string} text The text to match, e.g. a note title or an alias.
+ * @returns {number|null} The score (higher is better), or `null` if the characters of the query are not found in order.
+ */
+function fuzzyScore(query, text) {
+    const normalizedQuery = query.toLowerCase().replace(/\s+/g, "");
+    const normalizedText = text.toLowerCase();
+    if (!normalizedQuery) return 0;
+
+    // Contiguous match: the earlier in the text, the better
+    const substringIndex = normalizedText.replace(/\s+/g, "").indexOf(normalizedQuery);
+    if (substringIndex !== -1) {
+        const prefixBonus = substringIndex === 0 ? 50 : 0;
+        const exactBonus = normalizedText.replace(/\s+/g, "") === normalizedQuery ? 50 : 0;
+        return 100 + prefixBonus + exactBonus - Math.min(substringIndex, 20);
+    }
+
+    // Scattered match: every character of the query must be found in order
+    let score = 0;
+    let textIndex = 0;
+    let previousIndex = -2;
+    for (const char of normalizedQuery) {
+        const index = normalizedText.indexOf(char, textIndex);
+        if (index === -1) return null;
+
+        if (index === previousIndex + 1) score += 3; // Consecutive characters
+        if (index === 0 || /[\s\-_/.]/.test(normalizedText[index - 1])) score += 2; // Start of a word
+        score += 1;
+
+        previousIndex = index;
+        textIndex = index + 1;
+    }
+    return score;
+}
+
+/**
+ * FUNC - Scores how similar two names are, e.g. a note name and the target of a link to a renamed note.
+ * Unlike `fuzzyScore`, the characters don't have to be found in order: the score is based on the edit distance
+ * of the normalized names, or on the shared words if that's better ("Retry Policy" and "Payment Retry Policy").
+ *
+ * @param {string} a The first name.
+ * @param {string} b The second name.
+ * @returns {number} The similarity, from 0 (nothing in common) to 1 (same normalized name).
+ */
+function similarityScore(a, b) {
+    const normalizedA = canonicalNormalize(a);
+    const normalizedB = canonicalNormalize(b);
+    if (!normalizedA || !normalizedB) return 0;
+
+    const maxLength = Math.max(normalizedA.length, normalizedB.length);
+    const editSimilarity = 1 - getEditDistance(normalizedA, normalizedB) / maxLength;
+
+    const wordsA = new Set(a.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const wordsB = new Set(b.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const sharedWords = Array.from(wordsA).filter((word) => wordsB.has(word)).length;
+    const wordSimilarity = sharedWords / Math.max(wordsA.size, wordsB.size, 1);
+
+    return Math.max(editSimilarity, wordSimilarity);
+}
+
+/**
+ * FUNC - Computes the Levenshtein distance of two strings: the number of inserted, deleted or replaced characters.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The distance.
+ */
+function getEditDistance(a, b) {
+    let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost));
+        }
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+module.exports = {
+    fuzzyScore,
+    similarityScore
+};
@@ -0,0 +1,156 @@
+const vscode = require("vscode");
+const { log } = require("./logging");
+const { canonicalNormalize } = require("./normalizer");
+const { getTokenContext } = require("./codeContext");
+
+/**
+ * @constant
+ * @type {import("./codeContext").TokenContext[]}
+ * @description All contexts, the default of the `matchContexts` setting.
+ */
+const ALL_CONTEXTS = ["comment", "string", "declaration", "code"];
+
+/**
+ * @constant
+ * @type {Object<string, import("./codeContext").TokenContext>}
+ * @description Values of the `matchContexts` setting mapped to the contexts from `getTokenContext`.
+ */
+const CONTEXT_SETTING_VALUES = {
+    comments: "comment",
+    strings: "string",
+    declarations: "declaration",
+    code: "code",
+};
+
+/**
+ * @type {Map<string, RegExp|null>}
+ * @description Compiled identifier patterns, keyed by their source. `null` marks an invalid pattern that was already logged.
+ * The rules are read for every hover and decoration pass, so patterns are compiled (and reported) only once.
+ */
+const compiledPatterns = new Map();
+
+/**
+ * @typedef {object} MatchRules
+ * @property {Set<import("./codeContext").TokenContext>} contexts - The contexts in which tokens are matched.
+ * @property {number} minKeyLength - The minimum length of a matched note key (normalized).
+ * @property {Set<string>} stopWords - Normalized keys that are never matched.
+ * @property {RegExp[]} allowPatterns - If not empty, only identifiers matching one of the patterns are matched.
+ * @property {RegExp[]} denyPatterns - Identifiers matching one of the patterns are never matched.
+ * @property {boolean} requireOptIn - If `true`, only notes with the opt-in property set to `true` are matched.
+ * @property {string} optInProperty - The frontmatter property that opts a note in (`true`) or out (`false`).
+ * @property {import("./tokenDeconstructor").DeconstructOptions} deconstructOptions - How tokens are split into candidates.
+ */
+
+/**
+ * FUNC - Reads the matching rules for a document.
+ * The settings are read for the document, so they can be overridden per language
+ * (e.g. `"[python]": { "obsidian-tooltips.matchContexts": ["comments"] }`).
+ * Invalid identifier patterns are logged and skipped.
+ *
+ * @param {vscode.TextDocument} document The document the tokens come from.
+ * @returns {MatchRules} The matching rules.
+ */
+function getMatchRules(document) {
+    const config = vscode.workspace.getConfiguration("obsidian-tooltips", document);
+    const contextSetting = config.get("matchContexts", Object.keys(CONTEXT_SETTING_VALUES));
+
+    return {
+        contexts: new Set(contextSetting.map((value) => CONTEXT_SETTING_VALUES[value]).filter(Boolean)),
+        minKeyLength: config.get("minKeyLength", 0),
+        stopWords: new Set(config.get("stopWords", []).map((word) => canonicalNormalize(word)).filter(Boolean)),
+        allowPatterns: compilePatterns(config.get("identifierAllowPatterns", []), "identifierAllowPatterns"),
+        denyPatterns: compilePatterns(config.get("identifierDenyPatterns", []), "identifierDenyPatterns"),
+        requireOptIn: config.get("requireNoteOptIn", false),
+        optInProperty: config.get("noteOptInProperty", "vscode-tooltip"),
+        deconstructOptions: {
+            splitWords: config.get("identifierSplitting", "phrases"),
+            wordForms: config.get("matchWordForms", false),
+        },
+    };
+}
+
+/**
+ * FUNC - Checks if a token is in a context where notes are matched (`matchContexts` setting).
+ * @param {MatchRules} rules The matching rules of the document.
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Range} range The range of the token.
+ * @returns {boolean} `true` if the token can be matched.
+ */
+function isContextAllowed(rules, document, range) {
+    // Skip the detection when every context is allowed, it's the common case
+    if (ALL_CONTEXTS.every((context) => rules.contexts.has(context))) return true;
+    return rules.contexts.has(getTokenContext(document, range));
+}
+
+/**
+ * FUNC - Creates the filter that `resolveToken` applies to every note a candidate could match in a vault.
+ * It checks the identifier (allow and deny patterns), the note key (minimum length and stop words) and the note itself (opt-in property).
+ *
+ * @param {MatchRules} rules The matching rules of the document.
+ * @param {import("../obsidian/vaultStateManager").VaultState} vaultState The state of the vault the notes come from.
+ * @returns {function(string, string, {path: string, isFileName: boolean}): boolean} Called with the candidate, the note key and the note pointer.
+ */
+function createKeyFilter(rules, vaultState) {
+    return (candidate, originalKey, info) => {
+        if (!isIdentifierAllowed(rules, candidate) || !isKeyAllowed(rules, originalKey)) return false;
+
+        const noteData = vaultState.notesCache.get(info.path);
+        const optIn = noteData && noteData.properties ? noteData.properties[rules.optInProperty] : undefined;
+        // A note can always opt out, even when the opt-in is not required
+        if (optIn === false || optIn === "false") return false;
+        return !rules.requireOptIn || optIn === true || optIn === "true";
+    };
+}
+
+/**
+ * FUNC - Checks if an identifier passes the allow and deny patterns (`identifierAllowPatterns` and `identifierDenyPatterns` settings).
+ * @param {MatchRules} rules The matching rules of the document.
+ * @param {string} identifier The identifier.
+ * @returns {boolean} `true` if the identifier can be matched.
+ */
+function isIdentifierAllowed(rules, identifier) {
+    if (rules.denyPatterns.some((pattern) => pattern.test(identifier))) return false;
+    return rules.allowPatterns.length === 0 || rules.allowPatterns.some((pattern) => pattern.test(identifier));
+}
+
+/**
+ * FUNC - Checks if a note key passes the minimum length and is not a stop word (`minKeyLength` and `stopWords` settings).
+ * @param {MatchRules} rules The matching rules of the document.
+ * @param {string} key The note name or alias.
+ * @returns {boolean} `true` if the key can be matched.
+ */
+function isKeyAllowed(rules, key) {
+    const normalizedKey = canonicalNormalize(key);
+    return normalizedKey.length >= rules.minKeyLength && !rules.stopWords.has(normalizedKey);
+}
+
+/**
+ * FUNC - Compiles the identifier patterns from the settings.
+ * @param {string[]} sources The regular expressions, as strings.
+ * @param {string} settingName The name of the setting, for the log.
+ * @returns {RegExp[]} The valid patterns.
+ */
+function compilePatterns(sources, settingName) {
+    const patterns = [];
+    for (const source of sources) {
+        if (!compiledPatterns.has(source)) {
+            try {
+                compiledPatterns.set(source, new RegExp(source));
+            } catch (error) {
+                log(`Invalid pattern in obsidian-tooltips.${settingName}: ${source} (${error.message})`);
+                compiledPatterns.set(source, null);
+            }
+        }
+        const pattern = compiledPatterns.get(source);
+        if (pattern) patterns.push(pattern);
+    }
+    return patterns;
+}
+
+module.exports = {
+    getMatchRules,
+    isContextAllowed,
+    isIdentifierAllowed,
+    isKeyAllowed,
+    createKeyFilter
+};
@@ -0,0 +1,163 @@
+const { canonicalNormalize } = require('./normalizer');
+const { deconstructToken } = require('./tokenDeconstructor');
+const path = require('path');
+const { getLanguagePattern } = require('../config/searchConfig');
+const { createKeyFilter } = require('./matchRules');
+
+/**
+ * @typedef {object} ResolvedToken
+ * @property {string} candidate - The candidate (part of the token) that matched a note key.
+ * @property {string} matchedKey - The original, un-normalized note key (file name or alias) that was matched.
+ * @property {boolean} isPerfectMatch - True if the candidate is exactly equal to the note key.
+ * @property {{path: string, isFileName: boolean}[]} paths - The notes that the key points to.
+ */
+
+/**
+ * Resolves a token from the code to the notes in the lookup cache.
+ * The token is deconstructed into candidates, which are checked from the most specific to the least specific.
+ * For every candidate a perfect match is preferred, otherwise the key with the closest length wins.
+ *
+ * @param {string} token - The token extracted from the document (e.g., "document.querySelector").
+ * @param {Map<string, Map<string, {path: string, isFileName: boolean}[]>>} lookupCache - The cache for quick note lookups.
+ * @param {function(string, string, {path: string, isFileName: boolean}): boolean} [keyFilter] - Optional filter for the notes a candidate can match
+ * (see `createKeyFilter` in `matchRules.js`). When it rejects every note of a candidate, the next candidate is tried.
+ * @param {import('./tokenDeconstructor').DeconstructOptions} [deconstructOptions] - How the token is split into candidates. By default only at `.` and `:`.
+ * @returns {ResolvedToken|null} The best match, or `null` if no candidate resolves to a note.
+ */
+function resolveToken(token, lookupCache, keyFilter, deconstructOptions) {
+    for (const candidate of deconstructToken(token, deconstructOptions)) {
+        const normalizedCandidate = canonicalNormalize(candidate);
+        const shelf = lookupCache.get(normalizedCandidate);
+        if (!shelf) continue;
+
+        const getPaths = (originalKey) => keyFilter
+            ? shelf.get(originalKey).filter((info) => keyFilter(candidate, originalKey, info))
+            : shelf.get(originalKey);
+
+        // Priority 1: Perfect match.
+        if (shelf.has(candidate)) {
+            const paths = getPaths(candidate);
+            if (paths.length > 0) {
+                return { candidate, matchedKey: candidate, isPerfectMatch: true, paths };
+            }
+        }
+
+        // Priority 2: Best fuzzy match.
+        // This handles cases like `note()` vs `note` in code.
+        let potentialMatches = [];
+        for (const originalKey of shelf.keys()) {
+            if (canonicalNormalize(originalKey) === normalizedCandidate) {
+                const paths = getPaths(originalKey);
+                if (paths.length > 0) {
+                    potentialMatches.push({ originalKey, paths });
+                }
+            }
+        }
+
+        if (potentialMatches.length > 0) {
+            // Find the match with the smallest length difference to the code candidate.
+            potentialMatches.sort((a, b) =>
+                Math.abs(a.originalKey.length - candidate.length) -
+                Math.abs(b.originalKey.length - candidate.length)
+            );
+            const bestMatch = potentialMatches[0];
+            return { candidate, matchedKey: bestMatch.originalKey, isPerfectMatch: false, paths: bestMatch.paths };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolves a token in every connected vault.
+ *
+ * @param {string} token - The token extracted from the document.
+ * @param {Map<string, import('../obsidian/vaultStateManager').VaultState>} vaultStates - The states of the connected vaults, keyed by vault path.
+ * @param {import('./matchRules').MatchRules} [matchRules] - Optional matching rules of the document; without them every note key is matched
+ * and the token is not split into words.
+ * @returns {{vaultState: import('../obsidian/vaultStateManager').VaultState, match: ResolvedToken}[]} The matches, in the order the vaults were connected.
+ */
+function resolveTokenInVaults(token, vaultStates, matchRules) {
+    const matches = [];
+    for (const vaultState of vaultStates.values()) {
+        const keyFilter = matchRules ? createKeyFilter(matchRules, vaultState) : undefined;
+        const deconstructOptions = matchRules ? matchRules.deconstructOptions : undefined;
+        const match = resolveToken(token, vaultState.lookupCache, keyFilter, deconstructOptions);
+        if (match) {
+            matches.push({ vaultState, match });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Finds the token under the given position, using the token pattern of the document's language.
+ *
+ * @param {import('vscode').TextDocument} document - The document that contains the token.
+ * @param {import('vscode').Position} position - The position inside the token.
+ * @returns {{token: string, range: import('vscode').Range}|null} The token and its range, or `null` if there is no token at the position.
+ */
+function findTokenAtPosition(document, position) {
+    const pattern = getLanguagePattern(document.languageId);
+    const range = document.getWordRangeAtPosition(position, pattern);
+    if (!range) return null;
+
+    return { token: document.getText(range), range };
+}
+
+/**
+ * Removes the punctuation that the token patterns allow at the edges of a token (e.g. `getUser()` or `config.`),
+ * so the token can be used as a note name or an alias.
+ *
+ * @param {string} token - The token extracted from the code.
+ * @returns {string} The token without leading and trailing dots, colons, parentheses, hyphens and sigils (`$user`, `@Override`, `empty?`).
+ */
+function trimTokenPunctuation(token) {
+    return token.replace(/^[.:()\-$@#!?~>]+|[.:()\-$@#!?~>]+$/g, '');
+}
+
+/**
+ * Resolves the target of an Obsidian link (`[[Target]]`, `[[Folder/Target#Heading|Text]]`) to a note.
+ * Like Obsidian, a target with a folder is matched against the note path, otherwise the file name is preferred over aliases.
+ *
+ * @param {string} linkTarget - The link target, with or without the heading, block reference and display text.
+ * @param {Map<string, object>} notesCache - A cache containing detailed information about each note.
+ * @param {Map<string, Map<string, {path: string, isFileName: boolean}[]>>} lookupCache - The cache for quick note lookups.
+ * @returns {object|null} The note entry from the notes cache, or `null` if the link points to no note.
+ */
+function resolveNoteLink(linkTarget, notesCache, lookupCache) {
+    const target = linkTarget.split(/[|#^]/)[0].trim().replace(/\.md$/i, '');
+    if (!target) return null;
+
+    // A link with a folder, e.g. `[[Projects/Phoenix]]`
+    if (target.includes('/')) {
+        const notePath = `${target.split('/').join(path.sep)}.md`;
+        for (const [relativePath, noteData] of notesCache.entries()) {
+            if (relativePath === notePath || relativePath.endsWith(path.sep + notePath)) {
+                return noteData;
+            }
+        }
+        return null;
+    }
+
+    const shelf = lookupCache.get(canonicalNormalize(target));
+    if (!shelf) return null;
+
+    // File names win over aliases, and the exact file name wins over a file name that only normalizes to the same key.
+    const entries = Array.from(shelf.entries()).flatMap(([originalKey, pathInfos]) =>
+        pathInfos.map((info) => ({ originalKey, info }))
+    );
+    const bestEntry =
+        entries.find((entry) => entry.info.isFileName && entry.originalKey === target) ||
+        entries.find((entry) => entry.info.isFileName) ||
+        entries[0];
+    return bestEntry ? notesCache.get(bestEntry.info.path) || null : null;
+}
+
+module.exports = {
+    resolveToken,
+    resolveTokenInVaults,
+    findTokenAtPosition,
+    trimTokenPunctuation,
+    resolveNoteLink
+};
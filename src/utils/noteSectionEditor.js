@@ -0,0 +1,62 @@
+/**
+ * @module noteSectionEditor
+ * @description Edits a section of the body of Obsidian notes as text: the section is found by its header and replaced,
+ * everything else in the note (frontmatter, other sections, line endings) stays exactly as the user wrote it.
+ */
+
+/**
+ * FUNC - Replaces the content of a section of a note, or appends the section at the end of the note if it doesn't exist.
+ * The section is found by the text of its header (case-insensitive, any level) and ends before the next header
+ * of the same or a higher level.
+ *
+ * @param {string} content The full content of the note.
+ * @param {string} heading The text of the header, without the `#` (e.g. "Used in code").
+ * @param {string[]} sectionLines The lines of the section after the header.
+ * @returns {string} The new content of the note.
+ */
+function setNoteSection(content, heading, sectionLines) {
+    const eol = content.includes("\r\n") ? "\r\n" : "\n";
+    const lines = content.split(/\r?\n/);
+
+    const headerIndex = lines.findIndex((line) => getHeaderText(line)?.toLowerCase() === heading.toLowerCase());
+    if (headerIndex === -1) {
+        // Drop the trailing empty lines, the section is separated by exactly one empty line
+        while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+        const separator = lines.length > 0 ? [""] : [];
+        return [...lines, ...separator, `## ${heading}`, "", ...sectionLines, ""].join(eol);
+    }
+
+    const level = getHeaderLevel(lines[headerIndex]);
+    let endIndex = lines.findIndex((line, index) => index > headerIndex && getHeaderLevel(line) > 0 && getHeaderLevel(line) <= level);
+    if (endIndex === -1) endIndex = lines.length;
+
+    const following = lines.slice(endIndex);
+    // The empty line separates the section from the next header, or ends the note with a line break
+    const replacement = [lines[headerIndex], "", ...sectionLines, ""];
+
+    return [...lines.slice(0, headerIndex), ...replacement, ...following].join(eol);
+}
+
+/**
+ * FUNC - Gets the level of a Markdown header line.
+ * @param {string} line The line.
+ * @returns {number} The level (1 for `#`, 2 for `##`...), or 0 if the line is not a header.
+ */
+function getHeaderLevel(line) {
+    const match = line.match(/^(#{1,6})\s/);
+    return match ? match[1].length : 0;
+}
+
+/**
+ * FUNC - Gets the text of a Markdown header line.
+ * @param {string} line The line.
+ * @returns {string|null} The text of the header, or `null` if the line is not a header.
+ */
+function getHeaderText(line) {
+    const match = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    setNoteSection
+};
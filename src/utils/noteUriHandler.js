@@ -1,5 +1,7 @@
+const vscode = require('vscode');
 const path = require('path');
 const { log } = require('./logging');
+const { recordProblem } = require('./problemRecorder');
 
 /**
  * FUNC - Creates an Obsidian URI for a given note path within a vault.
@@ -31,10 +33,71 @@ function createObsidianUri(vaultPath, notePath) {
         return uri;
     } catch (error) {
         log(`Error creating Obsidian URI: ${error.message}`);
+        recordProblem("uri", `Error creating Obsidian URI: ${error.message}`, { filePath: path.join(vaultPath, notePath) });
         return null;
     }
 }
 
+/**
+ * FUNC - Creates a Markdown link target that opens a note, either in Obsidian or as the `.md` file in VS Code.
+ * Links to Obsidian go through the `obsidian-tooltips.openObsidianUri` command, so they require a trusted MarkdownString.
+ *
+ * @param {{fullPath: string, uri: string}} noteData The note entry from the notes cache.
+ * @param {"obsidian"|"vscode"} openIn Where the note should be opened.
+ * @returns {string} The link target to use in Markdown, e.g. `[Note](target)`.
+ */
+function createNoteLink(noteData, openIn) {
+    if (openIn === "vscode") {
+        return vscode.Uri.file(noteData.fullPath).toString();
+    }
+    return createOpenInObsidianLink(noteData.uri);
+}
+
+/**
+ * FUNC - Creates a link target that opens an Obsidian URI through the `obsidian-tooltips.openObsidianUri` command.
+ * @param {string} uri The Obsidian URI.
+ * @returns {string} The `command:` link target.
+ */
+function createOpenInObsidianLink(uri) {
+    return `command:obsidian-tooltips.openObsidianUri?${encodeURIComponent(JSON.stringify([uri]))}`;
+}
+
+/**
+ * FUNC - Parses an Obsidian URI that opens a note. Supported formats:
+ * - `obsidian://vault/VaultName/Path/To/Note` (the shorthand created by `createObsidianUri`)
+ * - `obsidian://open?vault=VaultName&file=Path/To/Note`
+ * - `obsidian://open?path=/full/path/to/Note.md`
+ *
+ * @param {string} uri The URI.
+ * @returns {{vaultName?: string, file?: string, path?: string}|null} The vault name and the path of the note in the vault
+ * (`file`, without or with the `.md` extension), or the full path of the note (`path`). `null` if the URI doesn't open a note.
+ */
+function parseObsidianUri(uri) {
+    const match = uri.match(/^obsidian:\/\/([^/?#]+)\/?([^?#]*)(?:\?([^#]*))?/i);
+    if (!match) return null;
+
+    try {
+        const action = match[1].toLowerCase();
+        if (action === "vault") {
+            const [vaultName, ...fileParts] = match[2].split("/").map(decodeURIComponent);
+            const file = fileParts.join("/");
+            return vaultName && file ? { vaultName, file } : null;
+        }
+        if (action === "open" && match[3]) {
+            // `URLSearchParams` decodes the values
+            const params = new URLSearchParams(match[3]);
+            if (params.get("path")) return { path: params.get("path") };
+            if (params.get("vault") && params.get("file")) return { vaultName: params.get("vault"), file: params.get("file") };
+        }
+    } catch (error) {
+        log(`Error parsing Obsidian URI ${uri}: ${error.message}`);
+    }
+    return null;
+}
+
 module.exports = {
-    createObsidianUri
+    createObsidianUri,
+    createNoteLink,
+    createOpenInObsidianLink,
+    parseObsidianUri
 };
\ No newline at end of file
@@ -0,0 +1,220 @@
+const vscode = require("vscode");
+const { getTokenContext, createTokenContextScanner } = require("./codeContext");
+const { resolveTokenInVaults } = require("./noteResolver");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of words of a phrase. Longer note names are rare and every extra word multiplies the lookups.
+ */
+const MAX_PHRASE_WORDS = 6;
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of lines above and below the position that are searched for the words of a phrase.
+ */
+const MAX_PHRASE_LINES = 3;
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description A word of prose: letters and digits, with an apostrophe inside (`don't`). Hyphens split words,
+ * which doesn't matter for matching because separators are removed by `canonicalNormalize`.
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * @typedef {object} PhraseWord
+ * @property {string} text - The word.
+ * @property {number} line - The line of the word.
+ * @property {number} start - The character where the word starts.
+ * @property {number} end - The character after the word.
+ */
+
+/**
+ * @typedef {object} PhraseMatch
+ * @property {string} phrase - The phrase that matched a note, words joined with single spaces.
+ * @property {vscode.Range} range - The range of the phrase in the document, it can span several lines.
+ * @property {{vaultState: import("../obsidian/vaultStateManager").VaultState, match: import("./noteResolver").ResolvedToken}[]} vaultMatches - The matches in every vault.
+ */
+
+/**
+ * FUNC - Finds the longest phrase around a position that is a note name or alias, e.g. "Event Sourcing" in a comment.
+ * Phrases are only searched in comments, strings and Markdown or plain text documents, where note names are written as prose.
+ * The words are taken from the current line and from the lines around it that belong to the same comment block
+ * (or the same paragraph in prose documents), so a phrase broken by a line break still matches.
+ * Only phrases of two words or more are returned, single words are matched as tokens.
+ *
+ * @param {vscode.TextDocument} document The document.
+ * @param {vscode.Position} position The position of the cursor.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {import("./matchRules").MatchRules} matchRules The matching rules of the document.
+ * @param {function(vscode.Range): import("./codeContext").TokenContext} [getContext] Gets the context of a word,
+ * `createTokenContextScanner` when the whole document is scanned.
+ * @returns {PhraseMatch|null} The longest matching phrase that covers the position, or `null`.
+ */
+function findPhraseAtPosition(document, position, vaultStates, matchRules, getContext = (range) => getTokenContext(document, range)) {
+    const lineWords = getLineWords(document, position.line);
+    const cursorWord = lineWords.find((word) => word.start <= position.character && position.character <= word.end);
+    if (!cursorWord) return null;
+
+    const cursorRange = getWordRange(cursorWord);
+    const context = getContext(cursorRange);
+    if ((context !== "comment" && context !== "string") || !matchRules.contexts.has(context)) {
+        return null;
+    }
+
+    // A comment at the end of a line of code: the code before it is not part of the phrase
+    const blockLineWords = lineWords.filter((word) => word === cursorWord || getContext(getWordRange(word)) === context);
+    const words = collectSurroundingWords(document, position.line, blockLineWords, context, getContext);
+    const cursorIndex = words.indexOf(cursorWord);
+
+    // Phrases are looked up as they are: they are not split into words again, only the word forms are tried
+    const phraseRules = { ...matchRules, deconstructOptions: { splitWords: "off", wordForms: matchRules.deconstructOptions.wordForms } };
+
+    // Longest phrase first; for the same length, the phrase that starts earlier
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length); length >= 2; length--) {
+        const firstStart = Math.max(0, cursorIndex - length + 1);
+        const lastStart = Math.min(cursorIndex, words.length - length);
+        for (let start = firstStart; start <= lastStart; start++) {
+            const phraseWords = words.slice(start, start + length);
+            const phrase = phraseWords.map((word) => word.text).join(" ");
+            const vaultMatches = resolveTokenInVaults(phrase, vaultStates, phraseRules);
+            if (vaultMatches.length > 0) {
+                const first = phraseWords[0];
+                const last = phraseWords[phraseWords.length - 1];
+                return { phrase, range: new vscode.Range(first.line, first.start, last.line, last.end), vaultMatches };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * FUNC - Finds all phrases of a document that are note names or aliases, like `findPhraseAtPosition` does for the hover.
+ * Phrases are only looked up where the first word of a name or alias of several words appears.
+ *
+ * @param {vscode.TextDocument} document The document.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {import("./matchRules").MatchRules} matchRules The matching rules of the document.
+ * @param {Set<string>} [firstWords] The lowercase first words of the phrases to look for. By default, those of every note key of the vaults.
+ * @returns {PhraseMatch[]} The phrases, in document order.
+ */
+function findPhrasesInDocument(document, vaultStates, matchRules, firstWords = getPhraseFirstWords(vaultStates)) {
+    const phraseMatches = [];
+    if (firstWords.size === 0) return phraseMatches;
+
+    const getContext = createTokenContextScanner(document);
+    const foundRanges = new Set();
+    for (let line = 0; line < document.lineCount; line++) {
+        for (const word of getLineWords(document, line)) {
+            if (!firstWords.has(word.text.toLowerCase())) continue;
+
+            const phraseMatch = findPhraseAtPosition(document, new vscode.Position(line, word.start), vaultStates, matchRules, getContext);
+            if (!phraseMatch) continue;
+
+            const { start, end } = phraseMatch.range;
+            const rangeKey = `${start.line}:${start.character}-${end.line}:${end.character}`;
+            if (!foundRanges.has(rangeKey)) {
+                foundRanges.add(rangeKey);
+                phraseMatches.push(phraseMatch);
+            }
+        }
+    }
+    return phraseMatches;
+}
+
+/**
+ * FUNC - Gets the lowercase first words of the note keys (names and aliases) that have several words.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>|Iterable<string>} source The states of the connected vaults, or the keys.
+ * @returns {Set<string>} The first words.
+ */
+function getPhraseFirstWords(source) {
+    const keys = source instanceof Map
+        ? Array.from(source.values()).flatMap((vaultState) =>
+            Array.from(vaultState.lookupCache.values()).flatMap((shelf) => Array.from(shelf.keys()))
+        )
+        : source;
+
+    const firstWords = new Set();
+    for (const key of keys) {
+        const words = key.match(WORD_PATTERN) || [];
+        if (words.length >= 2) firstWords.add(words[0].toLowerCase());
+    }
+    return firstWords;
+}
+
+/**
+ * FUNC - Collects the words of the current line and of the lines around it that belong to the same block.
+ * @param {vscode.TextDocument} document The document.
+ * @param {number} lineNumber The line of the cursor.
+ * @param {PhraseWord[]} lineWords The words of the line of the cursor.
+ * @param {"comment"|"string"} context The context of the word under the cursor.
+ * @param {function(vscode.Range): import("./codeContext").TokenContext} getContext Gets the context of a word.
+ * @returns {PhraseWord[]} The words, in document order. The words of the current line are the same objects as in `lineWords`.
+ */
+function collectSurroundingWords(document, lineNumber, lineWords, context, getContext) {
+    const wordsBefore = [];
+    for (let line = lineNumber - 1; line >= Math.max(0, lineNumber - MAX_PHRASE_LINES); line--) {
+        const words = getBlockLineWords(document, line, context, getContext);
+        if (!words) break;
+        wordsBefore.unshift(...words);
+    }
+
+    const wordsAfter = [];
+    for (let line = lineNumber + 1; line <= Math.min(document.lineCount - 1, lineNumber + MAX_PHRASE_LINES); line++) {
+        const words = getBlockLineWords(document, line, context, getContext);
+        if (!words) break;
+        wordsAfter.push(...words);
+    }
+
+    return [...wordsBefore, ...lineWords, ...wordsAfter];
+}
+
+/**
+ * FUNC - Gets the words of a line if it continues the block of the cursor: the same comment, or the same paragraph in prose documents.
+ * A line without words (an empty line, or an empty comment line like `//` or ` *`) ends the block.
+ * @param {vscode.TextDocument} document The document.
+ * @param {number} line The line.
+ * @param {"comment"|"string"} context The context of the word under the cursor.
+ * @param {function(vscode.Range): import("./codeContext").TokenContext} getContext Gets the context of a word.
+ * @returns {PhraseWord[]|null} The words of the line, or `null` if the line is not part of the block.
+ */
+function getBlockLineWords(document, line, context, getContext) {
+    const words = getLineWords(document, line);
+    if (words.length === 0) return null;
+
+    return getContext(getWordRange(words[0])) === context ? words : null;
+}
+
+/**
+ * FUNC - Gets the words of a line with their positions.
+ * @param {vscode.TextDocument} document The document.
+ * @param {number} line The line.
+ * @returns {PhraseWord[]} The words of the line.
+ */
+function getLineWords(document, line) {
+    const text = document.lineAt(line).text;
+    return Array.from(text.matchAll(WORD_PATTERN), (match) => ({
+        text: match[0],
+        line,
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * FUNC - Gets the range of a word.
+ * @param {PhraseWord} word The word.
+ * @returns {vscode.Range} The range of the word.
+ */
+function getWordRange(word) {
+    return new vscode.Range(word.line, word.start, word.line, word.end);
+}
+
+module.exports = {
+    findPhraseAtPosition,
+    findPhrasesInDocument,
+    getPhraseFirstWords
+};
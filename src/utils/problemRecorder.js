@@ -0,0 +1,118 @@
+/**
+ * @module problemRecorder
+ * @description Keeps the problems met while loading vaults (cache files, vault scans, frontmatter, URIs, `obsidian.json`)
+ * and the statistics of the last scans, for the "Diagnose" report. Problems are only kept in memory for the session:
+ * they are also written to the log as before, this module only makes them available in a structured form.
+ */
+
+/**
+ * @typedef {"cache"|"scan"|"frontmatter"|"uri"|"obsidianConfig"} ProblemSource
+ */
+
+/**
+ * @typedef {object} Problem
+ * @property {ProblemSource} source - Where the problem happened.
+ * @property {string} message - The error message.
+ * @property {string} [vaultPath] - The vault the problem belongs to, if known.
+ * @property {string} [filePath] - The file the problem belongs to, if any.
+ * @property {number} time - Timestamp of the last occurrence.
+ */
+
+/**
+ * @typedef {object} ScanStats
+ * @property {number} durationMs - Duration of the scan in milliseconds.
+ * @property {number} noteCount - Number of notes found.
+ * @property {number} finishedAt - Timestamp of the end of the scan.
+ */
+
+/**
+ * @type {Map<string, Problem>}
+ * @description Recorded problems, keyed by their source and file (or vault), so a problem that happens again replaces the old record.
+ */
+const problems = new Map();
+
+/**
+ * @type {Map<string, ScanStats>}
+ * @description Statistics of the last full scan of every vault, keyed by vault path.
+ */
+const scanStats = new Map();
+
+/**
+ * FUNC - Records a problem. A problem with the same source and file (or vault) replaces the previous one.
+ * @param {ProblemSource} source Where the problem happened.
+ * @param {string} message The error message.
+ * @param {{vaultPath?: string, filePath?: string}} [location] The vault and file the problem belongs to.
+ */
+function recordProblem(source, message, location = {}) {
+    problems.set(getProblemKey(source, location), { source, message, ...location, time: Date.now() });
+}
+
+/**
+ * FUNC - Forgets a problem once the cause is gone, e.g. the frontmatter of a note was fixed.
+ * @param {ProblemSource} source Where the problem happened.
+ * @param {{vaultPath?: string, filePath?: string}} [location] The vault and file the problem belongs to.
+ */
+function clearProblem(source, location = {}) {
+    problems.delete(getProblemKey(source, location));
+}
+
+/**
+ * FUNC - Gets the recorded problems of a vault. Problems of files are matched by the path of the file.
+ * @param {string} [vaultPath] The vault. Without it, the problems that belong to no vault are returned (e.g. `obsidian.json`).
+ * @returns {Problem[]} The problems, oldest first.
+ */
+function getProblems(vaultPath) {
+    return Array.from(problems.values())
+        .filter((problem) => {
+            if (!vaultPath) return !problem.vaultPath && !problem.filePath;
+            return problem.vaultPath === vaultPath || (problem.filePath && isInsideVault(problem.filePath, vaultPath));
+        })
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * FUNC - Records the statistics of a full scan of a vault.
+ * @param {string} vaultPath The vault.
+ * @param {ScanStats} stats The statistics.
+ */
+function recordScan(vaultPath, stats) {
+    scanStats.set(vaultPath, stats);
+}
+
+/**
+ * FUNC - Gets the statistics of the last full scan of a vault in this session.
+ * @param {string} vaultPath The vault.
+ * @returns {ScanStats|undefined} The statistics, or `undefined` if the vault was not scanned (e.g. it was loaded from the cache).
+ */
+function getScanStats(vaultPath) {
+    return scanStats.get(vaultPath);
+}
+
+/**
+ * FUNC - Builds the key of a problem.
+ * @param {ProblemSource} source Where the problem happened.
+ * @param {{vaultPath?: string, filePath?: string}} location The vault and file the problem belongs to.
+ * @returns {string} The key.
+ */
+function getProblemKey(source, location) {
+    return `${source}|${location.filePath || location.vaultPath || ""}`;
+}
+
+/**
+ * FUNC - Checks if a file is inside a vault folder.
+ * @param {string} filePath The full path to the file.
+ * @param {string} vaultPath The full path to the vault.
+ * @returns {boolean}
+ */
+function isInsideVault(filePath, vaultPath) {
+    const folder = vaultPath.replace(/[\\/]+$/, "");
+    return filePath.startsWith(`${folder}/`) || filePath.startsWith(`${folder}\\`);
+}
+
+module.exports = {
+    recordProblem,
+    clearProblem,
+    getProblems,
+    recordScan,
+    getScanStats
+};
@@ -1,24 +1,57 @@
+/**
+ * @typedef {object} DeconstructOptions
+ * @property {"off"|"phrases"|"words"} [splitWords="off"] - Whether identifiers are split into words (camelCase, PascalCase, snake_case, kebab-case)
+ * to try their contiguous sub-phrases: `phrases` tries the sub-phrases of two words or more, `words` also tries single words.
+ * @property {boolean} [wordForms=false] - Whether the singular or plural form of the last word of every candidate is tried too.
+ */
+
+/**
+ * @constant
+ * @type {Set<string>}
+ * @description Words whose singular and plural are the same, or that look plural but are not (`news` is not the plural of `new`).
+ */
+const INVARIANT_WORDS = new Set([
+    "aircraft", "analytics", "data", "economics", "equipment", "feedback", "fish", "hardware", "information",
+    "mathematics", "means", "metadata", "news", "physics", "series", "sheep", "software", "species",
+]);
+
+/**
+ * @constant
+ * @type {Set<string>}
+ * @description Singular words ending in `-as`, most words with this ending are plurals (`ideas`, `areas`).
+ */
+const SINGULAR_AS_WORDS = new Set(["alias", "atlas", "bias", "canvas", "gas"]);
+
 /**
  * Deconstructs a complex token from any language into a prioritized list of candidates.
- * Handles '.', ':', and '::' as separators to support JavaScript, CSS, and other languages.
+ * Handles '.', ':', '::' and '->' as separators to support JavaScript, CSS, C++, PHP and other languages.
+ * With `splitWords`, every part between the separators is also split into words, and its contiguous sub-phrases
+ * are added after the separator candidates: more words first, and the ones closer to the end of the identifier first
+ * (`HttpRequestHandler` is more about a "Request Handler" than about an "Http Request").
  *
  * @param {string} token - The token extracted from the code (e.g., "document.querySelector", "btn:hover").
- * @returns {string[]} An array of unique candidate strings, sorted from most specific (longest) to least specific (shortest).
+ * @param {DeconstructOptions} [options] - How far the token is deconstructed. By default only the separators are used.
+ * @returns {string[]} An array of unique candidate strings, sorted from most specific to least specific.
  * @example
  * deconstructToken("a.b.c"); // returns ['a.b.c', 'b.c', 'c']
  * deconstructToken("btn:hover"); // returns ['btn:hover', 'hover']
  * deconstructToken("p::before"); // returns ['p::before', 'before']
+ * deconstructToken("$user->name"); // returns ['$user->name', 'name']
+ * deconstructToken("HttpRequestHandler", { splitWords: "phrases" }); // returns ['HttpRequestHandler', 'Http Request Handler', 'Request Handler', 'Http Request']
+ * deconstructToken("user_profiles", { splitWords: "phrases", wordForms: true }); // returns ['user_profiles', 'user_profile', 'user profiles', 'user profile']
  */
-function deconstructToken(token) {
+function deconstructToken(token, options = {}) {
     if (!token) {
         return [];
     }
 
+    const { splitWords = "off", wordForms = false } = options;
+
     // Use a Set to handle uniqueness of candidates. The original token is always the first and most important candidate.
     const candidates = new Set([token]);
 
     // This regex finds any of our supported separators.
-    const separators = new RegExp('\\.|::|:', 'g');
+    const separators = new RegExp('\\.|::|:|->', 'g');
     let match;
 
     // Find each separator in the string.
@@ -27,10 +60,83 @@ function deconstructToken(token) {
         candidates.add(token.substring(match.index + match[0].length));
     }
 
-    // Convert the Set to an array and sort it by length in descending order. This ensures the most specific candidates are always checked first.
-    return [...candidates].sort((a, b) => b.length - a.length);
+    // Sort by length in descending order. This ensures the most specific candidates are always checked first.
+    let sortedCandidates = [...candidates].sort((a, b) => b.length - a.length);
+
+    if (splitWords !== "off") {
+        const minWords = splitWords === "words" ? 1 : 2;
+        // The last part (e.g. the method name in `obj.method`) is the most relevant one
+        const parts = token.split(/\.|::|:|->/).reverse();
+        sortedCandidates = sortedCandidates.concat(parts.flatMap((part) => getSubPhrases(splitIntoWords(part), minWords)));
+    }
+
+    if (wordForms) {
+        sortedCandidates = sortedCandidates.flatMap((candidate) => [candidate, ...getWordForms(candidate)]);
+    }
+
+    return [...new Set(sortedCandidates)];
+}
+
+/**
+ * FUNC - Splits an identifier into words at case changes, digits and non-alphanumeric characters.
+ * @param {string} identifier - The identifier (e.g., "getHTTPResponse", "user_profile_service", "main-menu").
+ * @returns {string[]} The words, with their original case (e.g., ['get', 'HTTP', 'Response']).
+ * @example
+ * splitIntoWords("XMLHttpRequest2"); // returns ['XML', 'Http', 'Request', '2']
+ */
+function splitIntoWords(identifier) {
+    return identifier.match(/\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{Lo}+|\p{N}+/gu) || [];
+}
+
+/**
+ * FUNC - Lists the contiguous sub-phrases of a list of words, joined with spaces.
+ * @param {string[]} words - The words of an identifier.
+ * @param {number} minWords - The minimum number of words of a sub-phrase.
+ * @returns {string[]} The sub-phrases, more words first, then the ones closer to the end first.
+ */
+function getSubPhrases(words, minWords) {
+    const phrases = [];
+    for (let length = words.length; length >= minWords; length--) {
+        for (let start = words.length - length; start >= 0; start--) {
+            phrases.push(words.slice(start, start + length).join(" "));
+        }
+    }
+    return phrases;
+}
+
+/**
+ * FUNC - Gets the singular or plural form of the last word of a candidate, with simple English rules.
+ * Words ending in `-ss`, `-us` and `-is` (`class`, `status`, `analysis`) are singular. A plural in `-ses` can come from
+ * a singular in `-se` or in `-s` (`cases`, `aliases`), so both forms are returned.
+ * @param {string} candidate - The candidate (e.g., "user profiles", "Category").
+ * @returns {string[]} The other forms (e.g., ['user profile'], ['Categories']), empty if the last word is too short, an acronym or has no other form.
+ */
+function getWordForms(candidate) {
+    const wordMatch = candidate.match(/(\p{L}+)$/u);
+    // Acronyms (`HTTP`, `URLS`) have no forms that could be guessed
+    if (!wordMatch || wordMatch[1].length < 3 || wordMatch[1] === wordMatch[1].toUpperCase()) return [];
+
+    const stem = candidate.slice(0, wordMatch.index);
+    const word = wordMatch[1];
+    const lowerWord = word.toLowerCase();
+    if (INVARIANT_WORDS.has(lowerWord)) return [];
+
+    // Singular forms of plural-looking words
+    if (!SINGULAR_AS_WORDS.has(lowerWord)) {
+        if (/yses$/i.test(word)) return [`${stem}${word.slice(0, -2)}is`];
+        if (/[^aeiou]ies$/i.test(word)) return [`${stem}${word.slice(0, -3)}y`];
+        if (/(ss|x|z|ch|sh)es$/i.test(word)) return [stem + word.slice(0, -2)];
+        if (/ses$/i.test(word)) return [stem + word.slice(0, -1), stem + word.slice(0, -2)];
+        if (/[^siu]s$/i.test(word)) return [stem + word.slice(0, -1)];
+    }
+
+    // Plural forms
+    if (/is$/i.test(word)) return [`${stem}${word.slice(0, -2)}es`];
+    if (/[^aeiou]y$/i.test(word)) return [`${stem}${word.slice(0, -1)}ies`];
+    if (/(s|x|z|ch|sh)$/i.test(word)) return [`${stem}${word}es`];
+    return [`${stem}${word}s`];
 }
 
 module.exports = {
     deconstructToken
-};
\ No newline at end of file
+};
@@ -0,0 +1,159 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @constant
+ * @type {number}
+ * @description Maximum number of workspace files searched by the workspace-wide features (usages of notes, annotations).
+ */
+const MAX_WORKSPACE_FILES = 5000;
+
+/**
+ * @constant
+ * @type {number}
+ * @description Files larger than this (in bytes) are skipped, they are usually generated or minified.
+ */
+const MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Folders whose files are never searched, even when `files.exclude` doesn't exclude them.
+ */
+const SKIPPED_FOLDERS = /[\\/](?:node_modules|\.git|\.obsidian)[\\/]/;
+
+/**
+ * @constant
+ * @type {Object<string, string>}
+ * @description VS Code language identifiers of common file extensions, for the files that are read without being opened.
+ * Other files get their extension as the identifier, so they use the C-like comment syntax and the default token pattern.
+ */
+const LANGUAGE_IDS = {
+    ".js": "javascript", ".mjs": "javascript", ".cjs": "javascript", ".jsx": "javascriptreact",
+    ".ts": "typescript", ".mts": "typescript", ".cts": "typescript", ".tsx": "typescriptreact",
+    ".py": "python", ".java": "java", ".kt": "kotlin", ".kts": "kotlin", ".swift": "swift", ".cs": "csharp", ".go": "go", ".rs": "rust",
+    ".c": "c", ".h": "c", ".cpp": "cpp", ".cc": "cpp", ".cxx": "cpp", ".hpp": "cpp", ".hh": "cpp", ".hxx": "cpp",
+    ".php": "php", ".rb": "ruby", ".pl": "perl", ".r": "r", ".lua": "lua", ".hs": "haskell", ".clj": "clojure", ".lisp": "lisp",
+    ".sh": "shellscript", ".bash": "shellscript", ".zsh": "shellscript", ".ps1": "powershell", ".sql": "sql", ".vb": "vb",
+    ".css": "css", ".scss": "scss", ".less": "less", ".html": "html", ".htm": "html", ".xml": "xml",
+    ".json": "json", ".yml": "yaml", ".yaml": "yaml", ".toml": "toml", ".ini": "ini", ".tex": "latex",
+    ".md": "markdown", ".markdown": "markdown", ".txt": "plaintext",
+};
+
+/**
+ * @constant
+ * @type {Object<string, string>}
+ * @description VS Code language identifiers of files that are known by their name.
+ */
+const LANGUAGE_IDS_BY_FILE_NAME = {
+    dockerfile: "dockerfile",
+    makefile: "makefile",
+};
+
+/**
+ * @typedef {object} WorkspaceDocument
+ * The part of `vscode.TextDocument` that the scanners of documents use (`findKeywordMatches`, `findPhrasesInDocument`, `findAnnotations`...).
+ * @property {vscode.Uri} uri - The file.
+ * @property {string} fileName - The full path to the file.
+ * @property {string} languageId - The language identifier, guessed from the file name.
+ * @property {number} lineCount - The number of lines.
+ * @property {function(number): {text: string}} lineAt - Gets a line.
+ * @property {function(vscode.Range=): string} getText - Gets the text of the document or of a range.
+ */
+
+/**
+ * FUNC - Lists the files of the workspace that can be searched for keywords: the `files.exclude` setting applies,
+ * and the files of the connected vaults and of `node_modules`, `.git` and `.obsidian` folders are skipped.
+ *
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @param {vscode.CancellationToken} [token] Cancels the search.
+ * @returns {Promise<vscode.Uri[]>} The files, at most `MAX_WORKSPACE_FILES`.
+ */
+async function findWorkspaceFiles(vaultStates, token) {
+    // `undefined` keeps the `files.exclude` setting
+    const uris = await vscode.workspace.findFiles("**/*", undefined, MAX_WORKSPACE_FILES, token);
+    return uris.filter((uri) => isSearchableFile(uri.fsPath, vaultStates));
+}
+
+/**
+ * FUNC - Checks if a file can be searched by the workspace-wide features, see `findWorkspaceFiles`.
+ * @param {string} fsPath The full path to the file.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {boolean}
+ */
+function isSearchableFile(fsPath, vaultStates) {
+    const resolvedPath = path.resolve(fsPath);
+    if (SKIPPED_FOLDERS.test(resolvedPath)) return false;
+    return !Array.from(vaultStates.keys()).some((vaultPath) => resolvedPath.startsWith(path.resolve(vaultPath) + path.sep));
+}
+
+/**
+ * FUNC - Reads a text file of the workspace.
+ * @param {string} fsPath The full path to the file.
+ * @returns {Promise<string|null>} The content, or `null` if the file is too large or binary.
+ * @throws {Error} If the file can't be read.
+ */
+async function readWorkspaceTextFile(fsPath) {
+    const stats = await fs.promises.stat(fsPath);
+    if (stats.size > MAX_FILE_SIZE) return null;
+
+    const text = await fs.promises.readFile(fsPath, "utf-8");
+    return text.includes("\0") ? null : text;
+}
+
+/**
+ * FUNC - Reads a file of the workspace as a document, without opening it in VS Code.
+ * `vscode.workspace.openTextDocument` notifies every extension (`onDidOpenTextDocument`) and can start language servers,
+ * so the files searched by the workspace-wide features are read from disk. A document that is open is returned as it is,
+ * with its unsaved changes.
+ *
+ * @param {vscode.Uri} uri The file.
+ * @returns {Promise<vscode.TextDocument|WorkspaceDocument|null>} The document, or `null` if the file is too large or binary.
+ * @throws {Error} If the file can't be read.
+ */
+async function readWorkspaceDocument(uri) {
+    const openDocument = vscode.workspace.textDocuments.find((document) => document.uri.toString() === uri.toString());
+    if (openDocument) return openDocument;
+
+    const text = await readWorkspaceTextFile(uri.fsPath);
+    return text === null ? null : createWorkspaceDocument(uri, text);
+}
+
+/**
+ * FUNC - Creates a document from the text of a file that was read from disk.
+ * @param {vscode.Uri} uri The file.
+ * @param {string} text The content of the file.
+ * @returns {WorkspaceDocument} The document.
+ */
+function createWorkspaceDocument(uri, text) {
+    const lines = text.split(/\r?\n/);
+    const fileName = path.basename(uri.fsPath).toLowerCase();
+    const languageId = LANGUAGE_IDS_BY_FILE_NAME[fileName]
+        || LANGUAGE_IDS[path.extname(fileName)]
+        || path.extname(fileName).slice(1)
+        || "plaintext";
+
+    return {
+        uri,
+        fileName: uri.fsPath,
+        languageId,
+        lineCount: lines.length,
+        lineAt: (line) => ({ text: lines[line] }),
+        getText: (range) => {
+            if (!range) return text;
+            const rangeLines = lines.slice(range.start.line, range.end.line + 1);
+            const lastIndex = rangeLines.length - 1;
+            rangeLines[lastIndex] = rangeLines[lastIndex].slice(0, range.end.character);
+            rangeLines[0] = rangeLines[0].slice(range.start.character);
+            return rangeLines.join("\n");
+        },
+    };
+}
+
+module.exports = {
+    findWorkspaceFiles,
+    isSearchableFile,
+    readWorkspaceTextFile,
+    readWorkspaceDocument
+};
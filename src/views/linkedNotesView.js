@@ -0,0 +1,290 @@
+const vscode = require("vscode");
+const path = require("path");
+const { log } = require("../utils/logging");
+const { findKeywordMatches } = require("../decorations/keywordDecorator");
+const { findPhrasesInDocument } = require("../utils/phraseMatcher");
+const { getMatchRules } = require("../utils/matchRules");
+const { applyPreferredNoteToMatches } = require("../obsidian/notePreferences");
+const { getVaultName } = require("../obsidian/vaultRegistry");
+
+/**
+ * @constant
+ * @type {string}
+ * @description Identifier of the view, as contributed in `package.json`.
+ */
+const VIEW_ID = "obsidian-tooltips.linkedNotes";
+
+/**
+ * @constant
+ * @type {number}
+ * @description Delay (in milliseconds) before the view is rebuilt after an edit. The whole document is scanned, so it waits longer than the decorations.
+ */
+const REFRESH_DEBOUNCE_MS = 500;
+
+/**
+ * @typedef {object} LineItem
+ * @property {"line"} type
+ * @property {vscode.Uri} documentUri - The document the line belongs to.
+ * @property {number} lineNumber - The line (zero-based).
+ * @property {string} text - The trimmed text of the line.
+ * @property {vscode.Range[]} ranges - The occurrences of the note keywords on the line.
+ */
+
+/**
+ * @typedef {object} NoteItem
+ * @property {"note"} type
+ * @property {import("../obsidian/vaultStateManager").VaultState} vaultState - The vault of the note.
+ * @property {string} notePath - The path to the note, relative to the vault.
+ * @property {string} fullPath - The full path to the note.
+ * @property {Set<string>} keywords - The keywords of the document that resolved to the note.
+ * @property {number} occurrenceCount - The number of occurrences in the document.
+ * @property {Map<number, LineItem>} lines - The lines with occurrences, keyed by line number.
+ */
+
+/**
+ * @type {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>}
+ * @description Function that returns the states of the connected vaults.
+ */
+let getVaultStates = () => new Map();
+
+/** @type {vscode.ExtensionContext|undefined} */
+let extensionContext;
+
+/** @type {vscode.TreeView<NoteItem|LineItem>|undefined} */
+let treeView;
+
+/** @type {vscode.EventEmitter<void>|undefined} */
+let changeEmitter;
+
+/**
+ * @type {NoteItem[]}
+ * @description The notes linked from the active editor, as currently shown in the view.
+ */
+let noteItems = [];
+
+/** @type {NodeJS.Timeout|undefined} */
+let refreshTimer;
+
+/**
+ * FUNC - Registers the "Obsidian Notes" view in the Explorer.
+ * The view lists the notes whose keywords appear in the active editor, grouped by note, with the number of occurrences
+ * and the lines they are on. Keywords are found like the underline decorations do, with the matching rules of the document,
+ * and a keyword that points to several notes is listed under the preferred note (or the first one).
+ * Clicking a note opens it, clicking a line reveals it in the editor.
+ *
+ * @param {vscode.ExtensionContext} context The VS Code extension context.
+ * @param {function(): Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStatesGetter Function that returns the states of the connected vaults.
+ * @returns {vscode.Disposable} A disposable that removes the view and the listeners.
+ */
+function registerLinkedNotesView(context, vaultStatesGetter) {
+    extensionContext = context;
+    getVaultStates = vaultStatesGetter;
+    changeEmitter = new vscode.EventEmitter();
+
+    treeView = vscode.window.createTreeView(VIEW_ID, {
+        treeDataProvider: {
+            onDidChangeTreeData: changeEmitter.event,
+            getTreeItem,
+            getChildren: (element) => {
+                if (!element) return noteItems;
+                return element.type === "note" ? Array.from(element.lines.values()) : [];
+            },
+        },
+        showCollapseAll: true,
+    });
+
+    const listeners = [
+        vscode.window.onDidChangeActiveTextEditor(() => refreshLinkedNotesView()),
+        vscode.workspace.onDidChangeTextDocument((event) => {
+            if (event.document === vscode.window.activeTextEditor?.document) {
+                scheduleRefresh();
+            }
+        }),
+        // The view is not rebuilt while it's hidden, so it's rebuilt when it's shown again
+        treeView.onDidChangeVisibility((event) => {
+            if (event.visible) refreshLinkedNotesView();
+        }),
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            if (event.affectsConfiguration("obsidian-tooltips")) {
+                scheduleRefresh();
+            }
+        }),
+    ];
+
+    refreshLinkedNotesView();
+
+    return new vscode.Disposable(() => {
+        clearTimeout(refreshTimer);
+        listeners.forEach((listener) => listener.dispose());
+        treeView.dispose();
+        changeEmitter.dispose();
+        treeView = undefined;
+        changeEmitter = undefined;
+        noteItems = [];
+    });
+}
+
+/**
+ * FUNC - Rebuilds the view from the active editor. Called after the caches are rebuilt or patched.
+ * @returns {void}
+ */
+function refreshLinkedNotesView() {
+    clearTimeout(refreshTimer);
+    if (!treeView || !treeView.visible) return;
+
+    const editor = vscode.window.activeTextEditor;
+    const vaultStates = getVaultStates();
+
+    if (vaultStates.size === 0) {
+        setNoteItems([], "Connect an Obsidian vault to see the notes linked from the current file.");
+        return;
+    }
+    // Same documents as the hover provider (`{ scheme: "file" }`)
+    if (!editor || editor.document.uri.scheme !== "file") {
+        setNoteItems([], "Open a file to see the notes it links to.");
+        return;
+    }
+
+    try {
+        const items = collectNoteItems(editor.document, vaultStates);
+        setNoteItems(items, items.length === 0 ? "No note keywords found in this file." : undefined);
+        treeView.description = path.basename(editor.document.fileName);
+    } catch (error) {
+        log(`[Linked Notes] Failed to scan ${editor.document.fileName}: ${error.message}`);
+        setNoteItems([], "The file could not be scanned, see the log for details.");
+    }
+}
+
+/**
+ * FUNC - Schedules a rebuild of the view.
+ */
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => refreshLinkedNotesView(), REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * FUNC - Replaces the items of the view.
+ * @param {NoteItem[]} items The notes to show.
+ * @param {string} [message] The message shown above the items, e.g. why the view is empty.
+ */
+function setNoteItems(items, message) {
+    noteItems = items;
+    treeView.message = message;
+    treeView.description = undefined;
+    changeEmitter.fire();
+}
+
+/**
+ * FUNC - Scans a document and groups the keywords it contains by the note they resolve to.
+ * Keywords are resolved like in the hover: a phrase of several words that is a note name ("Event Sourcing") wins over the tokens inside it.
+ * @param {vscode.TextDocument} document The document.
+ * @param {Map<string, import("../obsidian/vaultStateManager").VaultState>} vaultStates The states of the connected vaults.
+ * @returns {NoteItem[]} The notes, the most used first.
+ */
+function collectNoteItems(document, vaultStates) {
+    const fullRange = new vscode.Range(0, 0, Math.max(0, document.lineCount - 1), 0);
+    /** @type {Map<string, NoteItem>} */
+    const itemsByNote = new Map();
+
+    const phraseMatches = findPhrasesInDocument(document, vaultStates, getMatchRules(document));
+    const keywordMatches = [
+        ...phraseMatches.map(({ phrase, range, vaultMatches }) => ({ range, token: phrase, vaultMatches })),
+        ...findKeywordMatches(document, [fullRange], vaultStates).filter((keywordMatch) =>
+            !phraseMatches.some((phraseMatch) => phraseMatch.range.contains(keywordMatch.range))
+        ),
+    ].sort((a, b) => a.range.start.line - b.range.start.line || a.range.start.character - b.range.start.character);
+
+    for (const { range, token, vaultMatches } of keywordMatches) {
+        const { foundNotes } = applyPreferredNoteToMatches(extensionContext, vaultMatches);
+        const { vaultState, info } = foundNotes[0];
+        const noteData = vaultState.notesCache.get(info.path);
+        if (!noteData) continue;
+
+        const noteKey = `${vaultState.vaultPath}|${info.path}`;
+        if (!itemsByNote.has(noteKey)) {
+            itemsByNote.set(noteKey, {
+                type: "note",
+                vaultState,
+                notePath: info.path,
+                fullPath: noteData.fullPath,
+                keywords: new Set(),
+                occurrenceCount: 0,
+                lines: new Map(),
+            });
+        }
+
+        const noteItem = itemsByNote.get(noteKey);
+        noteItem.keywords.add(token);
+        noteItem.occurrenceCount++;
+
+        const lineNumber = range.start.line;
+        if (!noteItem.lines.has(lineNumber)) {
+            noteItem.lines.set(lineNumber, {
+                type: "line",
+                documentUri: document.uri,
+                lineNumber,
+                text: document.lineAt(lineNumber).text.trim(),
+                ranges: [],
+            });
+        }
+        noteItem.lines.get(lineNumber).ranges.push(range);
+    }
+
+    return Array.from(itemsByNote.values()).sort((a, b) =>
+        b.occurrenceCount - a.occurrenceCount || getNoteName(a).localeCompare(getNoteName(b))
+    );
+}
+
+/**
+ * FUNC - Creates the tree item of a note or a line.
+ * @param {NoteItem|LineItem} element The element of the view.
+ * @returns {vscode.TreeItem} The tree item.
+ */
+function getTreeItem(element) {
+    if (element.type === "line") {
+        const count = element.ranges.length;
+        const item = new vscode.TreeItem(`Line ${element.lineNumber + 1}${count > 1 ? ` (${count})` : ""}`);
+        item.description = element.text;
+        item.tooltip = element.text;
+        item.iconPath = new vscode.ThemeIcon("symbol-text");
+        item.command = {
+            command: "vscode.open",
+            title: "Reveal Line",
+            arguments: [element.documentUri, { selection: element.ranges[0] }],
+        };
+        return item;
+    }
+
+    const item = new vscode.TreeItem(getNoteName(element), vscode.TreeItemCollapsibleState.Collapsed);
+    const occurrences = `${element.occurrenceCount} ${element.occurrenceCount === 1 ? "occurrence" : "occurrences"}`;
+    // The vault is only worth showing when notes can come from several vaults
+    item.description = getVaultStates().size > 1
+        ? `${occurrences} · ${getVaultName(element.vaultState.vaultPath)}`
+        : occurrences;
+    item.tooltip = new vscode.MarkdownString(
+        `**${element.notePath}**\n\nKeywords: ${Array.from(element.keywords).map((keyword) => `\`${keyword}\``).join(", ")}`
+    );
+    item.iconPath = new vscode.ThemeIcon("note");
+    item.resourceUri = vscode.Uri.file(element.fullPath);
+    item.command = {
+        command: "vscode.open",
+        title: "Open Note",
+        arguments: [vscode.Uri.file(element.fullPath)],
+    };
+    return item;
+}
+
+/**
+ * FUNC - Gets the name of a note, as shown in the view.
+ * @param {NoteItem} noteItem The note.
+ * @returns {string} The file name of the note without the extension.
+ */
+function getNoteName(noteItem) {
+    return path.basename(noteItem.notePath, ".md");
+}
+
+module.exports = {
+    registerLinkedNotesView,
+    refreshLinkedNotesView
+};
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { findAnnotations, resolveAnnotation } = require('../src/annotations/annotationParser');
+const { buildLookupCache } = require('../src/obsidian/vaultStateManager');
+
+/**
+ * Creates a document with the parts of `vscode.TextDocument` the parser reads.
+ * @param {string} languageId The language of the document.
+ * @param {string} text The content.
+ * @returns {object} The document.
+ */
+function createDocument(languageId, text) {
+	const lines = text.split('\n');
+	return {
+		uri: vscode.Uri.file(`/workspace/file.${languageId}`),
+		languageId,
+		lineCount: lines.length,
+		lineAt: (line) => ({ text: lines[line] }),
+	};
+}
+
+/**
+ * Gets the targets of the references of a document.
+ * @param {string} languageId The language of the document.
+ * @param {string} text The content.
+ * @returns {string[]} The targets.
+ */
+function getTargets(languageId, text) {
+	return findAnnotations(createDocument(languageId, text)).map((annotation) => annotation.target);
+}
+
+suite('annotationParser', () => {
+	const notesCache = new Map([
+		['Payment Retries.md', { relativePath: 'Payment Retries.md', fullPath: '/vault/Payment Retries.md', aliases: [], properties: {} }],
+	]);
+	const vaultStates = new Map([
+		['/vault', { vaultPath: '/vault', notesCache, lookupCache: buildLookupCache(notesCache).lookupCache }],
+	]);
+
+	suite('findAnnotations', () => {
+		test('finds a bare wikilink in a comment and resolves it', () => {
+			const annotations = findAnnotations(createDocument('javascript', 'retry(); // [[Payment Retries]]'));
+			assert.strictEqual(annotations.length, 1);
+			assert.strictEqual(annotations[0].isExplicit, false);
+			assert.strictEqual(resolveAnnotation(annotations[0], vaultStates).noteData.relativePath, 'Payment Retries.md');
+		});
+
+		test('finds annotations with a marker', () => {
+			assert.deepStrictEqual(getTargets('python', '# see: [[Payment Retries]]'), ['Payment Retries']);
+			assert.deepStrictEqual(getTargets('lua', '-- @obsidian [[Payment Retries]]'), ['Payment Retries']);
+		});
+
+		test('skips wikilinks in code', () => {
+			assert.deepStrictEqual(getTargets('javascript', 'const links = "[[Payment Retries]]";'), []);
+		});
+
+		test('skips Lua block comments', () => {
+			assert.deepStrictEqual(getTargets('lua', '--[[ deprecated ]]\n-- [[Payment Retries]]'), ['Payment Retries']);
+		});
+
+		test('skips shell tests in comments', () => {
+			assert.deepStrictEqual(getTargets('shellscript', '# if [[ -f "$file" ]]; then\n# [[Payment Retries]]'), ['Payment Retries']);
+		});
+
+		test('skips C++ attributes in comments', () => {
+			assert.deepStrictEqual(
+				getTargets('cpp', '// [[nodiscard]] int f();\n// [[deprecated("Use g")]]\n// [[gnu::always_inline]]\n// [[Payment Retries]]'),
+				['Payment Retries']
+			);
+		});
+
+		test('finds wikilinks outside of code in Markdown', () => {
+			assert.deepStrictEqual(getTargets('markdown', '[[Payment Retries]] and `[[Code]]`\n```\n[[Block]]\n```'), ['Payment Retries']);
+		});
+	});
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { addAliasToFrontmatter } = require('../src/utils/frontmatterEditor');
+
+suite('frontmatterEditor', () => {
+	suite('addAliasToFrontmatter', () => {
+		test('adds an item after the last item of a block list', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases:\n  - One\ntitle: T\n---\nBody', 'Two'),
+				'---\naliases:\n  - One\n  - Two\ntitle: T\n---\nBody'
+			);
+		});
+
+		test('keeps the indentation of a block list at the level of its key', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases:\n- One\n---\n', 'Two'),
+				'---\naliases:\n- One\n- Two\n---\n'
+			);
+		});
+
+		test('adds an item before the closing bracket of an inline list', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases: [One, Two] # comment\n---\n', 'Three'),
+				'---\naliases: [One, Two, Three] # comment\n---\n'
+			);
+		});
+
+		test('adds the first item of an empty inline list', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases: []\n---\n', 'One'),
+				'---\naliases: [One]\n---\n'
+			);
+		});
+
+		test('turns a single value into a block list', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases: One\n---\n', 'Two'),
+				'---\naliases:\n  - One\n  - Two\n---\n'
+			);
+		});
+
+		test('keeps CRLF line endings', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\r\naliases:\r\n  - One\r\n---\r\nBody\r\n', 'Two'),
+				'---\r\naliases:\r\n  - One\r\n  - Two\r\n---\r\nBody\r\n'
+			);
+		});
+
+		test('creates the frontmatter of a note without one', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('# Title\nBody', 'Payment Retries'),
+				'---\naliases:\n  - Payment Retries\n---\n# Title\nBody'
+			);
+		});
+
+		test('adds the aliases key before the end of a frontmatter without it', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\ntitle: T\n---\nBody', 'Two'),
+				'---\ntitle: T\naliases:\n  - Two\n---\nBody'
+			);
+		});
+
+		test('quotes aliases that YAML would read differently', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('---\naliases: [A]\n---\n', 'B: c'),
+				'---\naliases: [A, "B: c"]\n---\n'
+			);
+			assert.strictEqual(
+				addAliasToFrontmatter('---\ntitle: T\n---\n', 'yes'),
+				'---\ntitle: T\naliases:\n  - "yes"\n---\n'
+			);
+		});
+
+		test('keeps a byte order mark', () => {
+			assert.strictEqual(
+				addAliasToFrontmatter('\uFEFF---\naliases: [A]\n---\n', 'B'),
+				'\uFEFF---\naliases: [A, B]\n---\n'
+			);
+		});
+
+		test('refuses to edit a frontmatter that cannot be parsed', () => {
+			assert.throws(
+				() => addAliasToFrontmatter('---\ntitle: "open\n---\n', 'One'),
+				/can't be parsed: Quoted string is not closed on line 2/
+			);
+		});
+
+		test('refuses to edit aliases written as a mapping', () => {
+			assert.throws(
+				() => addAliasToFrontmatter('---\naliases: {a: 1}\n---\n', 'One'),
+				/unsupported format/
+			);
+		});
+	});
+});
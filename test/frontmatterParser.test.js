@@ -0,0 +1,119 @@
+const assert = require('assert');
+const { parseFrontmatter, toStringList } = require('../src/utils/frontmatterParser');
+
+suite('frontmatterParser', () => {
+	suite('parseFrontmatter', () => {
+		test('returns the whole content as body when there is no frontmatter', () => {
+			assert.deepStrictEqual(parseFrontmatter('# Title\nText'), {
+				data: {},
+				body: '# Title\nText',
+				bodyStartLine: 0,
+				error: null,
+			});
+		});
+
+		test('splits the frontmatter from the body', () => {
+			const result = parseFrontmatter('---\ntitle: Payments\n---\n# Payments\nText');
+			assert.deepStrictEqual(result.data, { title: 'Payments' });
+			assert.strictEqual(result.body, '# Payments\nText');
+			assert.strictEqual(result.bodyStartLine, 3);
+			assert.strictEqual(result.error, null);
+		});
+
+		test('parses inline lists, with quoted items and empty lists', () => {
+			const { data } = parseFrontmatter(`---\naliases: [One, "Two, Three", 'It''s']\ntags: []\n---\n`);
+			assert.deepStrictEqual(data, { aliases: ['One', 'Two, Three', "It's"], tags: [] });
+		});
+
+		test('parses block lists, indented or at the level of their key', () => {
+			const { data } = parseFrontmatter('---\naliases:\n  - One\n  - Two\ntags:\n- project\n- project/api\n---\n');
+			assert.deepStrictEqual(data, { aliases: ['One', 'Two'], tags: ['project', 'project/api'] });
+		});
+
+		test('parses quoted values', () => {
+			const { data } = parseFrontmatter(`---\ndouble: "Say \\"hi\\"\\n"\nsingle: 'It''s: fine'\nplain: It's\n---\n`);
+			assert.deepStrictEqual(data, { double: 'Say "hi"\n', single: "It's: fine", plain: "It's" });
+		});
+
+		test('parses numbers, booleans and null', () => {
+			const { data } = parseFrontmatter('---\ncount: 3\nratio: 0.5\ndone: true\nempty:\nnothing: ~\n---\n');
+			assert.deepStrictEqual(data, { count: 3, ratio: 0.5, done: true, empty: null, nothing: null });
+		});
+
+		test('ignores comments, but not # inside quotes or words', () => {
+			const { data } = parseFrontmatter('---\n# A comment line\ntitle: Foo # trailing comment\nquoted: "a # b"\nurl: page#section\n---\n');
+			assert.deepStrictEqual(data, { title: 'Foo', quoted: 'a # b', url: 'page#section' });
+		});
+
+		test('parses literal and folded block scalars', () => {
+			const { data } = parseFrontmatter('---\nliteral: |\n  line 1\n  line 2\nfolded: >-\n  a\n  b\n\nnext: 1\n---\n');
+			assert.deepStrictEqual(data, { literal: 'line 1\nline 2\n', folded: 'a b', next: 1 });
+		});
+
+		test('parses nested mappings and lists of mappings', () => {
+			const { data } = parseFrontmatter('---\nnested:\n  a: 1\n  list:\n    - k: v\n      m: n\n---\n');
+			assert.deepStrictEqual(data, { nested: { a: 1, list: [{ k: 'v', m: 'n' }] } });
+		});
+
+		test('handles CRLF line endings', () => {
+			const result = parseFrontmatter('---\r\naliases:\r\n  - A\r\ntitle: T\r\n---\r\nBody\r\nmore');
+			assert.deepStrictEqual(result.data, { aliases: ['A'], title: 'T' });
+			assert.strictEqual(result.body, 'Body\nmore');
+			assert.strictEqual(result.bodyStartLine, 5);
+		});
+
+		test('ignores a byte order mark', () => {
+			assert.deepStrictEqual(parseFrontmatter('\uFEFF---\ntitle: T\n---\n').data, { title: 'T' });
+		});
+
+		test('reports a frontmatter that is not closed', () => {
+			const result = parseFrontmatter('---\ntitle: T\nText');
+			assert.deepStrictEqual(result.data, {});
+			assert.strictEqual(result.bodyStartLine, 0);
+			assert.strictEqual(result.error, "Frontmatter is not closed with '---'");
+		});
+
+		test('reports a quoted string that is not closed, and keeps the body', () => {
+			const result = parseFrontmatter('---\ntitle: "open\n---\nText');
+			assert.deepStrictEqual(result.data, {});
+			assert.strictEqual(result.body, 'Text');
+			assert.strictEqual(result.error, 'Quoted string is not closed on line 2');
+		});
+
+		test('reports lines that are not key: value pairs', () => {
+			assert.strictEqual(
+				parseFrontmatter('---\nnot a mapping\n---\n').error,
+				'Expected "key: value" on line 2: "not a mapping"'
+			);
+		});
+
+		test('reports unexpected indentation', () => {
+			assert.strictEqual(
+				parseFrontmatter('---\n  first: 1\nsecond: 2\n---\n').error,
+				'Unexpected indentation on line 3: "second: 2"'
+			);
+		});
+
+		test('reports an inline list that is not closed', () => {
+			assert.strictEqual(
+				parseFrontmatter('---\naliases: [One, Two\n---\n').error,
+				'Inline collection is not closed on line 2'
+			);
+		});
+	});
+
+	suite('toStringList', () => {
+		test('turns a single value into a list', () => {
+			assert.deepStrictEqual(toStringList('Foo'), ['Foo']);
+		});
+
+		test('keeps non-empty scalars as strings', () => {
+			assert.deepStrictEqual(toStringList([' a ', null, '', { b: 1 }, 2]), ['a', '2']);
+		});
+
+		test('returns an empty list for missing values', () => {
+			assert.deepStrictEqual(toStringList(null), []);
+			assert.deepStrictEqual(toStringList(undefined), []);
+		});
+	});
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { deconstructToken } = require('../src/utils/tokenDeconstructor');
+
+/**
+ * Gets the candidates that `deconstructToken` adds for the word forms of a word.
+ * @param {string} word The word.
+ * @returns {string[]} The other forms.
+ */
+function getForms(word) {
+	return deconstructToken(word, { wordForms: true }).slice(1);
+}
+
+suite('tokenDeconstructor', () => {
+	suite('deconstructToken', () => {
+		test('adds the tails after the separators', () => {
+			assert.deepStrictEqual(deconstructToken('a.b.c'), ['a.b.c', 'b.c', 'c']);
+			assert.deepStrictEqual(deconstructToken('$user->name'), ['$user->name', 'name']);
+		});
+
+		test('adds the sub-phrases of split identifiers', () => {
+			assert.deepStrictEqual(
+				deconstructToken('HttpRequestHandler', { splitWords: 'phrases' }),
+				['HttpRequestHandler', 'Http Request Handler', 'Request Handler', 'Http Request']
+			);
+		});
+
+		test('adds no word forms by default', () => {
+			assert.deepStrictEqual(deconstructToken('users'), ['users']);
+		});
+	});
+
+	suite('word forms', () => {
+		test('guesses regular singular and plural forms', () => {
+			assert.deepStrictEqual(getForms('users'), ['user']);
+			assert.deepStrictEqual(getForms('user'), ['users']);
+			assert.deepStrictEqual(getForms('categories'), ['category']);
+			assert.deepStrictEqual(getForms('category'), ['categories']);
+			assert.deepStrictEqual(getForms('boxes'), ['box']);
+			assert.deepStrictEqual(getForms('ideas'), ['idea']);
+		});
+
+		test('changes the last word of a phrase only', () => {
+			assert.deepStrictEqual(getForms('Payment Retries'), ['Payment Retry']);
+		});
+
+		test('treats words ending in -ss, -us and -is as singular', () => {
+			assert.deepStrictEqual(getForms('class'), ['classes']);
+			assert.deepStrictEqual(getForms('status'), ['statuses']);
+			assert.deepStrictEqual(getForms('analysis'), ['analyses']);
+			assert.deepStrictEqual(getForms('analyses'), ['analysis']);
+		});
+
+		test('knows singular words ending in -as', () => {
+			assert.deepStrictEqual(getForms('alias'), ['aliases']);
+			assert.deepStrictEqual(getForms('canvas'), ['canvases']);
+		});
+
+		test('guesses both singular forms of plurals in -ses', () => {
+			assert.deepStrictEqual(getForms('cases'), ['case', 'cas']);
+			assert.deepStrictEqual(getForms('aliases'), ['aliase', 'alias']);
+		});
+
+		test('adds no forms for invariant words, acronyms and short words', () => {
+			assert.deepStrictEqual(getForms('news'), []);
+			assert.deepStrictEqual(getForms('series'), []);
+			assert.deepStrictEqual(getForms('HTTP'), []);
+			assert.deepStrictEqual(getForms('id'), []);
+		});
+	});
+});